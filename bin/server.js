@@ -9,6 +9,7 @@ const passport = require('koa-passport')
 const mount = require('koa-mount')
 const serve = require('koa-static')
 const cors = require('kcors')
+const Router = require('koa-router')
 
 // Local libraries
 const config = require('../config') // this first.
@@ -54,6 +55,20 @@ async function startServer () {
   // Mount the page for displaying logs.
   app.use(mount('/logs', serve(`${process.cwd()}/config/logs`)))
 
+  // Mount the admin dashboard. It logs in through /auth and uses the REST API.
+  app.use(mount('/admin', serve(`${process.cwd()}/config/admin`)))
+
+  // Receive updates from Telegram in webhook mode.
+  if (config.env !== 'test' && config.telegramMode === 'webhook') {
+    const router = new Router()
+    router.post(tgBot.getWebhookPath(), tgBot.handleWebhook)
+    app.use(router.routes())
+  }
+
+  // Give the REST API access to the running bot, so that changes made by
+  // admins are applied in Telegram right away.
+  app.context.tgBot = tgBot
+
   // User Authentication
   require('../config/passport')
   app.use(passport.initialize())
@@ -82,6 +97,18 @@ async function startServer () {
   if (config.env !== 'test') {
     const msg = await tgBot.start()
     console.log(msg)
+
+    // Remove the webhook or stop polling before exiting.
+    const shutdown = async () => {
+      try {
+        await tgBot.stop()
+      } catch (err) {
+        wlogger.error('Error stopping the Telegram bot: ', err)
+      }
+      process.exit(0)
+    }
+    process.once('SIGINT', shutdown)
+    process.once('SIGTERM', shutdown)
   }
 
   return app
@@ -4,7 +4,9 @@
 */
 
 // Local libraries
+const config = require('../config')
 const Bot = require('../src/lib/bot')
+const MeritSweep = require('../src/lib/merit-sweep')
 
 // Instantiate the JWT handling library for FullStack.cash.
 const JwtLib = require('jwt-bch-lib')
@@ -15,21 +17,62 @@ const jwtLib = new JwtLib({
   password: process.env.FULLSTACKPASS
 })
 
-// let _this
+let _this
 
 class TGBot {
-  constructor (config) {
-    // Instantiate the Telegram bot.
-    this.bot = new Bot()
+  constructor (localConfig) {
+    // The Telegram bot is instantiated by start(), once the database is
+    // connected.
+    this.bot = null
 
-    // _this = this
+    // 'polling' or 'webhook'.
+    this.mode = config.telegramMode
+
+    if (this.mode === 'webhook' && !config.telegramWebhookUrl) {
+      throw new Error(
+        'Public URL of the server must be passed as TELEGRAM_WEBHOOK_URL environment variable in webhook mode.'
+      )
+    }
+    if (this.mode === 'webhook' && !config.telegramWebhookSecret) {
+      throw new Error(
+        'Webhook secret must be passed as TELEGRAM_WEBHOOK_SECRET environment variable in webhook mode.'
+      )
+    }
+
+    _this = this
   }
 
   async start () {
     // Get the JWT token needed to interact with the FullStack.cash API.
     // await this.getJwt()
-    await this.bot.bot.stopPolling()
-    this.bot = new Bot()
+
+    // Instantiate the Telegram bot. Polling is started below.
+    this.bot = new Bot({ polling: false })
+
+    if (this.mode === 'webhook') {
+      // Tell Telegram where to post updates.
+      await this.bot.bot.setWebHook(
+        `${config.telegramWebhookUrl}${this.getWebhookPath()}`
+      )
+    } else {
+      // Telegram does not hand out updates by polling while a webhook is
+      // registered, like one left over from running in webhook mode.
+      await this.bot.bot.deleteWebHook()
+      await this.bot.bot.startPolling()
+    }
+
+    // Periodically re-verify the merit of verified users, even if they don't
+    // post in the room.
+    this.meritSweep = new MeritSweep({ bot: this.bot })
+    this.meritSweep.start()
+
+    // Decline requests to join rooms that were not verified in time.
+    this.bot.joinRequests.start()
+
+    // Load the message templates edited by admins, and keep reloading them so
+    // that edits are picked up without a restart.
+    await this.bot.i18n.loadTemplates()
+    this.bot.i18n.start()
 
     // Renew the JWT token every 24 hours
     /* setInterval(async function () {
@@ -39,7 +82,47 @@ class TGBot {
       _this.bot = new Bot()
     }, 60000 * 60 * 24) */
 
-    return 'VIP Telegram bot started.'
+    return `VIP Telegram bot started in ${this.mode} mode.`
+  }
+
+  // Stop receiving updates and stop the timers.
+  async stop () {
+    if (!this.bot) return
+
+    this.meritSweep.stop()
+    this.bot.joinRequests.stop()
+    this.bot.i18n.stop()
+
+    if (this.mode === 'webhook') {
+      await this.bot.bot.deleteWebHook()
+    } else {
+      await this.bot.bot.stopPolling()
+    }
+
+    this.bot = null
+  }
+
+  // Path of the route that receives updates from Telegram in webhook mode.
+  getWebhookPath () {
+    return `/telegram/${config.telegramWebhookSecret}`
+  }
+
+  // Feed an update posted by Telegram to the bot. Returns false if the bot is
+  // not running.
+  processUpdate (update) {
+    if (!_this.bot) return false
+
+    _this.bot.bot.processUpdate(update)
+
+    return true
+  }
+
+  // Koa handler of the route that receives updates from Telegram in webhook
+  // mode.
+  handleWebhook (ctx) {
+    const isRunning = _this.processUpdate(ctx.request.body)
+
+    ctx.status = isRunning ? 200 : 503
   }
 
   // Get's a JWT token from FullStack.cash.
@@ -8,5 +8,25 @@ module.exports = {
   logPass: 'test',
   emailServer: process.env.EMAILSERVER ? process.env.EMAILSERVER : 'mail.someserver.com',
   emailUser: process.env.EMAILUSER ? process.env.EMAILUSER : 'noreply@someserver.com',
-  emailPassword: process.env.EMAILPASS ? process.env.EMAILPASS : 'emailpassword'
+  emailPassword: process.env.EMAILPASS ? process.env.EMAILPASS : 'emailpassword',
+
+  // Blockchain backend used to look up balances and merit.
+  bchRestURL: process.env.BCH_REST_URL ? process.env.BCH_REST_URL : 'https://free-bch.fullstack.cash',
+  // 'consumer-api', 'rest-api', or 'fixture' to answer queries from the
+  // JSON file at bchFixtureFile without network access.
+  bchInterface: process.env.BCH_INTERFACE ? process.env.BCH_INTERFACE : 'consumer-api',
+  // JWT token for increased rate limits.
+  bchApiToken: process.env.BCHJSTOKEN ? process.env.BCHJSTOKEN : '',
+  bchFixtureFile: process.env.BCH_FIXTURE_FILE ? process.env.BCH_FIXTURE_FILE : `${process.cwd()}/config/bch-fixture.json`,
+
+  // How merit is calculated: 'aged-merit', 'token-balance', 'bch-balance' or
+  // 'nft-group'.
+  meritProvider: process.env.MERIT_PROVIDER ? process.env.MERIT_PROVIDER : 'aged-merit',
+
+  // How the Telegram bot receives updates: 'polling' or 'webhook'.
+  telegramMode: process.env.TELEGRAM_MODE ? process.env.TELEGRAM_MODE : 'polling',
+  // Public URL of this server, used to register the webhook with Telegram.
+  telegramWebhookUrl: process.env.TELEGRAM_WEBHOOK_URL ? process.env.TELEGRAM_WEBHOOK_URL : '',
+  // Secret part of the webhook path, so that only Telegram can post updates.
+  telegramWebhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET ? process.env.TELEGRAM_WEBHOOK_SECRET : ''
 }
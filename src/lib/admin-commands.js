@@ -0,0 +1,280 @@
+/*
+  This library contains the Telegram commands for chat admins to moderate the
+  members of a room. Only administrators of the chat the command is issued in
+  are allowed to use them. Every command is recorded in the log and in the
+  audit trail.
+
+  The target user of a command can be given as an @username, a text mention,
+  or by replying to one of their messages.
+*/
+
+// Local libraries
+const wlogger = require('./wlogger')
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class AdminCommands {
+  constructor (config) {
+    // An instance of the Bot library is required, as it is used to look up
+    // rooms and users, calculate merit and talk to Telegram.
+    if (!config || !config.bot) {
+      throw new Error(
+        'Instance of the Bot library must be passed when instantiating AdminCommands.'
+      )
+    }
+    this.bot = config.bot
+
+    _this = this
+  }
+
+  // Handler for the /forceverify command. Syntax is:
+  // /forceverify @username
+  // Marks the user as verified in the room until their next merit check. Until
+  // then, the user gets at least the lowest merit tier.
+  async forceVerify (msg) {
+    try {
+      const target = await _this._prepare(msg)
+      if (!target) return 0
+
+      const { tgUser, room, roomState } = target
+
+      roomState.hasVerified = true
+      roomState.forceVerified = true
+      const now = new Date()
+      roomState.lastVerified = now.toISOString()
+      roomState.graceUntil = ''
+      await _this.bot.updateTier(tgUser, room)
+      await tgUser.save()
+
+      await _this._log(msg, 'forceverify', tgUser)
+      await _this._reply(msg, 'adminForceVerified', { name: _this._name(tgUser) })
+
+      return 1
+    } catch (err) {
+      wlogger.error('Error in admin-commands.js/forceVerify(): ', err)
+    }
+  }
+
+  // Handler for the /unverify command. Syntax is:
+  // /unverify @username
+  async unverify (msg) {
+    try {
+      const target = await _this._prepare(msg)
+      if (!target) return 0
+
+      const { tgUser, room, roomState } = target
+
+      roomState.hasVerified = false
+      roomState.forceVerified = false
+      roomState.exempt = false
+      roomState.graceUntil = ''
+      await _this.bot.updateTier(tgUser, room)
+      await tgUser.save()
+
+      await _this._log(msg, 'unverify', tgUser)
+      await _this._reply(msg, 'adminUnverified', { name: _this._name(tgUser) })
+
+      return 1
+    } catch (err) {
+      wlogger.error('Error in admin-commands.js/unverify(): ', err)
+    }
+  }
+
+  // Handler for the /exempt command. Syntax is:
+  // /exempt @username [off]
+  // Exempt users may speak in the room regardless of their merit.
+  async exempt (msg) {
+    try {
+      const target = await _this._prepare(msg)
+      if (!target) return 0
+
+      const { tgUser, room, roomState } = target
+
+      const msgParts = msg.text.toString().split(' ')
+      const isExempt = msgParts[msgParts.length - 1] !== 'off'
+
+      roomState.exempt = isExempt
+      if (isExempt) {
+        roomState.hasVerified = true
+
+        // Lift any restriction placed on the user.
+        await _this.bot._unmuteUser(room, tgUser.tgId)
+        await tgUser.save()
+      } else {
+        // Re-evaluate the user based on their merit.
+        await _this.bot.reverifyMerit(tgUser, room, 'admin')
+      }
+
+      await _this._log(msg, 'exempt', tgUser, { exempt: isExempt })
+      await _this._reply(msg, isExempt ? 'adminExempt' : 'adminNotExempt', {
+        name: _this._name(tgUser)
+      })
+
+      return 1
+    } catch (err) {
+      wlogger.error('Error in admin-commands.js/exempt(): ', err)
+    }
+  }
+
+  // Handler for the /recheck command. Syntax is:
+  // /recheck @username
+  // Recalculates the merit of the user right away. The reply is posted in the
+  // room, so the merit is shown according to the privacy settings of the user.
+  async recheck (msg) {
+    try {
+      const target = await _this._prepare(msg)
+      if (!target) return 0
+
+      const { tgUser, room, roomState } = target
+
+      _this.bot._invalidateMerit(tgUser, room)
+      const isVerified = await _this.bot.reverifyMerit(tgUser, room, 'admin')
+
+      await _this._log(msg, 'recheck', tgUser, { merit: roomState.merit })
+
+      const lang = await _this.bot._getLanguage(msg)
+      const merit = _this.bot.privacy.formatMerit(tgUser, roomState.merit, lang)
+      let key = isVerified ? 'adminRecheckVerified' : 'adminRecheckNotVerified'
+      if (merit === null) key += 'Hidden'
+      await _this._reply(msg, key, { name: _this._name(tgUser), merit }, lang)
+
+      return 1
+    } catch (err) {
+      wlogger.error('Error in admin-commands.js/recheck(): ', err)
+    }
+  }
+
+  // Handler for the /setthreshold command. Syntax is:
+  // /setthreshold <merit>
+  async setThreshold (msg) {
+    try {
+      const isAdmin = await _this._isChatAdmin(msg)
+      if (!isAdmin) {
+        await _this._reply(msg, 'adminOnly')
+        return 0
+      }
+
+      const msgParts = msg.text.toString().split(' ')
+      const threshold = Number(msgParts[1])
+      if (msgParts.length !== 2 || isNaN(threshold) || threshold < 0) {
+        await _this._reply(msg, 'adminThresholdUsage')
+        return 1
+      }
+
+      // Rooms configured with environment variables are added to the Room
+      // collection the first time their settings are changed.
+      const room = await _this.bot.getRoom(msg.chat.id)
+      const roomData = Object.assign({}, _this.bot._getDefaultRoom(), {
+        chatId: msg.chat.id,
+        title: msg.chat.title || ''
+      })
+      delete roomData.threshold
+      await _this.bot.Room.findOneAndUpdate(
+        { chatId: msg.chat.id },
+        { $set: { threshold }, $setOnInsert: roomData },
+        { upsert: true }
+      )
+
+      await _this._log(msg, 'setthreshold', null, {
+        oldThreshold: room.threshold,
+        threshold
+      })
+      await _this._reply(msg, 'adminThresholdChanged', { threshold })
+
+      return 2
+    } catch (err) {
+      wlogger.error('Error in admin-commands.js/setThreshold(): ', err)
+    }
+  }
+
+  // Checks shared by the commands that target a user. Returns an object with
+  // the target user model, the room and the state of the user in the room.
+  // Replies to the admin and returns false if the command can not proceed.
+  async _prepare (msg) {
+    const isAdmin = await _this._isChatAdmin(msg)
+    if (!isAdmin) {
+      await _this._reply(msg, 'adminOnly')
+      return false
+    }
+
+    const tgUser = await _this._getTargetUser(msg)
+    if (!tgUser) {
+      await _this._reply(msg, 'adminUserNotFound')
+      return false
+    }
+
+    const room = await _this.bot.getRoom(msg.chat.id)
+    const roomState = _this.bot._getRoomState(tgUser, room.chatId)
+
+    return { tgUser, room, roomState }
+  }
+
+  // Returns true if the sender of the message is an admin of the chat.
+  async _isChatAdmin (msg) {
+    if (msg.chat.type === 'private') return false
+
+    try {
+      const admins = await _this.bot.bot.getChatAdministrators(msg.chat.id)
+
+      return Boolean(admins.find(x => x.user.id === msg.from.id))
+    } catch (err) {
+      wlogger.debug('Unable to get chat administrators.')
+      return false
+    }
+  }
+
+  // Get the user model targeted by an admin command. Returns null if the user
+  // is not in the database.
+  async _getTargetUser (msg) {
+    // Replying to a message targets its sender.
+    if (msg.reply_to_message) {
+      return _this.bot.TGUser.findOne({ tgId: msg.reply_to_message.from.id })
+    }
+
+    // Users without a username are mentioned with a text mention.
+    const entities = msg.entities || []
+    const textMention = entities.find(x => x.type === 'text_mention')
+    if (textMention) {
+      return _this.bot.TGUser.findOne({ tgId: textMention.user.id })
+    }
+
+    const msgParts = msg.text.toString().split(' ')
+    if (msgParts.length < 2) return null
+
+    const username = msgParts[1].replace('@', '')
+    return _this.bot.TGUser.findOne({ username })
+  }
+
+  // Record an admin command in the log and in the audit trail. The type of the
+  // audit event is the name of the command, prefixed with 'admin-'.
+  async _log (msg, command, tgUser, details = {}) {
+    wlogger.info(
+      `Admin command /${command} by tgId ${msg.from.id} in chat ${msg.chat.id}`,
+      Object.assign({ targetTgId: tgUser ? tgUser.tgId : null }, details)
+    )
+
+    await _this.bot._audit(`admin-${command}`, msg, tgUser, details)
+  }
+
+  // Reply to an admin command with a message from the catalog, in the language
+  // of the admin. Both messages are deleted after some time.
+  async _reply (msg, key, params, lang) {
+    if (!lang) lang = await _this.bot._getLanguage(msg)
+    const outMsg = _this.bot.i18n.t(lang, key, params)
+
+    const botMsg = await _this.bot.bot.sendMessage(msg.chat.id, outMsg)
+
+    _this.bot.deleteBotSpam(msg, botMsg)
+
+    return botMsg
+  }
+
+  // Name of a user for use in replies.
+  _name (tgUser) {
+    if (tgUser.username) return `@${tgUser.username}`
+
+    return `tgId ${tgUser.tgId}`
+  }
+}
+
+module.exports = AdminCommands
@@ -0,0 +1,43 @@
+/*
+  Records events in the audit trail. Events are recorded by the bot for the
+  actions of Telegram users and admins and for the merit sweep, and by the REST
+  API for the actions of dashboard admins.
+*/
+
+const AuditEvent = require('../models/audit-event')
+const wlogger = require('./wlogger')
+
+// Save an event to the audit trail. The actor and the subject are objects with
+// a tgId and a username. The subject defaults to the actor. Errors are only
+// logged, so that a failure to record an event never stops the action itself.
+async function record (type, actor, subject, chatId, details = {}) {
+  try {
+    actor = actor || {}
+    subject = subject || actor
+
+    await AuditEvent.create({
+      type,
+      actorTgId: actor.tgId,
+      actorUsername: actor.username || '',
+      subjectTgId: subject.tgId,
+      subjectUsername: subject.username || '',
+      chatId,
+      details
+    })
+  } catch (err) {
+    wlogger.error('Error in audit.js/record(): ', err)
+  }
+}
+
+// Actor of an action taken in the dashboard. Dashboard users have no Telegram
+// ID, so they are recorded by username or email.
+function dashboardActor (user) {
+  if (!user) return {}
+
+  return { username: user.username || user.email || '' }
+}
+
+module.exports = {
+  record,
+  dashboardActor
+}
@@ -7,23 +7,63 @@ const BCHJS = require('@psf/bch-js')
 const BchMerit = require('bch-merit-lib')
 const BchWallet = require('minimal-slp-wallet/index')
 
+// Local libraries
+const config = require('../../config')
+const { createProvider } = require('./merit-providers')
+const MeritQueue = require('./merit-queue')
+const FixtureWallet = require('./fixture-wallet')
+
 class Bch {
-  constructor () {
+  constructor (localConfig = {}) {
+    // Settings of the blockchain backend.
+    const backend = {
+      restURL: localConfig.restURL || config.bchRestURL,
+      interface: localConfig.interface || config.bchInterface,
+      apiToken: localConfig.apiToken || config.bchApiToken
+    }
+
     // Encapsulate dependencies
     this.bchjs = new BCHJS()
-    this.wallet = new BchWallet(undefined, {
-      noUpdate: true,
-      interface: 'consumer-api',
-      restURL: 'https://free-bch.fullstack.cash'
+
+    if (backend.interface === 'fixture') {
+      // Answer queries from a local fixture file instead of the network.
+      this.wallet = new FixtureWallet({
+        fixtureFile: localConfig.fixtureFile || config.bchFixtureFile,
+        bchjs: this.bchjs
+      })
+      this.bchMerit = { merit: this.wallet.merit }
+    } else {
+      this.wallet = new BchWallet(undefined, {
+        noUpdate: true,
+        interface: backend.interface,
+        restURL: backend.restURL,
+        apiToken: backend.apiToken
+      })
+      this.bchMerit = new BchMerit({ wallet: this.wallet, env: process.env })
+    }
+
+    // The provider that calculates the merit of an address.
+    this.meritProvider = createProvider(
+      localConfig.meritProvider || config.meritProvider,
+      { wallet: this.wallet, bchjs: this.bchjs, bchMerit: this.bchMerit }
+    )
+
+    // Cache and rate limit the lookups made by the merit provider.
+    this.meritQueue = new MeritQueue({
+      lookup: (slpAddr, tokenId) =>
+        this.meritProvider.getMerit(slpAddr, tokenId)
     })
-    this.bchMerit = new BchMerit({ wallet: this.wallet, env: process.env })
   }
 
-  // Verify that the signed message 'verify' was signed by a specific BCH address.
+  // Verify that a message was signed by a specific BCH address.
   verifyMsg (verifyObj) {
     try {
       // Expand the input object.
-      const { bchAddr, signedMsg } = verifyObj
+      const { bchAddr, signedMsg, message } = verifyObj
+
+      if (!message || typeof message !== 'string') {
+        throw new Error('message to verify must be a string')
+      }
 
       // Convert to BCH address.
       const scrubbedAddr = this.bchjs.SLP.Address.toCashAddress(bchAddr)
@@ -31,7 +71,7 @@ class Bch {
       const isValid = this.bchjs.BitcoinCash.verifyMessage(
         scrubbedAddr,
         signedMsg,
-        'verify'
+        message
       )
 
       return isValid
@@ -41,12 +81,21 @@ class Bch {
     }
   }
 
-  // Calculate and return the merit associated with an SLP address.
-  async getMerit (slpAddr) {
+  // Calculate and return the merit associated with an SLP address, or the
+  // sum of the merit of an array of SLP addresses. The token ID defaults to
+  // the TOKEN_ID environment variable.
+  async getMerit (slpAddrs, tokenId = process.env.TOKEN_ID) {
     try {
-      // Get the aggregated merit of the address.
-      if (process.env.VERBOSE_LOG >= 1) console.log(`getMerit slpAddr: ${slpAddr} tokenId: ${process.env.TOKEN_ID}`)
-      const merit = await this.bchMerit.merit.agMerit(slpAddr, process.env.TOKEN_ID)
+      if (!Array.isArray(slpAddrs)) slpAddrs = [slpAddrs]
+
+      let merit = 0
+      for (let i = 0; i < slpAddrs.length; i++) {
+        const slpAddr = slpAddrs[i]
+
+        // Get the merit of the address from the configured provider.
+        if (process.env.VERBOSE_LOG >= 1) console.log(`getMerit slpAddr: ${slpAddr} tokenId: ${tokenId}`)
+        merit += await this.meritQueue.get(slpAddr, tokenId)
+      }
       console.log(`merit: ${merit}`)
 
       return merit
@@ -55,6 +104,19 @@ class Bch {
       throw err
     }
   }
+
+  // Forget the cached merit of an SLP address, or an array of SLP addresses,
+  // so that the next call to getMerit() looks it up again.
+  invalidateMerit (slpAddrs, tokenId = process.env.TOKEN_ID) {
+    if (!Array.isArray(slpAddrs)) slpAddrs = [slpAddrs]
+
+    slpAddrs.forEach(slpAddr => this.meritQueue.invalidate(slpAddr, tokenId))
+  }
+
+  // Returns the cache hit/miss counters of the merit lookups.
+  getMeritStats () {
+    return this.meritQueue.getStats()
+  }
 }
 
 module.exports = Bch
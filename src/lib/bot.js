@@ -7,7 +7,21 @@ const TelegramBot = require('node-telegram-bot-api')
 
 // Local libraries
 const TGUser = require('../models/tg-user')
+const Room = require('../models/room')
+const MeritSnapshot = require('../models/merit-snapshot')
+const AddressTransfer = require('../models/address-transfer')
+const AuditEvent = require('../models/audit-event')
 const BCH = require('./bch')
+const Challenge = require('./challenge')
+const Tiers = require('./tiers')
+const JoinRequests = require('./join-requests')
+const AdminCommands = require('./admin-commands')
+const Leaderboard = require('./leaderboard')
+const Privacy = require('./privacy')
+const I18n = require('./i18n')
+const VerifyFlow = require('./verify-flow')
+const defaultRoom = require('./default-room')
+const audit = require('./audit')
 const wlogger = require('./wlogger')
 
 let _this // Global variable for 'this' reference to the class instance.
@@ -26,7 +40,8 @@ class Bot {
       )
     }
 
-    // Retrieve the Chat ID of the Telegram room.
+    // Retrieve the Chat ID of the default Telegram room. Additional rooms are
+    // managed through the Room collection.
     if (config && config.chatId) {
       this.chatId = config.chatId
     } else if (process.env.CHATID) {
@@ -41,28 +56,67 @@ class Bot {
     // console.log(`this.token: ${this.token}, this.chatId: ${this.chatId}`)
 
     // Using constants here so they can be manipulated in tests.
-    // todo? test broken, PSF_THRESHOLD not constant
-    this.TWENTY_FOUR_HOURS = 60000 * 60 * 24
-    this.PSF_THRESHOLD = process.env.MERIT_THRESHOLD ?? 30000
+    // These are the settings of the default room.
+    const defaults = defaultRoom.getDefaultRoom()
+    this.TWENTY_FOUR_HOURS = defaultRoom.TWENTY_FOUR_HOURS
+    this.PSF_THRESHOLD = defaults.threshold
+    this.ENFORCEMENT_MODE = defaults.enforcement
+    this.JOIN_REQUEST_TIMEOUT = defaults.joinRequestTimeout
+    this.GRACE_PERIOD = defaults.gracePeriod
+    // What happens when a user signs a challenge with the key of an address
+    // claimed by someone else. 'transfer' moves the claim over to them.
+    // 'revoke' rejects the claim until the holder revokes the address.
+    this.ADDRESS_TRANSFER_POLICY = process.env.ADDRESS_TRANSFER_POLICY || 'transfer'
 
     // Encapsulate external dependencies.
     this.TGUser = TGUser
+    this.Room = Room
+    this.MeritSnapshot = MeritSnapshot
+    this.AddressTransfer = AddressTransfer
+    this.AuditEvent = AuditEvent
+    this.audit = audit
     this.bch = new BCH()
+    this.challenge = new Challenge()
+    this.tiers = new Tiers()
+    this.joinRequests = new JoinRequests({ bot: this })
+    this.adminCommands = new AdminCommands({ bot: this })
+    this.leaderboard = new Leaderboard({ bot: this })
+    this.privacy = new Privacy({ bot: this })
+    this.i18n = new I18n()
+    this.verifyFlow = new VerifyFlow({ bot: this })
+
+    // Updates are fetched by polling, unless polling is disabled. In webhook
+    // mode the updates are fed in with processUpdate() by the web server.
+    this.polling = true
+    if (config && config.polling !== undefined) this.polling = config.polling
 
     // Created instance of TelegramBot
     this.bot = new TelegramBot(this.token, {
-      polling: true
+      polling: this.polling
     })
 
     // Bot event hooks.
     this.bot.on('message', this.processMsg)
-    this.bot.onText(/\/verify/, this.verifyUser)
+    this.bot.on('chat_join_request', this.joinRequests.handleRequest)
+    this.bot.on('callback_query', this.handleCallbackQuery)
+    // Anchored so that messages that only mention /verify are not handled.
+    this.bot.onText(/^\/verify/, this.verifyUser)
     this.bot.onText(/\/help/, this.help)
     this.bot.onText(/\/start/, this.help)
     this.bot.onText(/\/merit/, this.getMerit)
     this.bot.onText(/\/revoke/, this.revoke)
     this.bot.onText(/\/list/, this.list)
     this.bot.onText(/\/stats/, this.stats)
+    this.bot.onText(/\/leaderboard/, this.leaderboard.show)
+    this.bot.onText(/\/privacy/, this.privacy.command)
+    this.bot.onText(/\/language/, this.language)
+
+    // Admin commands.
+    this.bot.onText(/\/forceverify/, this.adminCommands.forceVerify)
+    this.bot.onText(/\/unverify/, this.adminCommands.unverify)
+    this.bot.onText(/\/setthreshold/, this.adminCommands.setThreshold)
+    this.bot.onText(/\/exempt/, this.adminCommands.exempt)
+    this.bot.onText(/\/recheck/, this.adminCommands.recheck)
 
     // Used for debugging.
     // setInterval(function () {
@@ -74,10 +128,11 @@ class Bot {
     _this = this
   }
 
-  async _sendDeletionNotification (msg) {
+  async _sendDeletionNotification (msg, tgUser) {
     if (msg.chat.type !== 'supergroup') return
 
-    var returnMsg = `Your message has been deleted.\nTo start your verification process use the command '/start'.\n\n"${msg.text}"`
+    const lang = _this.i18n.resolve(msg, tgUser)
+    const returnMsg = _this.i18n.t(lang, 'deletionNotice', { text: msg.text })
     try {
       await _this.bot.sendMessage(msg.from.id, returnMsg)
     } catch (e) {
@@ -87,14 +142,48 @@ class Bot {
     }
   }
 
+  // Let the user know their message was deleted because their merit tier
+  // does not allow that type of message.
+  async _sendTierNotification (msg, roomState, tgUser) {
+    if (msg.chat.type !== 'supergroup') return
+
+    const lang = _this.i18n.resolve(msg, tgUser)
+    const tierName = roomState.tier || _this.i18n.t(lang, 'tierReadOnly')
+    const returnMsg = _this.i18n.t(lang, 'tierNotice', { tier: tierName })
+    try {
+      await _this.bot.sendMessage(msg.from.id, returnMsg)
+    } catch (e) {
+      // 403 Forbidden: bot can't initiate conversation with a user
+      // 403 Forbidden: bot was blocked by the user
+      wlogger.debug('Unable to send tier notification.')
+    }
+  }
+
   // Process general messages. The workflow of this method is as follows:
+  // - Messages in private chats are passed to the guided verification.
+  // - If users joined a room in restrict mode, mute the unverified ones.
   // - If the user of the message is not in the database, create a new model.
-  // - If the user of the message is not verified, delete their message.
+  // - If the user of the message is not verified, delete their message. In
+  //   restrict mode, also try to mute them.
+  // - If the merit tier of the user does not allow the message type, delete
+  //   their message.
   async processMsg (msg) {
     try {
       wlogger.debug('processMsg: ', msg)
       // console.log('processMsg: ', msg)
 
+      // Private chats are not rooms. Messages there may be the answers of a
+      // user to the guided verification.
+      if (msg.chat.type === 'private') {
+        return await _this.verifyFlow.handleMessage(msg)
+      }
+
+      // Get the settings of the room the message was posted in.
+      const room = await _this.getRoom(msg.chat.id)
+
+      // Mute unverified users joining the room.
+      if (msg.new_chat_members) await _this._restrictNewMembers(msg, room)
+
       // Query the tgUser model from the data.
       const tgUser = await _this.TGUser.findOne({ tgId: msg.from.id })
       // console.log('tgUser:', tgUser)
@@ -103,7 +192,8 @@ class Bot {
       if (!tgUser) {
         const newUserData = {
           username: msg.from.username,
-          tgId: msg.from.id
+          tgId: msg.from.id,
+          rooms: [{ chatId: room.chatId }]
         }
 
         // Create a new telegram user model in the DB.
@@ -114,70 +204,95 @@ class Bot {
         if (!msg.text) return 1
 
         // Delete their message.
-        await _this._deleteMsg(msg)
-        await _this._sendDeletionNotification(msg)
+        await _this._muteUser(room, msg.from.id)
+        await _this._deleteMsg(msg, 'unverified')
+        await _this._sendDeletionNotification(msg, newTgUser)
 
         // Exit function.
         return 1 // Used for testing.
       }
 
+      // Keep track of username changes.
+      const renamed = await _this._updateUsername(tgUser, msg.from)
+      if (renamed) await tgUser.save()
+
+      // Verification state of the user in this room.
+      const roomState = _this._getRoomState(tgUser, room.chatId)
+
       // Delete the users message if they haven't verified.
-      if (!tgUser.hasVerified) {
-        await _this._deleteMsg(msg)
-        await _this._sendDeletionNotification(msg)
+      if (!roomState.hasVerified) {
+        if (!msg.new_chat_members) await _this._muteUser(room, msg.from.id)
+        await _this._deleteMsg(msg, 'unverified')
+        await _this._sendDeletionNotification(msg, tgUser)
 
         return 2 // Used for testing.
       }
 
-      // If more than 24 hours has passed since the user's merit was verified,
-      // reverify it.
+      let retVal = 3 // Used for testing.
+
+      // If the re-verification interval of the room has passed since the
+      // user's merit was verified, reverify it.
       const now = new Date()
       const nowNum = now.getTime()
-      const lastVerifiedDate = new Date(tgUser.lastVerified)
+      const lastVerifiedDate = new Date(roomState.lastVerified)
       const timeDiff = nowNum - lastVerifiedDate.getTime()
-      if (timeDiff > _this.TWENTY_FOUR_HOURS) {
-        wlogger.debug('More than 24 hours since user was verified.')
+      if (timeDiff > room.reverifyInterval) {
+        wlogger.debug('Re-verification interval passed since user was verified.')
 
-        tgUser.username = msg.from.username
+        // Update the merit and verification status of the user.
+        const stillVerified = await _this.reverifyMerit(tgUser, room, 'message')
 
-        // Update the merit.
-        tgUser.merit = await _this.bch.getMerit(tgUser.slpAddr)
-        wlogger.debug(
-          `merit: ${tgUser.merit}, threshold: ${_this.PSF_THRESHOLD}`
-        )
-
-        // Merit meets the threshold.
-        if (tgUser.merit >= _this.PSF_THRESHOLD) {
-          wlogger.debug('User had their merit reverified.')
-
-          // Mark the database model as having been verified.
-          tgUser.hasVerified = true
-          tgUser.lastVerified = now.toISOString()
-        } else {
-          wlogger.debug('Users merit has falled below threshold.')
-
-          // Mark the database model as being unverified.
-          tgUser.hasVerified = false
+        if (!stillVerified) {
+          await _this._audit('demotion', msg, tgUser, {
+            merit: roomState.merit,
+            threshold: room.threshold
+          })
 
-          const returnMsg = `@${
-            msg.from.username
-          } you no longer have enough merit to speak in the room. Your merit is only ${
-            tgUser.merit
-          }. Use the /verify command once your address has accrued enough merit.`
+          const lang = _this.i18n.resolve(msg, tgUser)
+          const returnMsg = _this._getRoomMsg(
+            room,
+            'demoted',
+            _this.i18n.t(lang, 'demoted', { merit: roomState.merit })
+          )
+          const publicMsg = _this._getRoomMsg(
+            room,
+            'demoted',
+            _this.i18n.t(lang, 'demotedPublic')
+          )
 
-          const botMsg = await _this.bot.sendMessage(msg.chat.id, returnMsg)
+          // The merit of the user is only disclosed to them privately.
+          const botMsg = await _this.privacy.replyPrivately(
+            msg,
+            tgUser,
+            returnMsg,
+            publicMsg
+          )
 
           // Delete bot spam after some time.
           _this.deleteBotSpam(msg, botMsg)
+
+          return 4
         }
 
-        // Save the user to the database.
-        await tgUser.save()
+        retVal = 4
+      }
+
+      // Users exempted by an admin, or in the grace period after their merit
+      // dropped, are not limited by merit tiers.
+      if (roomState.exempt || roomState.graceUntil) return retVal
 
-        return 4
+      // Delete the message if the merit tier of the user does not allow this
+      // type of message.
+      const tier = _this._getTier(room, roomState)
+      const msgType = _this.tiers.getMsgType(msg)
+      if (!_this.tiers.isAllowed(tier, msgType)) {
+        await _this._deleteMsg(msg, 'tier', { tier: roomState.tier, msgType })
+        await _this._sendTierNotification(msg, roomState, tgUser)
+
+        return 5
       }
 
-      return 3 // Used for testing.
+      return retVal
     } catch (err) {
       const now = new Date()
       wlogger.error(
@@ -187,10 +302,403 @@ class Bot {
     }
   }
 
+  // Recalculate the merit of a user in a room and update their verification
+  // status in that room. The updated model is saved to the database. Returns
+  // true if the user meets the merit threshold of the room, false if they were
+  // demoted.
+  // Verified users whose merit drops below the threshold get a grace period,
+  // during which they stay verified. They are warned privately, and demoted
+  // if their merit is still short at the first check after the deadline.
+  // Used by processMsg(), revoke() and by the background merit sweep. The
+  // reason is recorded in the merit history of the user.
+  async reverifyMerit (tgUser, room, reason = 'reverify') {
+    const roomState = _this._getRoomState(tgUser, room.chatId)
+
+    roomState.merit = await _this.bch.getMerit(
+      _this._getSlpAddrs(tgUser),
+      room.tokenId
+    )
+    roomState.forceVerified = false
+    await _this._saveMeritSnapshot(tgUser, room, reason)
+    wlogger.debug(`merit: ${roomState.merit}, threshold: ${room.threshold}`)
+
+    // Merit meets the threshold, or the user was exempted by an admin.
+    if (roomState.merit >= room.threshold || roomState.exempt) {
+      wlogger.debug('User had their merit reverified.')
+
+      // Mark the database model as having been verified.
+      roomState.hasVerified = true
+      const now = new Date()
+      roomState.lastVerified = now.toISOString()
+      roomState.graceUntil = ''
+    } else if (roomState.hasVerified && room.gracePeriod > 0 && !roomState.graceUntil) {
+      wlogger.debug('Users merit has falled below threshold. Grace period started.')
+
+      // The user stays verified until the deadline. lastVerified is not
+      // updated, so that the merit is checked again on the next message or
+      // sweep.
+      const deadline = new Date(new Date().getTime() + room.gracePeriod)
+      roomState.graceUntil = deadline.toISOString()
+      await _this._sendGraceWarning(tgUser, room)
+    } else if (
+      roomState.hasVerified &&
+      roomState.graceUntil &&
+      new Date(roomState.graceUntil).getTime() > new Date().getTime()
+    ) {
+      wlogger.debug('Users merit is below threshold during grace period.')
+    } else {
+      wlogger.debug('Users merit has falled below threshold.')
+
+      // Mark the database model as being unverified.
+      roomState.hasVerified = false
+      roomState.graceUntil = ''
+    }
+
+    // Re-evaluate the merit tier of the user.
+    await _this.updateTier(tgUser, room)
+
+    // Save the user to the database.
+    await tgUser.save()
+
+    return roomState.hasVerified
+  }
+
+  // Re-evaluate the merit tier of a user in a room, after their merit was
+  // recalculated. If the tier changed, the chat permissions of the tier are
+  // applied to the user in Telegram. Users who lose their tier are muted in
+  // rooms in restrict mode. Returns the name of the tier, or an empty string if
+  // the user is not verified. The caller is expected to save the model.
+  async updateTier (tgUser, room) {
+    const roomState = _this._getRoomState(tgUser, room.chatId)
+
+    // The permissions of exempt users are managed by admins. Users in a grace
+    // period keep their tier until the deadline.
+    if (roomState.exempt || roomState.graceUntil) return roomState.tier
+
+    let tier = null
+    if (roomState.hasVerified) tier = _this._getTier(room, roomState)
+    const tierName = tier ? tier.name : ''
+
+    if (tierName === roomState.tier) return tierName
+    roomState.tier = tierName
+
+    if (tier) {
+      await _this._setPermissions(
+        room.chatId,
+        tgUser.tgId,
+        _this.tiers.toChatPermissions(tier)
+      )
+    } else {
+      await _this._muteUser(room, tgUser.tgId)
+    }
+
+    return tierName
+  }
+
+  // Get the merit tier of a user in a room. Users verified by an admin get at
+  // least the lowest tier, so that they can speak regardless of their merit.
+  _getTier (room, roomState) {
+    const tier = _this.tiers.getTier(room, roomState.merit)
+    if (tier || !roomState.forceVerified) return tier
+
+    return _this.tiers.getTiers(room)[0]
+  }
+
+  // Record the current merit of a user in a room in their merit history.
+  // Failing to save the snapshot does not interrupt the caller.
+  async _saveMeritSnapshot (tgUser, room, reason) {
+    try {
+      const roomState = _this._getRoomState(tgUser, room.chatId)
+
+      await _this.MeritSnapshot.create({
+        tgId: tgUser.tgId,
+        chatId: room.chatId,
+        tokenId: room.tokenId,
+        addresses: _this._getSlpAddrs(tgUser),
+        merit: roomState.merit,
+        reason
+      })
+    } catch (err) {
+      wlogger.error('Error in bot.js/_saveMeritSnapshot(): ', err)
+    }
+  }
+
+  // Get the change in merit of a user in a room between their last two merit
+  // calculations. Returns an object with the change and the date of the
+  // previous calculation, or null if there is no previous calculation.
+  async _getMeritChange (tgUser, chatId) {
+    const snapshots = await _this.MeritSnapshot.find({
+      tgId: tgUser.tgId,
+      chatId
+    })
+      .sort({ timestamp: -1 })
+      .limit(2)
+
+    if (snapshots.length < 2) return null
+
+    return {
+      change: snapshots[0].merit - snapshots[1].merit,
+      since: snapshots[1].timestamp
+    }
+  }
+
+  // Privately warn a user that their merit dropped below the threshold of a
+  // room, and until when they can restore it.
+  async _sendGraceWarning (tgUser, room) {
+    const roomState = _this._getRoomState(tgUser, room.chatId)
+    const lang = _this.i18n.resolve(null, tgUser)
+    const roomName = room.title || _this.i18n.t(lang, 'defaultRoomName')
+    const deadline = new Date(roomState.graceUntil)
+
+    const outMsg = _this.i18n.t(lang, 'graceWarning', {
+      merit: roomState.merit,
+      threshold: room.threshold,
+      room: roomName,
+      deadline: deadline.toUTCString()
+    })
+
+    try {
+      await _this.bot.sendMessage(tgUser.tgId, outMsg)
+    } catch (err) {
+      // 403 Forbidden: bot can't initiate conversation with a user
+      wlogger.debug(`Unable to send grace warning to tgId ${tgUser.tgId}.`)
+    }
+  }
+
+  // Mute a user in a room in restrict mode. Returns true if the user was
+  // muted. Rooms in delete mode, or where the bot lacks the right to restrict
+  // members, rely on message deletion instead.
+  async _muteUser (room, tgId) {
+    if (room.enforcement !== 'restrict') return false
+
+    // A tier without any permissions.
+    const permissions = _this.tiers.toChatPermissions({})
+
+    return _this._setPermissions(room.chatId, tgId, permissions)
+  }
+
+  // Lift all restrictions placed on a user in a room, like for users who are
+  // exempted by an admin. Returns true on success.
+  async _unmuteUser (room, tgId) {
+    const permissions = _this.tiers.toChatPermissions({
+      canSendText: true,
+      canSendLinks: true,
+      canSendMedia: true,
+      canInvite: true
+    })
+
+    return _this._setPermissions(room.chatId, tgId, permissions)
+  }
+
+  // Mute the users in a new_chat_members message who are not verified in the
+  // room. Returns the number of users muted.
+  async _restrictNewMembers (msg, room) {
+    if (room.enforcement !== 'restrict') return 0
+
+    let mutedCnt = 0
+    for (let i = 0; i < msg.new_chat_members.length; i++) {
+      const member = msg.new_chat_members[i]
+      if (member.is_bot) continue
+
+      const tgUser = await _this.TGUser.findOne({ tgId: member.id })
+      if (tgUser && _this._getRoomState(tgUser, room.chatId).hasVerified) {
+        continue
+      }
+
+      const wasMuted = await _this._muteUser(room, member.id)
+      if (wasMuted) mutedCnt++
+    }
+
+    return mutedCnt
+  }
+
+  // Apply chat permissions to a user in Telegram. Returns true on success.
+  // This fails for chat admins and for rooms where the bot is not allowed to
+  // restrict members, in which case permissions are only enforced by deleting
+  // messages.
+  async _setPermissions (chatId, tgId, permissions) {
+    try {
+      await _this.bot.restrictChatMember(chatId, tgId, {
+        permissions: JSON.stringify(permissions)
+      })
+
+      return true
+    } catch (err) {
+      wlogger.debug(
+        `Unable to set chat permissions for tgId ${tgId} in chat ${chatId}.`
+      )
+      return false
+    }
+  }
+
+  // Get the settings of the room for a chat. Rooms are stored in the Room
+  // collection. The default room configured with environment variables is
+  // used for any chat that is not in the collection, including private chats.
+  async getRoom (chatId) {
+    const room = await _this.Room.findOne({ chatId })
+    if (room) return _this._resolveTokenId(room)
+
+    return _this._getDefaultRoom()
+  }
+
+  // Get the settings of every room managed by the bot.
+  async getRooms () {
+    const rooms = (await _this.Room.find({})).map(_this._resolveTokenId)
+
+    const defaultRoom = _this._getDefaultRoom()
+    const hasDefaultRoom = rooms.find(x => x.chatId === defaultRoom.chatId)
+    if (!hasDefaultRoom) rooms.push(defaultRoom)
+
+    return rooms
+  }
+
+  // Rooms added with /setthreshold or the dashboard have no token of their
+  // own. Merit in those rooms is calculated with the token configured with
+  // the TOKEN_ID environment variable, like in the default room.
+  _resolveTokenId (room) {
+    if (!room.tokenId) room.tokenId = process.env.TOKEN_ID || ''
+
+    return room
+  }
+
+  // Settings of the default room, configured with environment variables. The
+  // chat ID may also be passed to the constructor.
+  _getDefaultRoom () {
+    return Object.assign(defaultRoom.getDefaultRoom(), {
+      chatId: Number(_this.chatId),
+      threshold: _this.PSF_THRESHOLD,
+      reverifyInterval: _this.TWENTY_FOUR_HOURS,
+      gracePeriod: _this.GRACE_PERIOD,
+      joinRequestTimeout: _this.JOIN_REQUEST_TIMEOUT,
+      enforcement: _this.ENFORCEMENT_MODE
+    })
+  }
+
+  // Get the verification state of a user in a room. A new state is added to
+  // the user model if the user does not have one for the room yet.
+  _getRoomState (tgUser, chatId) {
+    let roomState = tgUser.rooms.find(x => x.chatId === chatId)
+
+    if (!roomState) {
+      tgUser.rooms.push({
+        chatId,
+        merit: 0,
+        hasVerified: false,
+        lastVerified: '',
+        tier: '',
+        graceUntil: '',
+        exempt: false
+      })
+      roomState = tgUser.rooms[tgUser.rooms.length - 1]
+    }
+
+    return roomState
+  }
+
+  // Returns the room-specific replacement for a bot message, or the default
+  // message if the room does not define one.
+  _getRoomMsg (room, name, defaultMsg) {
+    if (room.messages && room.messages[name]) return room.messages[name]
+
+    return defaultMsg
+  }
+
+  // Get the language to talk to the sender of a message in. Looks up the
+  // tg-user model of the sender, unless it is passed in.
+  async _getLanguage (msg, tgUser) {
+    if (tgUser === undefined) {
+      try {
+        tgUser = await _this.TGUser.findOne({ tgId: msg.from.id })
+      } catch (err) {
+        wlogger.debug('Unable to look up the language of the user.')
+        tgUser = null
+      }
+    }
+
+    return _this.i18n.resolve(msg, tgUser)
+  }
+
+  // Send a reply that starts with a mention of a Telegram user. Users without
+  // a username are mentioned with a text mention entity, so that they are
+  // still notified and their name links to their profile.
+  async _sendMention (chatId, user, text, options = {}) {
+    if (user.username) {
+      return _this.bot.sendMessage(chatId, `@${user.username} ${text}`, options)
+    }
+
+    const name = user.first_name || 'Member'
+    const entities = [
+      { type: 'text_mention', offset: 0, length: name.length, user: { id: user.id } }
+    ]
+
+    return _this.bot.sendMessage(
+      chatId,
+      `${name} ${text}`,
+      Object.assign({}, options, { entities: JSON.stringify(entities) })
+    )
+  }
+
+  // Update the username of a user model from the sender of a message, and
+  // record the previous username in the username history. Other users who
+  // still hold the new username in the database gave it up, so it is removed
+  // from their models. Returns true if the username changed. The caller is
+  // expected to save the model.
+  async _updateUsername (tgUser, from) {
+    const username = from.username || ''
+    if (tgUser.username === username) return false
+
+    const now = new Date()
+
+    if (!tgUser.usernameHistory) tgUser.usernameHistory = []
+    if (tgUser.username) {
+      tgUser.usernameHistory.push({ username: tgUser.username, changedAt: now })
+    }
+    tgUser.username = username
+
+    if (username) {
+      await _this.TGUser.updateMany(
+        { username, tgId: { $ne: tgUser.tgId } },
+        {
+          $set: { username: '' },
+          $push: { usernameHistory: { username, changedAt: now } }
+        }
+      )
+    }
+
+    return true
+  }
+
+  // Record an event in the audit trail. The actor is the sender of msg. The
+  // subject is the tg-user model the event is about, and defaults to the
+  // actor. Errors are logged, so that auditing never blocks the bot.
+  async _audit (type, msg, subject, details = {}) {
+    const actor = msg.from || {}
+
+    await _this.audit.record(
+      type,
+      { tgId: actor.id, username: actor.username },
+      subject,
+      msg.chat.id,
+      details
+    )
+  }
+
+  // Returns an array of the SLP addresses claimed by a user.
+  _getSlpAddrs (tgUser) {
+    return tgUser.addresses.map(x => x.slpAddr)
+  }
+
+  // Forget the cached merit of a user in a room. Called before a check that
+  // was asked for explicitly, like /verify or /recheck, so that it sees the
+  // current balance of the user.
+  _invalidateMerit (tgUser, room) {
+    _this.bch.invalidateMerit(_this._getSlpAddrs(tgUser), room.tokenId)
+  }
+
   // Handler for the /verify command. Syntax is:
   // /verify <bitcoincash:address> <signed message>
-  // The signed message is expected to be the word 'verify' signed with a private
-  // key using the slp-cli-wallet 'sign-message' command.
+  // The signed message is expected to be the challenge issued to the user by
+  // a bare /verify command, signed with the private key of the address.
   // If the verification succeeds, the merit of the address is calculated and
   // if it meets the threashold, the user model will be marked as verified. This
   // will prevent their messages from being deleted.
@@ -198,10 +706,14 @@ class Bot {
     try {
       wlogger.debug('verifyUser: ', msg)
 
-      // Default return message.
-      let returnMsg = `@${
-        msg.from.username
-      } your address could not be verified.`
+      const lang = await _this._getLanguage(msg)
+
+      // Default return message. The user is mentioned when it is sent.
+      let returnMsg = _this.i18n.t(lang, 'verifyFailed')
+      // Messages that disclose the merit of the user are sent to them
+      // privately, with publicMsg posted in the room instead.
+      let publicMsg = ''
+      let privateUser = null
 
       let retVal = 0 // Default return value.
 
@@ -209,14 +721,38 @@ class Bot {
       const msgParts = msg.text.toString().split(' ')
       // console.log(`msgParts: ${JSON.stringify(msgParts, null, 2)}`)
 
-      // If the message does not have 3 parts, ignore it.
-      if (msgParts.length === 3) {
+      // A bare /verify command requests a new challenge to sign. In a private
+      // chat it starts the guided verification instead.
+      if (msgParts.length === 1) {
+        if (msg.chat.type === 'private') return await _this.verifyFlow.start(msg)
+
+        return await _this.issueChallenge(msg, lang)
+      }
+
+      // Explain the syntax if the message does not have 3 parts.
+      if (msgParts.length !== 3) {
+        returnMsg = _this.i18n.t(lang, 'verifyUsage')
+      } else {
         retVal = 1 // Signal that the message was formatted correctly.
 
+        // Retrieve the challenge issued to this user in this chat.
+        const challenge = await _this.challenge.getActive(
+          msg.from.id,
+          msg.chat.id
+        )
+        if (!challenge || _this.challenge.isExpired(challenge)) {
+          await _this._audit('verify-failed', msg, null, {
+            reason: 'no-challenge',
+            bchAddr: msgParts[1]
+          })
+          return await _this._rejectChallenge(msg, lang)
+        }
+
         // Verify the signature.
         const verifyObj = {
           bchAddr: msgParts[1],
-          signedMsg: msgParts[2]
+          signedMsg: msgParts[2],
+          message: challenge.text
         }
 
         let isValidSig = false
@@ -226,7 +762,12 @@ class Bot {
           isValidSig = _this.bch.verifyMsg(verifyObj)
           if (process.env.VERBOSE_LOG >= 1) console.log(`Signature is valid: ${isValidSig}`)
         } catch (err) {
-          const botMsg = await _this.bot.sendMessage(msg.chat.id, returnMsg)
+          await _this._audit('verify-failed', msg, null, {
+            reason: 'invalid-signature',
+            bchAddr: msgParts[1]
+          })
+
+          const botMsg = await _this._sendMention(msg.chat.id, msg.from, returnMsg)
 
           // Delete bot spam after some time.
           _this.deleteBotSpam(msg, botMsg)
@@ -236,6 +777,10 @@ class Bot {
 
         // If the signature is valid, update the user model.
         if (isValidSig) {
+          // A challenge can only be redeemed once.
+          const wasRedeemed = await _this.challenge.redeem(challenge)
+          if (!wasRedeemed) return await _this._rejectChallenge(msg, lang)
+
           const tgUser = await _this.TGUser.findOne({
             tgId: msg.from.id
           })
@@ -244,10 +789,36 @@ class Bot {
           const bchAddr = _this.bch.bchjs.SLP.Address.toCashAddress(msgParts[1])
 
           // Return an error and exit if another user has already claimed that
-          // address.
-          const addressIsClaimed = await _this.checkDupClaim(bchAddr, msg)
-          if (addressIsClaimed) {
-            returnMsg = `@${addressIsClaimed} has already claimed that address. They must first revoke it with the /revoke command.`
+          // address, unless the claim can be transferred. The signature of the
+          // fresh challenge proves control of the key. Verification is aborted
+          // if the claim can not be checked.
+          let addressIsClaimed
+          try {
+            addressIsClaimed = await _this.checkDupClaim(bchAddr, msg)
+          } catch (err) {
+            await _this._audit('verify-failed', msg, null, {
+              reason: 'claim-check-failed',
+              bchAddr
+            })
+
+            const botMsg = await _this._sendMention(msg.chat.id, msg.from, returnMsg)
+
+            // Delete bot spam after some time.
+            _this.deleteBotSpam(msg, botMsg)
+
+            return retVal
+          }
+          if (addressIsClaimed && _this.ADDRESS_TRANSFER_POLICY === 'transfer') {
+            await _this._transferAddress(bchAddr, msg)
+          } else if (addressIsClaimed) {
+            await _this._audit('verify-failed', msg, null, {
+              reason: 'address-claimed',
+              bchAddr
+            })
+
+            returnMsg = _this.i18n.t(lang, 'addressClaimed', {
+              owner: addressIsClaimed
+            })
 
             const botMsg = await _this.bot.sendMessage(msg.chat.id, returnMsg)
 
@@ -258,44 +829,115 @@ class Bot {
           }
 
           // Calculate values to store in the tg-user model for this user.
-          tgUser.username = msg.from.username
-          tgUser.bchAddr = bchAddr
-          tgUser.slpAddr = _this.bch.bchjs.SLP.Address.toSLPAddress(
-            tgUser.bchAddr
-          )
-          tgUser.merit = await _this.bch.getMerit(tgUser.slpAddr)
-          const now = new Date()
-          tgUser.lastVerified = now.toISOString()
-
-          // Merit meets the threshold.
-          if (tgUser.merit >= _this.PSF_THRESHOLD) {
-            // Mark the database model as having been verified.
-            tgUser.hasVerified = true
-
-            returnMsg = `@${
-              msg.from.username
-            } you have been successfully verified! You may now speak in the VIP room.`
-            retVal = 2
-            /* const botMsg = */ await _this.bot.sendMessage(_this.chatId, returnMsg)
-          } else {
-            // Merit does not meet the threshold.
-
-            // Mark the database model as being unverified.
-            tgUser.hasVerified = false
+          await _this._updateUsername(tgUser, msg.from)
+
+          // Add the address to the ones already claimed by the user.
+          const alreadyOwned = tgUser.addresses.find(x => x.bchAddr === bchAddr)
+          if (!alreadyOwned) {
+            tgUser.addresses.push({
+              bchAddr,
+              slpAddr: _this.bch.bchjs.SLP.Address.toSLPAddress(bchAddr)
+            })
+          }
 
-            returnMsg = `@${
-              msg.from.username
-            } your signature was verified, but the address only has a merit value of ${
-              tgUser.merit
-            }, which does not meet the threashold of ${_this.PSF_THRESHOLD}.`
-            retVal = 3
+          // Verification is tracked separately for each room. In a private
+          // chat the user is verified in every room they belong to.
+          const rooms = await _this._getVerifyRooms(msg, tgUser)
+          // Rooms the user only asked to join are not told about the
+          // verification, as the user is not in them until their join request
+          // is approved.
+          const joinedChatIds = tgUser.rooms.map(x => x.chatId)
+          const results = []
+          for (let i = 0; i < rooms.length; i++) {
+            const room = rooms[i]
+
+            _this._invalidateMerit(tgUser, room)
+            const isVerified = await _this._verifyInRoom(tgUser, room)
+            results.push({ room, isVerified })
+
+            const isMember =
+              msg.chat.type !== 'private' || joinedChatIds.includes(room.chatId)
+            if (isVerified && isMember) {
+              /* const botMsg = */ await _this._sendMention(
+                room.chatId,
+                msg.from,
+                _this._getRoomMsg(room, 'verified', _this.i18n.t(lang, 'verified'))
+              )
+            }
           }
 
           await tgUser.save()
+
+          retVal = results.find(x => x.isVerified) ? 2 : 3
+
+          if (results.length === 1) {
+            const { room } = results[0]
+            const roomState = _this._getRoomState(tgUser, room.chatId)
+
+            if (retVal === 2) {
+              returnMsg = _this._getRoomMsg(
+                room,
+                'verified',
+                _this.i18n.t(lang, 'verified')
+              )
+            } else {
+              returnMsg = _this.i18n.t(lang, 'belowThreshold', {
+                merit: roomState.merit,
+                threshold: room.threshold
+              })
+              publicMsg = _this.i18n.t(lang, 'belowThresholdPublic', {
+                threshold: room.threshold
+              })
+              privateUser = tgUser
+            }
+          } else {
+            // Only sent in private chats, so the merit is not disclosed.
+            returnMsg = _this.i18n.t(lang, 'signatureVerified')
+            results.forEach(({ room, isVerified }) => {
+              const roomState = _this._getRoomState(tgUser, room.chatId)
+              const roomName = room.title || _this.i18n.t(lang, 'defaultRoomName')
+
+              returnMsg += `\n${_this.i18n.t(
+                lang,
+                isVerified ? 'verifyRoomVerified' : 'verifyRoomBelowThreshold',
+                { room: roomName, merit: roomState.merit, threshold: room.threshold }
+              )}`
+            })
+          }
+
+          for (let i = 0; i < results.length; i++) {
+            const { room, isVerified } = results[i]
+            const roomState = _this._getRoomState(tgUser, room.chatId)
+
+            await _this._audit(
+              isVerified ? 'verify-success' : 'verify-below-threshold',
+              msg,
+              tgUser,
+              {
+                bchAddr,
+                chatId: room.chatId,
+                merit: roomState.merit,
+                threshold: room.threshold
+              }
+            )
+          }
+
+          // Approve requests to join rooms that were held until the user
+          // verified their merit.
+          if (msg.chat.type === 'private') {
+            await _this.joinRequests.approvePending(tgUser)
+          }
+        } else {
+          await _this._audit('verify-failed', msg, null, {
+            reason: 'wrong-signature',
+            bchAddr: msgParts[1]
+          })
         }
       }
 
-      const botMsg = await _this.bot.sendMessage(msg.chat.id, returnMsg)
+      const botMsg = privateUser
+        ? await _this.privacy.replyPrivately(msg, privateUser, returnMsg, publicMsg)
+        : await _this._sendMention(msg.chat.id, msg.from, returnMsg)
 
       // Delete bot spam after some time.
       _this.deleteBotSpam(msg, botMsg)
@@ -310,131 +952,338 @@ class Bot {
     }
   }
 
+  // Get the rooms to verify a user in. A /verify command sent in a room only
+  // verifies the user in that room. In a private chat the user is verified in
+  // every room they are a member of or have asked to join, or in the default
+  // room if there are none.
+  async _getVerifyRooms (msg, tgUser) {
+    if (msg.chat.type !== 'private') return [await _this.getRoom(msg.chat.id)]
+
+    const chatIds = tgUser.rooms.map(x => x.chatId)
+    const requests = await _this.joinRequests.JoinRequest.find({
+      tgId: tgUser.tgId,
+      status: 'pending'
+    })
+    requests.forEach(x => chatIds.push(x.chatId))
+
+    const rooms = await _this.getRooms()
+    const userRooms = rooms.filter(x => chatIds.includes(x.chatId))
+    if (userRooms.length) return userRooms
+
+    return [await _this.getRoom(msg.chat.id)]
+  }
+
+  // Calculate the merit of a user who just verified an address, and mark them
+  // as verified in a room if it meets the threshold. The caller is expected to
+  // save the model. Returns true if the user is verified in the room.
+  async _verifyInRoom (tgUser, room) {
+    const roomState = _this._getRoomState(tgUser, room.chatId)
+
+    // Merit is the sum of the merit of all claimed addresses.
+    roomState.merit = await _this.bch.getMerit(
+      _this._getSlpAddrs(tgUser),
+      room.tokenId
+    )
+    roomState.forceVerified = false
+    await _this._saveMeritSnapshot(tgUser, room, 'verify')
+    const now = new Date()
+    roomState.lastVerified = now.toISOString()
+
+    // Mark the database model as verified if the merit meets the threshold.
+    roomState.hasVerified = roomState.merit >= room.threshold
+    roomState.graceUntil = ''
+
+    // Re-evaluate the merit tier of the user.
+    await _this.updateTier(tgUser, room)
+
+    return roomState.hasVerified
+  }
+
+  // Issue a new challenge to the user, which they need to sign with the
+  // private key of the address they want to claim.
+  async issueChallenge (msg, lang = _this.i18n.resolve(msg)) {
+    const challenge = await _this.challenge.create(msg.from.id, msg.chat.id)
+
+    const minutes = Math.round(_this.challenge.CHALLENGE_LIFETIME / 60000)
+    const returnMsg = _this.i18n.t(lang, 'challenge', {
+      challenge: challenge.text,
+      minutes
+    })
+
+    const botMsg = await _this._sendMention(msg.chat.id, msg.from, returnMsg)
+
+    // Leave the challenge up long enough for the user to sign it.
+    _this.deleteBotSpam(msg, botMsg, _this.challenge.CHALLENGE_LIFETIME)
+
+    return 6
+  }
+
+  // Tell the user they need a fresh challenge. Used when the challenge is
+  // missing, expired or has already been used.
+  async _rejectChallenge (msg, lang = _this.i18n.resolve(msg)) {
+    const returnMsg = _this.i18n.t(lang, 'challengeRejected')
+
+    const botMsg = await _this._sendMention(msg.chat.id, msg.from, returnMsg)
+
+    // Delete bot spam after some time.
+    _this.deleteBotSpam(msg, botMsg)
+
+    return 7
+  }
+
   // Check to see if the address is already claimed.
   // It returns false if no user has claimed the bchAddr. Otherwise it returns
-  // the Telegram username of the person who 'owns' the address.
+  // the name of the person who 'owns' the address, for use in replies.
+  // Ownership is tracked by Telegram user ID, which does not change when
+  // users change their username. Errors are thrown, so that a failed lookup is
+  // never mistaken for an unclaimed or claimed address.
   async checkDupClaim (bchAddr, msg) {
     try {
-      const tgUser = await _this.TGUser.findOne({ bchAddr })
+      const tgUser = await _this.TGUser.findOne({ 'addresses.bchAddr': bchAddr })
 
       // If no user is found, return false.
       if (!tgUser) return false
 
-      const msgSender = msg.from.username
-
       // If the user is the same one who 'owns' the address, then return false.
-      if (msgSender === tgUser.username) return false
+      if (tgUser.tgId === msg.from.id) return false
 
-      // Otherwise return the Telegram username of the person who 'owns' the
-      // address.
-      return tgUser.username
+      // Otherwise return the name of the person who 'owns' the address.
+      if (tgUser.username) return `@${tgUser.username}`
+
+      return _this.i18n.t(_this.i18n.resolve(msg), 'anotherMember')
     } catch (err) {
       const now = new Date()
       wlogger.error(
         `Error in bot.js/checkDupClaim() at ${now.toLocaleString()}: `,
         err
       )
-      return 'errorInCheckDupClaim'
+      throw err
     }
   }
 
-  // Display help message to the user.
-  async help (msg) {
-    const outMsg = `
-    \u26A0 !!! PRIVACY WARNING !!! \u26A0
-If you do not want people to have any indication of how many coins you have, use a new anonymous account to proceed.
-For additional privacy use CashFusion and then move the exact required token amount to a new address. Use your wallet's Freeze feature to prevent accidentally spending the tokens. 
-
-    
-    
-The bot manages the VIP room. Only users who have verified their own token holdings with the required amount (Merit) are allowed to speak in the VIP room.
+  // Move a claimed address from its current holder to the sender of msg, who
+  // signed a fresh challenge with its key. The previous holder loses the
+  // merit of the address right away, without a grace period, and is notified
+  // privately. The transfer is recorded in the database. Returns the model of
+  // the previous holder, or false if there was nothing to transfer.
+  async _transferAddress (bchAddr, msg) {
+    const prevUser = await _this.TGUser.findOne({ 'addresses.bchAddr': bchAddr })
+    if (!prevUser || prevUser.tgId === msg.from.id) return false
+
+    wlogger.info(
+      `Address ${bchAddr} transferred from tgId ${prevUser.tgId} to tgId ${msg.from.id}.`
+    )
+
+    prevUser.addresses = prevUser.addresses.filter(x => x.bchAddr !== bchAddr)
+
+    // Recalculate the merit of the previous holder in every room they have
+    // verified in.
+    const rooms = await _this.getRooms()
+    for (let i = 0; i < rooms.length; i++) {
+      const room = rooms[i]
+
+      const roomState = prevUser.rooms.find(x => x.chatId === room.chatId)
+      if (!roomState) continue
+
+      roomState.merit = prevUser.addresses.length
+        ? await _this.bch.getMerit(_this._getSlpAddrs(prevUser), room.tokenId)
+        : 0
+      await _this._saveMeritSnapshot(prevUser, room, 'transfer')
+
+      if (roomState.merit < room.threshold && !roomState.exempt) {
+        roomState.hasVerified = false
+        roomState.graceUntil = ''
+      }
 
-To verify your Merit, follow these steps:
+      await _this.updateTier(prevUser, room)
+    }
 
-1) Get a wallet that is able to sign messages such as:
-    https://message.fullstack.cash
-    https://electroncash.org/
+    await prevUser.save()
 
-2) Use the 'Sign Message' area of the app to sign the word 'verify'
+    await _this.AddressTransfer.create({
+      bchAddr,
+      fromTgId: prevUser.tgId,
+      fromUsername: prevUser.username,
+      toTgId: msg.from.id,
+      toUsername: msg.from.username || '',
+      chatId: msg.chat.id
+    })
+    await _this._audit('address-transfer', msg, prevUser, { bchAddr })
 
-3) Use the /verify command to verify your wallet address, like this:
-  /verify <your BCH address> <the signature>
+    // Let the previous holder know, in case their account did not sign it.
+    try {
+      const lang = _this.i18n.resolve(null, prevUser)
+      await _this.bot.sendMessage(
+        prevUser.tgId,
+        _this.i18n.t(lang, 'addressTransferred', { address: bchAddr })
+      )
+    } catch (err) {
+      // 403 Forbidden: bot can't initiate conversation with a user
+      wlogger.debug(`Unable to send private message to tgId ${prevUser.tgId}.`)
+    }
 
+    return prevUser
+  }
 
-If the room admin enabled Merit aging then your 'Merit' is calculated this way:
-Merit = token quantity X token age (in days)
-If you obtain fewer tokens, it will take more time to acquire the required merit. If you obtain more, it takes less time.
+  // Route presses of inline keyboard buttons to the library that created
+  // them.
+  async handleCallbackQuery (query) {
+    try {
+      if (_this.leaderboard.isCallback(query.data)) {
+        return _this.leaderboard.handleCallback(query)
+      }
+      if (_this.verifyFlow.isCallback(query.data)) {
+        return _this.verifyFlow.handleCallback(query)
+      }
 
+      // Stop the loading indicator of unknown buttons.
+      await _this.bot.answerCallbackQuery(query.id)
 
-A video walkthrough of how to join the VIP room can be found here:
-https://youtu.be/KOlM4dU6Gj0
+      return false
+    } catch (err) {
+      wlogger.error('Error in bot.js/handleCallbackQuery(): ', err)
+    }
+  }
 
-If you want to deploy this bot to your own telegram room the guide is at:
-https://read.cash/@tula_s/vip-bot-how-to-add-more-value-to-your-slp-tokens-f970dacc 
+  // Display help message to the user.
+  async help (msg) {
+    const lang = await _this._getLanguage(msg)
+    const outMsg = _this.i18n.t(lang, 'help')
 
+    const botMsg = await _this.bot.sendMessage(msg.chat.id, outMsg)
+    // console.log(`botMsg: ${JSON.stringify(botMsg, null, 2)}`)
 
-Available commands:
+    // Delete bot spam after some time.
+    _this.deleteBotSpam(msg, botMsg)
+  }
 
-  /help or /start
-    - Bring up this help message.
+  // Handler for the /language command. Syntax is:
+  // /language          Show the current and the available languages.
+  // /language <code>   Talk to the user in this language.
+  // /language auto     Use the language of the Telegram app of the user.
+  async language (msg) {
+    try {
+      let retVal = 0
+      let outMsg
 
-  /verify <BCH address> <signature>
-    - Verify that you own the Bitcoin Cash address by signing the word 'verify'. The bot will track the merit associated with this address.
+      const tgUser = await _this.TGUser.findOne({ tgId: msg.from.id })
+      let lang = _this.i18n.resolve(msg, tgUser)
 
-  /revoke <BCH address>
-    - Revoke ownership of a BCH address.
+      const languages = _this.i18n
+        .getLanguages()
+        .map(x => `${x} (${_this.i18n.getName(x)})`)
+        .join(', ')
+      const usage = _this.i18n.t(lang, 'languageUsage', { languages })
 
-  /merit
-    - Query your merit.
+      const msgParts = msg.text.toString().split(' ')
+      const code = msgParts[1] ? _this.i18n.normalize(msgParts[1]) : ''
 
-  /list
-    - List all the people in the channel that have enough merit to speak.
+      if (!tgUser) {
+        outMsg = _this.i18n.t(lang, 'userNotFound')
+      } else if (!code) {
+        outMsg = `${_this.i18n.t(lang, 'languageCurrent', {
+          language: _this.i18n.getName(lang),
+          code: lang
+        })}\n${usage}`
+        retVal = 1
+      } else if (code === 'auto') {
+        tgUser.language = ''
+        await tgUser.save()
 
-  /stats
-    - Return bot statistics (number of verified users and the sum of their merit).
+        lang = _this.i18n.resolve(msg, tgUser)
+        outMsg = _this.i18n.t(lang, 'languageAuto')
+        retVal = 2
+      } else if (!_this.i18n.isSupported(code)) {
+        outMsg = `${_this.i18n.t(lang, 'languageUnknown', { code })}\n${usage}`
+      } else {
+        tgUser.language = code
+        await tgUser.save()
 
+        outMsg = _this.i18n.t(code, 'languageChanged', {
+          language: _this.i18n.getName(code)
+        })
+        retVal = 2
+      }
 
-`
+      const botMsg = await _this.bot.sendMessage(msg.chat.id, outMsg)
 
-    const botMsg = await _this.bot.sendMessage(msg.chat.id, outMsg)
-    // console.log(`botMsg: ${JSON.stringify(botMsg, null, 2)}`)
+      // Delete bot spam after some time.
+      _this.deleteBotSpam(msg, botMsg)
 
-    // Delete bot spam after some time.
-    _this.deleteBotSpam(msg, botMsg)
+      return retVal
+    } catch (err) {
+      wlogger.error('Error in bot.js/language(): ', err)
+    }
   }
 
-  // Query the merit on another user (or yourself)
+  // Query the merit of another user (or yourself). Syntax is:
+  // /merit
+  // /merit @username
+  // /merit <BCH or SLP address>
   async getMerit (msg) {
     try {
       // console.log(`getMerit message: ${JSON.stringify(msg, null, 2)}`)
 
       let retVal = 0 // default return value
-      let botMsg
+      let outMsg
+      // Set when members query their own merit, which is sent to them
+      // privately. publicMsg respects their privacy settings.
+      let selfUser = null
+      let publicMsg
+
+      const lang = await _this._getLanguage(msg)
 
       // Convert the message into an array of parts.
       const msgParts = msg.text.toString().split(' ')
 
       if (msgParts.length === 1) {
-        const username = msg.from.username
+        const username = msg.from.username || msg.from.first_name
         // console.log(`username: ${username}`)
 
         const tgUser = await _this.TGUser.findOne({ tgId: msg.from.id })
 
         if (!tgUser) {
-          botMsg = await _this.bot.sendMessage(msg.chat.id, 'User not found.')
+          outMsg = _this.i18n.t(lang, 'userNotFound')
         } else {
           retVal = 1
-          const merit = tgUser.merit
-          botMsg = await _this.bot.sendMessage(
-            msg.chat.id,
-            `User ${username} has a merit score of ${merit}`
-          )
+          const room = await _this.getRoom(msg.chat.id)
+
+          const name = _this.i18n.t(lang, 'meritUser', { username })
+          outMsg = await _this._getMeritMsg(tgUser, room, name, true, lang)
+          publicMsg = await _this._getMeritMsg(tgUser, room, name, false, lang)
+          selfUser = tgUser
+        }
+      } else if (msgParts.length === 2) {
+        const lookup = await _this._findMember(msg, msgParts[1], lang)
+
+        if (!lookup.tgUser) {
+          outMsg = lookup.reason
+        } else {
+          retVal = 1
+          const room = await _this.getRoom(msg.chat.id)
+
+          const reason = _this._getHiddenMeritReason(lookup, room, msg, lang)
+          const isSelf = lookup.tgUser.tgId === msg.from.id
+          if (reason) {
+            outMsg = reason
+          } else if (isSelf) {
+            outMsg = await _this._getMeritMsg(lookup.tgUser, room, lookup.name, true, lang)
+            publicMsg = await _this._getMeritMsg(lookup.tgUser, room, lookup.name, false, lang)
+            selfUser = lookup.tgUser
+          } else {
+            outMsg = await _this._getMeritMsg(lookup.tgUser, room, lookup.name, false, lang)
+          }
         }
       } else {
-        const retMsg = 'Wrong number of arguments.'
-        botMsg = await _this.bot.sendMessage(msg.chat.id, retMsg)
+        outMsg = _this.i18n.t(lang, 'wrongArguments')
       }
 
+      const botMsg = selfUser
+        ? await _this.privacy.replyPrivately(msg, selfUser, outMsg, publicMsg, {
+          mention: false
+        })
+        : await _this.bot.sendMessage(msg.chat.id, outMsg)
+
       // Delete bot spam after some time.
       _this.deleteBotSpam(msg, botMsg)
 
@@ -445,15 +1294,121 @@ Available commands:
     }
   }
 
+  // Generate the reply to /merit for a user whose merit may be shown. Unless
+  // exact is true, the merit is shown according to the privacy settings of
+  // the user.
+  async _getMeritMsg (tgUser, room, name, exact, lang) {
+    const roomState = _this._getRoomState(tgUser, room.chatId)
+
+    const settings = _this.privacy.getSettings(tgUser)
+    const showExact = exact || settings.merit === 'exact'
+    const merit = showExact
+      ? `${roomState.merit}`
+      : _this.privacy.formatMerit(tgUser, roomState.merit, lang)
+    if (merit === null) return _this.i18n.t(lang, 'meritPrivate', { name })
+
+    let outMsg = roomState.tier
+      ? _this.i18n.t(lang, 'meritScoreTier', { name, merit, tier: roomState.tier })
+      : _this.i18n.t(lang, 'meritScore', { name, merit })
+
+    // The merit change would reveal the exact merit.
+    const meritChange = showExact
+      ? await _this._getMeritChange(tgUser, room.chatId)
+      : null
+    if (meritChange) {
+      const sign = meritChange.change >= 0 ? '+' : ''
+      outMsg += ` ${_this.i18n.t(lang, 'meritChange', {
+        date: new Date(meritChange.since).toUTCString(),
+        change: `${sign}${meritChange.change}`
+      })}`
+    }
+
+    return outMsg
+  }
+
+  // Find the member targeted by /merit, by @username, text mention or claimed
+  // address. Returns an object with the tg-user model and the name to use in
+  // the reply, or an object with the reason the member was not found.
+  async _findMember (msg, arg, lang) {
+    // Users without a username are mentioned with a text mention.
+    const entities = msg.entities || []
+    const textMention = entities.find(x => x.type === 'text_mention')
+    if (textMention) {
+      const tgUser = await _this.TGUser.findOne({ tgId: textMention.user.id })
+      if (!tgUser) {
+        return { reason: _this.i18n.t(lang, 'memberNotFound', { name: arg }) }
+      }
+
+      return { tgUser, name: textMention.user.first_name || arg }
+    }
+
+    if (arg.startsWith('@')) {
+      const tgUser = await _this.TGUser.findOne({ username: arg.slice(1) })
+      if (!tgUser) {
+        return { reason: _this.i18n.t(lang, 'memberNotFound', { name: arg }) }
+      }
+
+      return { tgUser, name: arg }
+    }
+
+    // Otherwise the argument must be an address.
+    let slpAddr
+    try {
+      slpAddr = _this.bch.bchjs.SLP.Address.toSLPAddress(arg)
+    } catch (err) {
+      return { reason: _this.i18n.t(lang, 'notMemberOrAddress', { arg }) }
+    }
+
+    const tgUser = await _this.TGUser.findOne({ 'addresses.slpAddr': slpAddr })
+    if (!tgUser) return { reason: _this.i18n.t(lang, 'addressNotClaimed') }
+
+    // The username is not revealed, so that addresses can not be linked to
+    // members.
+    return {
+      tgUser,
+      name: _this.i18n.t(lang, 'addressHolder'),
+      isAddress: true
+    }
+  }
+
+  // Returns the reason the merit of a member found by _findMember() is not
+  // shown, or false if it can be shown.
+  _getHiddenMeritReason (lookup, room, msg, lang) {
+    const { tgUser, name } = lookup
+
+    // Members can always see their own merit.
+    const isSelf = tgUser.tgId === msg.from.id
+
+    if (!isSelf && _this.privacy.getSettings(tgUser).merit === 'hidden') {
+      return _this.i18n.t(lang, 'meritPrivate', { name })
+    }
+
+    const roomState = _this._getRoomState(tgUser, room.chatId)
+    if (!roomState.lastVerified) {
+      return _this.i18n.t(lang, 'meritNeverVerified', { name })
+    }
+
+    const lastVerified = new Date(roomState.lastVerified)
+    const age = new Date().getTime() - lastVerified.getTime()
+    if (age > room.reverifyInterval) {
+      return _this.i18n.t(lang, lookup.isAddress ? 'addressMeritStale' : 'meritStale', {
+        name,
+        date: lastVerified.toUTCString()
+      })
+    }
+
+    return false
+  }
+
   // This function will delete the bot messages after a short time window. This
   // prevents bot spam in the channel.
-  deleteBotSpam (msg, botMsg) {
+  deleteBotSpam (msg, botMsg, delay = 30000) {
     // If this command is issued in the group, delete it after the user has had
     // a chance to read it. This will prevent bot spam.
     if (msg.chat.type === 'supergroup') {
       const timerHandle = setTimeout(async function () {
         await _this._deleteMsgs(msg, botMsg)
-      }, 30000) // 30 seconds.
+      }, delay) // 30 seconds by default.
 
       return timerHandle
     }
@@ -464,9 +1419,18 @@ Available commands:
     await _this._deleteMsgQuietly(botMsg.chat.id, botMsg.message_id)
   }
 
-  async _deleteMsg (msg) {
+  // Delete a message of a user who is not allowed to post it. The deletion is
+  // recorded in the audit trail with the reason.
+  async _deleteMsg (msg, reason = '', details = {}) {
     if (msg.chat.type !== 'supergroup') return
     await _this._deleteMsgQuietly(msg.chat.id, msg.message_id)
+
+    await _this._audit(
+      'message-deleted',
+      msg,
+      null,
+      Object.assign({ reason, messageId: msg.message_id }, details)
+    )
   }
 
   async _deleteMsgQuietly (chatId, msgId) {
@@ -483,6 +1447,9 @@ Available commands:
     try {
       let retVal = 0 // Default return value.
       let retMsg = ''
+      let mention = false // Mention the user in the reply.
+
+      const lang = await _this._getLanguage(msg)
 
       // Convert the message into an array of parts.
       const msgParts = msg.text.toString().split(' ')
@@ -494,44 +1461,63 @@ Available commands:
 
         const bchAddr = msgParts[1]
 
-        const tgUser = await _this.TGUser.findOne({ bchAddr })
+        const tgUser = await _this.TGUser.findOne({ 'addresses.bchAddr': bchAddr })
 
         // If no user is found, return false.
         if (!tgUser) {
-          retMsg = `A user with address ${bchAddr} could not be found in the database`
+          retMsg = _this.i18n.t(lang, 'revokeNotFound', { address: bchAddr })
           retVal = 2
         } else {
           // User was found in the database.
+          mention = true
 
-          const msgSender = msg.from.username
+          // Only the user who 'owns' the address, identified by their
+          // Telegram user ID, can revoke it.
+          if (tgUser.tgId !== msg.from.id) {
+            await _this._audit('revoke-denied', msg, tgUser, { bchAddr })
 
-          // If the user is the same one who 'owns' the address, then return false.
-          if (msgSender !== tgUser.username) {
-            retMsg = `@${
-              msg.from.username
-            } you do not own address ${bchAddr}, so you can not revoke ownership of it.`
+            retMsg = _this.i18n.t(lang, 'revokeNotOwner', { address: bchAddr })
             retVal = 3
           } else {
             // User is currently assigned the address.
 
-            // Update the tg-user model for this user.
-            tgUser.bchAddr = ''
-            tgUser.slpAddr = ''
-            tgUser.hasVerified = false
-            tgUser.merit = 0
-            await tgUser.save()
-
-            retMsg = `@${
-              msg.from.username
-            } you have successfully revoked ownership of address ${bchAddr}`
+            // Remove the address from the tg-user model for this user.
+            tgUser.addresses = tgUser.addresses.filter(
+              x => x.bchAddr !== bchAddr
+            )
+
+            if (tgUser.addresses.length) {
+              // Recalculate the merit of the remaining addresses in every
+              // room the user has verified in.
+              const rooms = await _this.getRooms()
+              for (let i = 0; i < rooms.length; i++) {
+                const room = rooms[i]
+
+                const inRoom = tgUser.rooms.find(x => x.chatId === room.chatId)
+                if (inRoom) await _this.reverifyMerit(tgUser, room, 'revoke')
+              }
+            } else {
+              tgUser.rooms.forEach(roomState => {
+                roomState.hasVerified = false
+                roomState.merit = 0
+                roomState.graceUntil = ''
+              })
+              await tgUser.save()
+            }
+
+            await _this._audit('revoke', msg, tgUser, { bchAddr })
+
+            retMsg = _this.i18n.t(lang, 'revoked', { address: bchAddr })
             retVal = 4
           }
         }
       } else {
-        retMsg = 'Wrong number of arguments.'
+        retMsg = _this.i18n.t(lang, 'wrongArguments')
       }
 
-      const botMsg = await _this.bot.sendMessage(msg.chat.id, retMsg)
+      const botMsg = mention
+        ? await _this._sendMention(msg.chat.id, msg.from, retMsg)
+        : await _this.bot.sendMessage(msg.chat.id, retMsg)
 
       // Delete bot spam after some time.
       _this.deleteBotSpam(msg, botMsg)
@@ -547,15 +1533,29 @@ Available commands:
   // List all the people that have the ability to speak in the VIP room.
   async list (msg) {
     try {
-      const users = await _this.TGUser.find({ hasVerified: true })
+      const lang = await _this._getLanguage(msg)
+      const room = await _this.getRoom(msg.chat.id)
+      const users = await _this.TGUser.find({
+        rooms: { $elemMatch: { chatId: room.chatId, hasVerified: true } }
+      })
       // console.log(`users: ${JSON.stringify(users, null, 2)}`)
 
-      let outStr = 'Verified users in this channel:\n'
+      let outStr = `${_this.i18n.t(lang, 'listHeader')}\n`
+      let unlisted = 0
       for (let i = 0; i < users.length; i++) {
         const thisUser = users[i]
 
+        // Members can opt out of the list with /privacy.
+        if (!_this.privacy.getSettings(thisUser).listed) {
+          unlisted++
+          continue
+        }
+
         if (thisUser.username) { outStr += `@${thisUser.username}\n` } else { outStr += `tgId: ${thisUser.tgId}\n` }
       }
+      if (unlisted) {
+        outStr += `${_this.i18n.t(lang, 'listUnlisted', { count: unlisted })}\n`
+      }
       outStr += '\n'
 
       // console.log(`${outStr}`)
@@ -571,7 +1571,11 @@ Available commands:
 
   async stats (msg) {
     try {
-      const users = await _this.TGUser.find({ hasVerified: true })
+      const lang = await _this._getLanguage(msg)
+      const room = await _this.getRoom(msg.chat.id)
+      const users = await _this.TGUser.find({
+        rooms: { $elemMatch: { chatId: room.chatId, hasVerified: true } }
+      })
       // console.log(`users: ${JSON.stringify(users, null, 2)}`)
 
       let outStr = ''
@@ -579,10 +1583,12 @@ Available commands:
       for (let i = 0; i < users.length; i++) {
         const thisUser = users[i]
 
-        totalMerit += thisUser.merit
+        totalMerit += _this._getRoomState(thisUser, room.chatId).merit
       }
-      outStr += `verified users: ${users.length}\n`
-      outStr += `total merit: ${totalMerit}\n`
+      outStr += `${_this.i18n.t(lang, 'stats', {
+        count: users.length,
+        merit: totalMerit
+      })}\n`
 
       // console.log(`${outStr}`)
 
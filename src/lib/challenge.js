@@ -0,0 +1,97 @@
+/*
+  This library contains methods for issuing and redeeming the per-user
+  challenges used by the /verify command.
+
+  Signing a fixed word would allow anyone to replay a signature posted in the
+  public room. Instead, each user is issued a random challenge that is bound to
+  their Telegram ID and chat, expires after a short time, and can only be
+  redeemed once.
+*/
+
+// Public npm libraries
+const crypto = require('crypto')
+
+// Local libraries
+const ChallengeModel = require('../models/challenge')
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class Challenge {
+  constructor () {
+    // Using constants here so they can be manipulated in tests.
+    this.CHALLENGE_LIFETIME =
+      Number(process.env.CHALLENGE_LIFETIME) || 60000 * 10 // 10 minutes.
+
+    // Encapsulate external dependencies.
+    this.ChallengeModel = ChallengeModel
+
+    _this = this
+  }
+
+  // Issue a new challenge for a user in a chat. Any challenge previously issued
+  // to the user in that chat is invalidated.
+  async create (tgId, chatId) {
+    try {
+      await _this.ChallengeModel.deleteMany({ tgId, chatId, used: false })
+
+      const nonce = crypto.randomBytes(8).toString('hex')
+      const now = new Date()
+
+      const challenge = new _this.ChallengeModel({
+        tgId,
+        chatId,
+        nonce,
+        text: `vip-bot verify ${nonce}`,
+        expires: new Date(now.getTime() + _this.CHALLENGE_LIFETIME)
+      })
+      await challenge.save()
+
+      return challenge
+    } catch (err) {
+      console.error('Error in challenge.js/create()')
+      throw err
+    }
+  }
+
+  // Get the unused challenge issued to a user in a chat. Returns null if there
+  // is none.
+  async getActive (tgId, chatId) {
+    try {
+      const challenge = await _this.ChallengeModel.findOne({
+        tgId,
+        chatId,
+        used: false
+      })
+
+      return challenge
+    } catch (err) {
+      console.error('Error in challenge.js/getActive()')
+      throw err
+    }
+  }
+
+  // Returns true if the challenge has expired.
+  isExpired (challenge) {
+    const now = new Date()
+    return new Date(challenge.expires).getTime() < now.getTime()
+  }
+
+  // Mark the challenge as used. The update is atomic, so that a challenge can
+  // not be redeemed twice by concurrent requests. Returns true if the challenge
+  // was redeemed by this call.
+  async redeem (challenge) {
+    try {
+      const result = await _this.ChallengeModel.findOneAndUpdate(
+        { _id: challenge._id, used: false },
+        { used: true }
+      )
+
+      return Boolean(result)
+    } catch (err) {
+      console.error('Error in challenge.js/redeem()')
+      throw err
+    }
+  }
+}
+
+module.exports = Challenge
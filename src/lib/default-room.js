@@ -0,0 +1,31 @@
+/*
+  Settings of the default room. The default room is configured with
+  environment variables, and its settings are used for any chat that is not in
+  the Room collection. They are shared by the bot and the REST API.
+*/
+
+const TWENTY_FOUR_HOURS = 60000 * 60 * 24
+
+// Returns the settings of the default room, read from the environment.
+function getDefaultRoom () {
+  return {
+    chatId: Number(process.env.CHATID),
+    title: '',
+    tokenId: process.env.TOKEN_ID || '',
+    threshold: Number(process.env.MERIT_THRESHOLD ?? 30000),
+    reverifyInterval: TWENTY_FOUR_HOURS,
+    gracePeriod: process.env.GRACE_PERIOD
+      ? Number(process.env.GRACE_PERIOD)
+      : TWENTY_FOUR_HOURS,
+    joinRequestTimeout:
+      Number(process.env.JOIN_REQUEST_TIMEOUT) || TWENTY_FOUR_HOURS,
+    enforcement: process.env.ENFORCEMENT_MODE || 'delete',
+    tiers: [],
+    messages: {}
+  }
+}
+
+module.exports = {
+  TWENTY_FOUR_HOURS,
+  getDefaultRoom
+}
@@ -0,0 +1,99 @@
+/*
+  An offline stand-in for minimal-slp-wallet and bch-merit-lib, used when the
+  bchInterface config setting is 'fixture'. It answers balance, merit and UTXO
+  queries from a JSON fixture file, so that the bot can run end to end on a
+  machine without access to a blockchain indexer.
+
+  The fixture file has this format. Addresses may be given in cash or SLP
+  format. Addresses that are not in the file have no UTXOs and no merit.
+
+  {
+    "addresses": {
+      "bitcoincash:qp...": {
+        "merit": { "<token ID>": 50000 },
+        "utxos": {
+          "bchUtxos": [{ "height": 0, "tx_hash": "...", "tx_pos": 0, "value": 1000 }],
+          "slpUtxos": {
+            "type1": { "tokens": [{ "tokenId": "...", "tokenQty": "10", ... }], "mintBatons": [] },
+            "nft": { "tokens": [{ "tokenId": "...", "groupId": "...", ... }] },
+            "group": { "tokens": [], "mintBatons": [] }
+          }
+        }
+      }
+    }
+  }
+*/
+
+// Public npm libraries
+const fs = require('fs')
+
+class FixtureWallet {
+  constructor (config) {
+    if (!config || !config.fixtureFile) {
+      throw new Error(
+        'Path to the fixture file must be passed when instantiating FixtureWallet.'
+      )
+    }
+    if (!config.bchjs) {
+      throw new Error(
+        'Instance of bch-js must be passed when instantiating FixtureWallet.'
+      )
+    }
+    this.bchjs = config.bchjs
+
+    // Index the fixture by cash address.
+    const fixture = JSON.parse(fs.readFileSync(config.fixtureFile, 'utf8'))
+    this.addresses = {}
+    Object.keys(fixture.addresses || {}).forEach(addr => {
+      this.addresses[this._toCashAddress(addr)] = fixture.addresses[addr]
+    })
+
+    // Mimic the bch-merit-lib interface used by the aged merit provider.
+    this.merit = {
+      agMerit: (addr, tokenId) => this.getMerit(addr, tokenId)
+    }
+  }
+
+  // Get the UTXOs of an address, in the format returned by minimal-slp-wallet.
+  async getUtxos (addr) {
+    const entry = this.addresses[this._toCashAddress(addr)] || {}
+    const utxos = entry.utxos || {}
+    const slpUtxos = utxos.slpUtxos || {}
+
+    return {
+      address: this._toCashAddress(addr),
+      bchUtxos: utxos.bchUtxos || [],
+      slpUtxos: {
+        type1: Object.assign({ tokens: [], mintBatons: [] }, slpUtxos.type1),
+        nft: Object.assign({ tokens: [] }, slpUtxos.nft),
+        group: Object.assign({ tokens: [], mintBatons: [] }, slpUtxos.group)
+      }
+    }
+  }
+
+  // Get the BCH balance of an address in satoshis.
+  async getBalance (inObj = {}) {
+    const utxos = await this.getUtxos(inObj.bchAddress)
+
+    let sats = 0
+    utxos.bchUtxos.forEach(elem => {
+      sats += Number(elem.value)
+    })
+
+    return sats
+  }
+
+  // Get the aged merit of an address for a token.
+  async getMerit (addr, tokenId) {
+    const entry = this.addresses[this._toCashAddress(addr)] || {}
+    const merit = entry.merit || {}
+
+    return Number(merit[tokenId]) || 0
+  }
+
+  _toCashAddress (addr) {
+    return this.bchjs.SLP.Address.toCashAddress(addr)
+  }
+}
+
+module.exports = FixtureWallet
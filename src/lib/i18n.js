@@ -0,0 +1,211 @@
+/*
+  This library translates the messages of the bot.
+
+  Messages are looked up by key in a catalog for each language. Catalogs are
+  the files in the locales directory, named after the language code, like
+  en.js. English is the fallback for languages without a catalog, and for keys
+  missing from a catalog.
+
+  The language of a user is the one they chose with the /language command,
+  otherwise the language of their Telegram app.
+
+  Admins can replace messages with templates stored in the database, through
+  the /templates REST API. Templates are reloaded periodically, so changes are
+  picked up without restarting the bot.
+*/
+
+const fs = require('fs')
+const path = require('path')
+
+// Local libraries
+const MessageTemplate = require('../models/message-template')
+const wlogger = require('./wlogger')
+
+const DEFAULT_LANGUAGE = 'en'
+const PLACEHOLDER_REGEX = /{(\w+)}/g
+
+class I18n {
+  constructor (localConfig = {}) {
+    this.localesDir = localConfig.localesDir || path.join(__dirname, 'locales')
+
+    // Load the catalog of each language.
+    this.catalogs = {}
+    fs.readdirSync(this.localesDir)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => {
+        const lang = path.basename(file, '.js')
+        this.catalogs[lang] = require(path.join(this.localesDir, file))
+      })
+
+    if (!this.catalogs[DEFAULT_LANGUAGE]) {
+      throw new Error(
+        `Message catalog for the default language '${DEFAULT_LANGUAGE}' not found in ${this.localesDir}.`
+      )
+    }
+
+    // Encapsulate external dependencies.
+    this.MessageTemplate = MessageTemplate
+
+    // Templates loaded from the database, by language and name.
+    this.templates = {}
+
+    // Using constants here so they can be manipulated in tests.
+    // How often templates are reloaded from the database.
+    this.REFRESH_INTERVAL =
+      Number(process.env.TEMPLATE_REFRESH_INTERVAL) || 60000
+
+    this.timerHandle = null
+  }
+
+  // Translate a message. Placeholders like {name} in the message are replaced
+  // by the matching property of params.
+  t (lang, key, params = {}) {
+    let text = this._lookup(lang, key)
+    if (text === undefined) text = this._lookup(DEFAULT_LANGUAGE, key)
+    if (text === undefined) return key
+
+    return text.replace(PLACEHOLDER_REGEX, (match, name) =>
+      params[name] === undefined ? match : `${params[name]}`
+    )
+  }
+
+  // Get the text of a message in a language. Templates edited by admins take
+  // precedence over the catalog.
+  _lookup (lang, key) {
+    const templates = this.templates[lang] || {}
+    if (templates[key] !== undefined) return templates[key]
+
+    const catalog = this.catalogs[lang] || {}
+    return catalog[key]
+  }
+
+  // Load the templates edited by admins from the database. The templates
+  // loaded previously are kept if the database can not be reached.
+  async loadTemplates () {
+    try {
+      const docs = await this.MessageTemplate.find({})
+
+      const templates = {}
+      docs.forEach(doc => {
+        if (!templates[doc.language]) templates[doc.language] = {}
+        templates[doc.language][doc.name] = doc.text
+      })
+      this.templates = templates
+
+      return docs.length
+    } catch (err) {
+      wlogger.error('Error in i18n.js/loadTemplates(): ', err)
+      return false
+    }
+  }
+
+  // Start reloading the templates periodically.
+  start () {
+    this.stop()
+    this.timerHandle = setInterval(
+      () => this.loadTemplates(),
+      this.REFRESH_INTERVAL
+    )
+  }
+
+  // Stop reloading the templates.
+  stop () {
+    if (this.timerHandle) clearInterval(this.timerHandle)
+    this.timerHandle = null
+  }
+
+  // Returns the names of the messages that can be replaced by a template.
+  getTemplateNames () {
+    return Object.keys(this.catalogs[DEFAULT_LANGUAGE])
+  }
+
+  // Returns the placeholders a message can use. They are the placeholders of
+  // the English catalog entry, which the bot fills in when sending it.
+  getPlaceholders (name) {
+    const text = this.catalogs[DEFAULT_LANGUAGE][name] || ''
+
+    const placeholders = []
+    text.replace(PLACEHOLDER_REGEX, (match, placeholder) => {
+      if (!placeholders.includes(placeholder)) placeholders.push(placeholder)
+      return match
+    })
+
+    return placeholders
+  }
+
+  // Throws an error if a template can not be used by the bot.
+  validateTemplate (name, language, text) {
+    if (!this.getTemplateNames().includes(name)) {
+      throw new Error(`Unknown message template '${name}'.`)
+    }
+
+    if (!this.isSupported(language)) {
+      throw new Error(
+        `Unknown language '${language}'. Valid languages are: ${this.getLanguages().join(
+          ', '
+        )}`
+      )
+    }
+
+    if (!text || typeof text !== 'string') {
+      throw new Error("Property 'text' must be a string!")
+    }
+
+    const allowed = this.getPlaceholders(name)
+    const unknown = []
+    text.replace(PLACEHOLDER_REGEX, (match, placeholder) => {
+      if (!allowed.includes(placeholder) && !unknown.includes(placeholder)) {
+        unknown.push(placeholder)
+      }
+      return match
+    })
+
+    if (unknown.length) {
+      throw new Error(
+        `Unknown placeholders in template '${name}': ${unknown
+          .map(x => `{${x}}`)
+          .join(', ')}. Valid placeholders are: ${
+          allowed.length ? allowed.map(x => `{${x}}`).join(', ') : 'none'
+        }`
+      )
+    }
+
+    return true
+  }
+
+  // Get the language to talk to a user in. The tgUser model is optional.
+  resolve (msg, tgUser) {
+    if (tgUser && tgUser.language && this.isSupported(tgUser.language)) {
+      return tgUser.language
+    }
+
+    const lang = this.normalize(msg && msg.from && msg.from.language_code)
+    if (this.isSupported(lang)) return lang
+
+    return DEFAULT_LANGUAGE
+  }
+
+  // Telegram language codes are IETF language tags, like 'pt-br'. Only the
+  // language part is used.
+  normalize (languageCode) {
+    if (!languageCode) return ''
+
+    return languageCode.toString().toLowerCase().split('-')[0]
+  }
+
+  isSupported (lang) {
+    return Boolean(this.catalogs[lang])
+  }
+
+  // Returns the codes of the available languages.
+  getLanguages () {
+    return Object.keys(this.catalogs).sort()
+  }
+
+  // Name of a language in that language, like 'Español'.
+  getName (lang) {
+    return this.t(lang, 'languageName')
+  }
+}
+
+module.exports = I18n
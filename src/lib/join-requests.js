@@ -0,0 +1,256 @@
+/*
+  This library handles requests to join rooms that require admin approval of
+  new members.
+
+  Each requester is sent the verification instructions in a private chat. The
+  request is held until they verify an address with enough merit using the
+  /verify command in that chat, and is then approved. Requests that are not
+  approved before the join request timeout of the room are declined.
+*/
+
+// Local libraries
+const JoinRequest = require('../models/join-request')
+const wlogger = require('./wlogger')
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class JoinRequests {
+  constructor (config) {
+    // An instance of the Bot library is required, as it is used to look up
+    // rooms, calculate merit and talk to Telegram.
+    if (!config || !config.bot) {
+      throw new Error(
+        'Instance of the Bot library must be passed when instantiating JoinRequests.'
+      )
+    }
+    this.bot = config.bot
+
+    // Using constants here so they can be manipulated in tests.
+    // How often expired requests are declined.
+    this.EXPIRE_INTERVAL = 60000 // 1 minute.
+
+    // Encapsulate external dependencies.
+    this.JoinRequest = JoinRequest
+
+    this.timerHandle = null
+
+    _this = this
+  }
+
+  // Start periodically declining expired requests.
+  start () {
+    _this.timerHandle = setInterval(_this.expire, _this.EXPIRE_INTERVAL)
+
+    return _this.timerHandle
+  }
+
+  // Stop periodically declining expired requests.
+  stop () {
+    clearInterval(_this.timerHandle)
+    _this.timerHandle = null
+  }
+
+  // Handler for chat_join_request updates from Telegram. Returns 'approved',
+  // 'pending', or 'failed' if Telegram did not accept the approval.
+  async handleRequest (req) {
+    try {
+      wlogger.debug('handleRequest: ', req)
+
+      const room = await _this.bot.getRoom(req.chat.id)
+      const userChatId = req.user_chat_id || req.from.id
+
+      // Create a new user model if the user has not been seen before.
+      let tgUser = await _this.bot.TGUser.findOne({ tgId: req.from.id })
+      if (!tgUser) {
+        tgUser = new _this.bot.TGUser({
+          username: req.from.username,
+          tgId: req.from.id
+        })
+        await tgUser.save()
+      }
+
+      // Users who already claimed addresses with enough merit are approved
+      // right away.
+      if (tgUser.addresses.length) {
+        const isVerified = await _this.bot.reverifyMerit(
+          tgUser,
+          room,
+          'join-request'
+        )
+        if (isVerified) {
+          const isApproved = await _this._approve(room.chatId, req.from.id)
+          return isApproved ? 'approved' : 'failed'
+        }
+      }
+
+      // Hold the request until the user verifies their merit.
+      await _this.JoinRequest.deleteMany({
+        tgId: req.from.id,
+        chatId: room.chatId,
+        status: 'pending'
+      })
+      const now = new Date()
+      const joinRequest = new _this.JoinRequest({
+        tgId: req.from.id,
+        chatId: room.chatId,
+        userChatId,
+        expires: new Date(now.getTime() + room.joinRequestTimeout)
+      })
+      await joinRequest.save()
+
+      // Send the verification instructions, with a challenge to sign.
+      const challenge = await _this.bot.challenge.create(req.from.id, userChatId)
+      const lang = _this.bot.i18n.resolve(req, tgUser)
+      const outMsg = _this.bot.i18n.t(lang, 'joinInstructions', {
+        room: room.title || _this.bot.i18n.t(lang, 'defaultRoomName'),
+        threshold: room.threshold,
+        challenge: challenge.text,
+        hours: Math.round(room.joinRequestTimeout / (60000 * 60))
+      })
+      await _this.bot.bot.sendMessage(userChatId, outMsg)
+
+      return 'pending'
+    } catch (err) {
+      const now = new Date()
+      wlogger.error(
+        `Error in join-requests.js/handleRequest() at ${now.toLocaleString()}: `,
+        err
+      )
+    }
+  }
+
+  // Approve the pending join requests of a user, in every room where their
+  // merit meets the threshold. Called after the user verified an address in a
+  // private chat. Returns the number of approved requests.
+  async approvePending (tgUser) {
+    const lang = _this.bot.i18n.resolve(null, tgUser)
+
+    const requests = await _this.JoinRequest.find({
+      tgId: tgUser.tgId,
+      status: 'pending'
+    })
+
+    let approvedCnt = 0
+    for (let i = 0; i < requests.length; i++) {
+      const joinRequest = requests[i]
+
+      // Expired requests are declined by expire().
+      const now = new Date()
+      if (new Date(joinRequest.expires).getTime() < now.getTime()) continue
+
+      const room = await _this.bot.getRoom(joinRequest.chatId)
+      const roomName = room.title || _this.bot.i18n.t(lang, 'defaultRoomName')
+
+      const isVerified = await _this.bot.reverifyMerit(
+        tgUser,
+        room,
+        'join-request'
+      )
+      if (!isVerified) {
+        const roomState = _this.bot._getRoomState(tgUser, room.chatId)
+        await _this._sendQuietly(
+          joinRequest.userChatId,
+          _this.bot.i18n.t(lang, 'joinBelowThreshold', {
+            merit: roomState.merit,
+            threshold: room.threshold,
+            room: roomName
+          })
+        )
+        continue
+      }
+
+      // The request is no longer pending in Telegram, even if the approval
+      // failed.
+      const isApproved = await _this._approve(room.chatId, tgUser.tgId)
+      joinRequest.status = isApproved ? 'approved' : 'failed'
+      await joinRequest.save()
+      if (!isApproved) continue
+      approvedCnt++
+
+      await _this._sendQuietly(
+        joinRequest.userChatId,
+        _this.bot.i18n.t(lang, 'joinApproved', { room: roomName })
+      )
+    }
+
+    return approvedCnt
+  }
+
+  // Approve a join request in Telegram. Returns false if Telegram rejects the
+  // call, for example because an admin already handled the request or it
+  // expired.
+  async _approve (chatId, tgId) {
+    try {
+      await _this.bot.bot.approveChatJoinRequest(chatId, tgId)
+
+      return true
+    } catch (err) {
+      wlogger.error(
+        `Unable to approve join request of tgId ${tgId} in chat ${chatId}: `,
+        err.message
+      )
+
+      return false
+    }
+  }
+
+  // Decline all pending requests that have expired. Returns the number of
+  // declined requests.
+  async expire () {
+    try {
+      const now = new Date()
+      const requests = await _this.JoinRequest.find({
+        status: 'pending',
+        expires: { $lt: now }
+      })
+
+      for (let i = 0; i < requests.length; i++) {
+        const joinRequest = requests[i]
+
+        try {
+          await _this.bot.bot.declineChatJoinRequest(
+            joinRequest.chatId,
+            joinRequest.tgId
+          )
+        } catch (err) {
+          // The request may have been handled by an admin already.
+          wlogger.debug(
+            `Unable to decline join request of tgId ${joinRequest.tgId}.`
+          )
+        }
+
+        joinRequest.status = 'declined'
+        await joinRequest.save()
+
+        const lang = await _this.bot._getLanguage({
+          from: { id: joinRequest.tgId }
+        })
+        await _this._sendQuietly(
+          joinRequest.userChatId,
+          _this.bot.i18n.t(lang, 'joinDeclined')
+        )
+      }
+
+      return requests.length
+    } catch (err) {
+      const now = new Date()
+      wlogger.error(
+        `Error in join-requests.js/expire() at ${now.toLocaleString()}: `,
+        err
+      )
+      return 0
+    }
+  }
+
+  // Send a private message, ignoring users who blocked the bot.
+  async _sendQuietly (chatId, outMsg) {
+    try {
+      await _this.bot.bot.sendMessage(chatId, outMsg)
+    } catch (err) {
+      // 403 Forbidden: bot was blocked by the user
+      wlogger.debug(`Unable to send message to chat ${chatId}.`)
+    }
+  }
+}
+
+module.exports = JoinRequests
@@ -0,0 +1,287 @@
+/*
+  This library contains the /leaderboard command, which ranks the verified
+  members of a room by merit.
+
+  Members have to opt in to appear by name. Other members are listed as
+  anonymous entries, so that the totals still add up. The merit of each member
+  is shown according to their privacy settings, so members who hide their
+  merit are ranked without it being shown. The rank change of each member is
+  calculated from the merit history, by comparing their rank now to their rank
+  at the start of the leaderboard period.
+
+  The leaderboard is paginated with inline keyboard buttons.
+*/
+
+// Local libraries
+const wlogger = require('./wlogger')
+
+// Prefix of the callback data of the pagination buttons.
+const CALLBACK_PREFIX = 'lb'
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class Leaderboard {
+  constructor (config) {
+    // An instance of the Bot library is required, as it is used to look up
+    // rooms and users and to talk to Telegram.
+    if (!config || !config.bot) {
+      throw new Error(
+        'Instance of the Bot library must be passed when instantiating Leaderboard.'
+      )
+    }
+    this.bot = config.bot
+
+    // Using constants here so they can be manipulated in tests.
+    // Rank changes are shown relative to the start of this period.
+    this.PERIOD = Number(process.env.LEADERBOARD_PERIOD) || 60000 * 60 * 24 * 7
+    // Default and maximum number of entries per page.
+    this.PAGE_SIZE = 10
+    this.MAX_PAGE_SIZE = 50
+    // Leaderboards stay in the room longer than other bot messages, so that
+    // they can be paged through.
+    this.DELETE_DELAY = 60000 * 5
+
+    _this = this
+  }
+
+  // Handler for the /leaderboard command. Syntax is:
+  // /leaderboard [n]       Show the leaderboard with n entries per page.
+  // /leaderboard on|off    Opt in or out of appearing by name.
+  async show (msg) {
+    try {
+      const msgParts = msg.text.toString().split(' ')
+      const arg = msgParts[1]
+
+      if (arg === 'on' || arg === 'off') {
+        return _this.setOptIn(msg, arg === 'on')
+      }
+
+      const lang = await _this.bot._getLanguage(msg)
+
+      let pageSize = _this.PAGE_SIZE
+      if (arg) {
+        pageSize = Math.floor(Number(arg))
+        if (isNaN(pageSize) || pageSize < 1) {
+          const botMsg = await _this.bot.bot.sendMessage(
+            msg.chat.id,
+            _this.bot.i18n.t(lang, 'leaderboardUsage')
+          )
+          _this.bot.deleteBotSpam(msg, botMsg)
+          return 0
+        }
+        pageSize = Math.min(pageSize, _this.MAX_PAGE_SIZE)
+      }
+
+      const room = await _this.bot.getRoom(msg.chat.id)
+      const ranking = await _this.getRanking(room, lang)
+      const page = _this.formatPage(ranking, 0, pageSize, lang)
+
+      const botMsg = await _this.bot.bot.sendMessage(msg.chat.id, page.text, {
+        reply_markup: page.replyMarkup
+      })
+
+      // Delete bot spam after some time.
+      _this.bot.deleteBotSpam(msg, botMsg, _this.DELETE_DELAY)
+
+      return 1
+    } catch (err) {
+      wlogger.error('Error in leaderboard.js/show(): ', err)
+    }
+  }
+
+  // Opt the sender of the message in or out of the leaderboard.
+  async setOptIn (msg, optIn) {
+    let outMsg
+    let retVal = 2
+
+    const tgUser = await _this.bot.TGUser.findOne({ tgId: msg.from.id })
+    const lang = _this.bot.i18n.resolve(msg, tgUser)
+    if (!tgUser) {
+      outMsg = _this.bot.i18n.t(lang, 'userNotFound')
+      retVal = 0
+    } else {
+      if (!tgUser.privacy) tgUser.privacy = {}
+      tgUser.privacy.leaderboard = optIn
+      await tgUser.save()
+
+      outMsg = _this.bot.i18n.t(
+        lang,
+        optIn ? 'leaderboardOptIn' : 'leaderboardOptOut'
+      )
+    }
+
+    const botMsg = await _this.bot.bot.sendMessage(msg.chat.id, outMsg)
+    _this.bot.deleteBotSpam(msg, botMsg)
+
+    return retVal
+  }
+
+  // Handle a press of a pagination button. The callback data has the format
+  // 'lb:<page>:<page size>'. The page is shown in the language of the member
+  // who pressed the button.
+  async handleCallback (query) {
+    try {
+      const [, pageStr, pageSizeStr] = query.data.split(':')
+      const page = Number(pageStr)
+      const pageSize = Math.min(Number(pageSizeStr), _this.MAX_PAGE_SIZE)
+      const lang = await _this.bot._getLanguage(query)
+
+      const chatId = query.message.chat.id
+      const room = await _this.bot.getRoom(chatId)
+      const ranking = await _this.getRanking(room, lang)
+      const formatted = _this.formatPage(ranking, page, pageSize, lang)
+
+      await _this.bot.bot.editMessageText(formatted.text, {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: formatted.replyMarkup
+      })
+      await _this.bot.bot.answerCallbackQuery(query.id)
+
+      return true
+    } catch (err) {
+      wlogger.error('Error in leaderboard.js/handleCallback(): ', err)
+      return false
+    }
+  }
+
+  // Returns true if the callback data belongs to a leaderboard button.
+  isCallback (data) {
+    return typeof data === 'string' && data.startsWith(`${CALLBACK_PREFIX}:`)
+  }
+
+  // Rank the verified members of a room by merit. Returns an array of entries,
+  // highest merit first. The merit of an entry is only used for ranking. The
+  // merit shown to other members is meritText, which is null if the member
+  // hides their merit, and visibleMerit is the part that counts towards the
+  // total.
+  async getRanking (room, lang) {
+    const users = await _this.bot.TGUser.find({
+      rooms: { $elemMatch: { chatId: room.chatId, hasVerified: true } }
+    })
+
+    const ranking = users.map(tgUser => {
+      const roomState = _this.bot._getRoomState(tgUser, room.chatId)
+      const optIn = Boolean(tgUser.privacy && tgUser.privacy.leaderboard)
+      const visibility = _this.bot.privacy.getSettings(tgUser).merit
+
+      let visibleMerit = roomState.merit
+      if (visibility === 'bucket') {
+        visibleMerit = _this.bot.privacy.toBucket(roomState.merit)
+      } else if (visibility === 'hidden') {
+        visibleMerit = 0
+      }
+
+      return {
+        tgId: tgUser.tgId,
+        name: optIn ? tgUser.username || `tgId ${tgUser.tgId}` : '',
+        merit: roomState.merit,
+        meritText: _this.bot.privacy.formatMerit(tgUser, roomState.merit, lang),
+        visibleMerit,
+        isExact: visibility === 'exact',
+        tier: roomState.tier
+      }
+    })
+    ranking.sort((a, b) => b.merit - a.merit)
+
+    const periodStart = new Date(new Date().getTime() - _this.PERIOD)
+    const previousRanks = await _this._getPreviousRanks(room, periodStart)
+
+    ranking.forEach((entry, i) => {
+      entry.rank = i + 1
+
+      // Positive when the member moved up. null for members who were not
+      // ranked at the start of the period.
+      const previousRank = previousRanks.get(entry.tgId)
+      entry.rankChange = previousRank ? previousRank - entry.rank : null
+    })
+
+    return ranking
+  }
+
+  // Calculate the ranks of the members of a room at a point in time, from the
+  // last merit snapshot of each member before that time. Returns a Map of
+  // tgId to rank.
+  async _getPreviousRanks (room, date) {
+    const snapshots = await _this.bot.MeritSnapshot.aggregate([
+      { $match: { chatId: room.chatId, timestamp: { $lt: date } } },
+      { $sort: { timestamp: 1 } },
+      { $group: { _id: '$tgId', merit: { $last: '$merit' } } },
+      { $match: { merit: { $gte: room.threshold } } },
+      { $sort: { merit: -1 } }
+    ])
+
+    const ranks = new Map()
+    snapshots.forEach((x, i) => ranks.set(x._id, i + 1))
+
+    return ranks
+  }
+
+  // Generate the text and inline keyboard of a page of the leaderboard.
+  formatPage (ranking, page, pageSize, lang) {
+    const t = (key, params) => _this.bot.i18n.t(lang, key, params)
+
+    const pageCount = Math.max(1, Math.ceil(ranking.length / pageSize))
+    page = Math.min(Math.max(page, 0), pageCount - 1)
+
+    // Merit that is rounded or hidden is left out of the total, which is then
+    // only a lower bound.
+    let totalMerit = 0
+    ranking.forEach(entry => {
+      totalMerit += entry.visibleMerit
+    })
+    const isExact = ranking.every(entry => entry.isExact)
+
+    let text = `${t('leaderboardTitle', { page: page + 1, pages: pageCount })}\n`
+    text += `${t(isExact ? 'leaderboardTotal' : 'leaderboardTotalAtLeast', {
+      count: ranking.length,
+      merit: totalMerit
+    })}\n\n`
+
+    const entries = ranking.slice(page * pageSize, (page + 1) * pageSize)
+    entries.forEach(entry => {
+      const name = entry.name || t('leaderboardAnonymous')
+      const tier = entry.tier ? ` (${entry.tier})` : ''
+      const merit =
+        entry.meritText === null ? t('leaderboardMeritHidden') : entry.meritText
+
+      text += `${entry.rank}. ${name}${tier}: ${merit} ${_this._formatRankChange(
+        entry.rankChange,
+        lang
+      )}\n`
+    })
+
+    if (!ranking.length) text += `${t('leaderboardEmpty')}\n`
+
+    const buttons = []
+    if (page > 0) {
+      buttons.push({
+        text: `◀ ${t('buttonPrevious')}`,
+        callback_data: `${CALLBACK_PREFIX}:${page - 1}:${pageSize}`
+      })
+    }
+    if (page < pageCount - 1) {
+      buttons.push({
+        text: `${t('buttonNext')} ▶`,
+        callback_data: `${CALLBACK_PREFIX}:${page + 1}:${pageSize}`
+      })
+    }
+
+    return {
+      text,
+      replyMarkup: { inline_keyboard: buttons.length ? [buttons] : [] }
+    }
+  }
+
+  _formatRankChange (rankChange, lang) {
+    if (rankChange === null) {
+      return `(${_this.bot.i18n.t(lang, 'leaderboardNew')})`
+    }
+    if (rankChange > 0) return `(↑${rankChange})`
+    if (rankChange < 0) return `(↓${-rankChange})`
+
+    return '(=)'
+  }
+}
+
+module.exports = Leaderboard
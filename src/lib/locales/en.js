@@ -0,0 +1,277 @@
+/*
+  English message catalog. This is the fallback for missing keys in the
+  catalogs of other languages.
+
+  Placeholders like {username} are replaced when the message is sent.
+*/
+
+module.exports = {
+  languageName: 'English',
+
+  help: `
+    \u26A0 !!! PRIVACY WARNING !!! \u26A0
+If you do not want people to have any indication of how many coins you have, use a new anonymous account to proceed.
+For additional privacy use CashFusion and then move the exact required token amount to a new address. Use your wallet's Freeze feature to prevent accidentally spending the tokens. 
+
+    
+    
+The bot manages the VIP room. Only users who have verified their own token holdings with the required amount (Merit) are allowed to speak in the VIP room.
+
+To verify your Merit, follow these steps:
+
+1) Get a wallet that is able to sign messages such as:
+    https://message.fullstack.cash
+    https://electroncash.org/
+
+2) Send the /verify command without arguments. The bot will reply with a challenge message that is unique to you.
+
+3) Use the 'Sign Message' area of the app to sign the challenge message.
+
+4) Use the /verify command to verify your wallet address, like this:
+  /verify <your BCH address> <the signature>
+
+The challenge expires after a few minutes and can only be used once.
+
+If the room requires approval for new members, the bot will send you these steps in a private message when you request to join. Send the /verify commands in that private chat, and your request will be approved once your merit is verified.
+
+
+If the room admin enabled Merit aging then your 'Merit' is calculated this way:
+Merit = token quantity X token age (in days)
+If you obtain fewer tokens, it will take more time to acquire the required merit. If you obtain more, it takes less time.
+
+
+A video walkthrough of how to join the VIP room can be found here:
+https://youtu.be/KOlM4dU6Gj0
+
+If you want to deploy this bot to your own telegram room the guide is at:
+https://read.cash/@tula_s/vip-bot-how-to-add-more-value-to-your-slp-tokens-f970dacc 
+
+
+Available commands:
+
+  /help or /start
+    - Bring up this help message.
+
+  /verify
+    - Get a challenge message to sign. In a private message to the bot, it starts a step-by-step verification instead.
+
+  /verify <BCH address> <signature>
+    - Verify that you own the Bitcoin Cash address by signing your challenge message. The bot will track the merit associated with this address. Repeat this command to add more addresses. Your merit is the sum of the merit of all your addresses.
+
+  /revoke <BCH address>
+    - Revoke ownership of a BCH address.
+
+  /merit
+    - Query your merit and your merit tier. The reply is sent to you in a private message. Tiers with more merit may post links and media or invite guests.
+
+  /merit @username or /merit <BCH address>
+    - Query the merit of another member, unless they keep it private.
+
+  /list
+    - List all the people in the channel that have enough merit to speak.
+
+  /stats
+    - Return bot statistics (number of verified users and the sum of their merit).
+
+  /leaderboard [n]
+    - Rank the verified members by merit, showing n members per page.
+
+  /leaderboard on or /leaderboard off
+    - Choose whether you appear by name on the leaderboard. Members who did not opt in are listed anonymously.
+
+  /privacy
+    - Send this command in a private message to the bot, to choose whether other members see your exact merit, a rounded value or nothing, whether you appear in /list, and whether messages about your merit are sent to you privately.
+
+  /language [code]
+    - Choose the language of the bot.
+
+Admin commands, for admins of the room:
+
+  /forceverify @username
+    - Mark a user as verified until their next merit check.
+
+  /unverify @username
+    - Mark a user as not verified.
+
+  /exempt @username [off]
+    - Allow a user to speak regardless of their merit, or remove the exemption.
+
+  /recheck @username
+    - Recalculate the merit of a user right away.
+
+  /setthreshold <merit>
+    - Change the merit threshold of the room.
+
+Instead of a @username, admins may also reply to a message of the user.
+
+
+`,
+
+  // Sent privately when the message of a user is deleted.
+  deletionNotice:
+    'Your message has been deleted.\nTo start your verification process use the command \'/start\'.\n\n"{text}"',
+  tierNotice:
+    'Your message has been deleted.\nYour merit tier ({tier}) does not allow this type of message. Use the /merit command to see your merit and tier.',
+  tierReadOnly: 'read-only',
+
+  // Merit checks. Messages posted in the room are prefixed with the
+  // @username of the user.
+  demoted:
+    'you no longer have enough merit to speak in the room. Your merit is only {merit}. Use the /verify command once your address has accrued enough merit.',
+  demotedPublic:
+    'you no longer have enough merit to speak in the room. Use the /verify command once your address has accrued enough merit.',
+  graceWarning:
+    'Your merit dropped to {merit}, which is below the {threshold} required to speak in {room}. You can keep speaking until {deadline}. If your merit is still too low after that, you will lose the ability to speak in the room.',
+  defaultRoomName: 'the VIP room',
+  // Sent privately when the periodic merit sweep demotes a user.
+  demotedPrivate:
+    'You no longer have enough merit to speak in {room}. Your merit is only {merit}. Use the /verify command once your address has accrued enough merit.',
+
+  // Verification.
+  challenge:
+    'sign this message with the private key of your address:\n\n{challenge}\n\nThen send the signature like this:\n/verify <your BCH address> <the signature>\n\nThis challenge expires in {minutes} minutes and can only be used once.',
+  challengeRejected:
+    'you do not have a valid challenge. It may have expired or already been used. Send /verify without arguments to get a new one.',
+  verifyFailed: 'your address could not be verified.',
+  addressClaimed:
+    '{owner} has already claimed that address. They must first revoke it with the /revoke command.',
+  anotherMember: 'Another member',
+  addressTransferred:
+    'Another Telegram account signed a message with the key of your address {address}, so the address was transferred to it. Its merit no longer counts for you. If you did not do this, your private key may be compromised.',
+  verified:
+    'you have been successfully verified! You may now speak in the VIP room.',
+  belowThreshold:
+    'your signature was verified, but your addresses only have a combined merit value of {merit}, which does not meet the threashold of {threshold}.',
+  belowThresholdPublic:
+    'your signature was verified, but your addresses do not meet the merit threashold of {threshold}.',
+  // Sent after verifying in a private chat, with a line for each room.
+  signatureVerified: 'your signature was verified.',
+  verifyRoomVerified: '{room}: verified. You may now speak there.',
+  verifyRoomBelowThreshold:
+    '{room}: your merit of {merit} does not meet the threshold of {threshold}.',
+
+  // Guided verification in a private chat.
+  verifyUsage:
+    'send /verify <your BCH address> <the signature>, or send /verify in a private message to the bot to be guided step by step.',
+  flowAskAddress:
+    "Let's verify your merit. Send me the BCH or SLP address that holds your tokens.",
+  flowInvalidAddress:
+    '"{text}" is not a valid BCH or SLP address. Check that you copied the whole address, then send it again.',
+  flowAskSignature:
+    'Sign the next message with the private key of {address}, using the Sign Message feature of your wallet. Copy the text exactly, without adding spaces or line breaks.\n\nThen send me only the signature. The text expires in {minutes} minutes and can only be used once.',
+  flowChallengeExpired:
+    'The text to sign has expired or was already used. Press Retry to get a new one.',
+  flowInvalidSignature:
+    'That does not look like a signature. Send only the signature created by your wallet, without the address or any other text.',
+  flowWrongSignature:
+    'The signature does not match the address {address} and the text you were asked to sign. Make sure you signed the exact text with the private key of that address, then send the signature again.',
+  flowClaimCheckFailed:
+    'The address could not be checked right now. Press Retry to send it again in a moment.',
+  flowCancelled: 'Verification cancelled. Send /verify to start again.',
+  flowNoConversation:
+    'There is no verification in progress. Send /verify to start.',
+  buttonRetry: 'Retry',
+  buttonCancel: 'Cancel',
+
+  privateReplyNotice: '{name} I sent you the details in a private message.',
+
+  wrongArguments: 'Wrong number of arguments.',
+
+  // The /merit command.
+  meritUser: 'User {username}',
+  meritScore: '{name} has a merit score of {merit}.',
+  meritScoreTier: '{name} has a merit score of {merit} and is in the {tier} tier.',
+  meritChange: 'Change since the previous check on {date}: {change}',
+  meritBucket: 'at least {merit}',
+  meritPrivate: '{name} keeps their merit private.',
+  meritNeverVerified: '{name} has never verified their merit in this room.',
+  meritStale: 'The merit of {name} is stale. It was last verified on {date}.',
+  addressMeritStale:
+    'The merit of the member who claimed this address is stale. It was last verified on {date}.',
+  memberNotFound: '{name} has never posted in the room or verified.',
+  notMemberOrAddress: '{arg} is not a @username or a BCH address.',
+  addressNotClaimed: 'No member has claimed this address.',
+  addressHolder: 'The member who claimed this address',
+
+  // The /revoke command. Replies to the owner of the address are prefixed
+  // with the @username of the user.
+  revokeNotFound:
+    'A user with address {address} could not be found in the database',
+  revokeNotOwner:
+    'you do not own address {address}, so you can not revoke ownership of it.',
+  revoked: 'you have successfully revoked ownership of address {address}',
+
+  // The /list and /stats commands.
+  listHeader: 'Verified users in this channel:',
+  listUnlisted: 'and {count} unlisted members',
+  stats: 'verified users: {count}\ntotal merit: {merit}',
+
+  // The /leaderboard command.
+  leaderboardUsage:
+    'Usage: /leaderboard [number of entries], or /leaderboard on|off to opt in or out.',
+  leaderboardOptIn: 'You now appear by name on the leaderboard.',
+  leaderboardOptOut: 'You now appear as an anonymous member on the leaderboard.',
+  leaderboardTitle: 'Leaderboard (page {page} of {pages})',
+  leaderboardTotal: '{count} verified members with a total merit of {merit}',
+  leaderboardTotalAtLeast:
+    '{count} verified members with a total merit of at least {merit}',
+  leaderboardAnonymous: 'Anonymous member',
+  leaderboardMeritHidden: 'merit hidden',
+  leaderboardNew: 'new',
+  leaderboardEmpty: 'No verified members yet.',
+  buttonPrevious: 'Previous',
+  buttonNext: 'Next',
+
+  // The /privacy command. Setting names and values are part of the command
+  // syntax and are not translated.
+  privacyPrivateOnly: 'Send the /privacy command in a private message to the bot.',
+  privacyHeader: 'Your privacy settings:',
+  privacyMeritExact: 'Other members can see your exact merit.',
+  privacyMeritBucket:
+    'Other members can see your merit rounded down, like "at least 30000".',
+  privacyMeritHidden: 'Your merit is hidden from other members.',
+  privacyListOn: 'You appear in /list.',
+  privacyListOff: 'You do not appear in /list.',
+  privacyDmOn: 'Messages about your merit are sent privately.',
+  privacyDmOff: 'Messages about your merit are sent in the group.',
+  privacyLeaderboardOn: 'You appear by name on /leaderboard.',
+  privacyLeaderboardOff: 'You appear anonymously on /leaderboard.',
+  privacyUsage:
+    'Change a setting with:\n/privacy merit exact|bucket|hidden\n/privacy list on|off\n/privacy dm on|off\n/privacy leaderboard on|off',
+  privacyInvalidMerit: 'Merit visibility must be exact, bucket or hidden.',
+  privacyInvalidSwitch: 'The {setting} setting must be on or off.',
+  privacyUnknownSetting: "Unknown setting '{setting}'.",
+
+  // Admin commands. {name} is the user targeted by the command.
+  adminOnly: 'Only chat admins can use this command.',
+  adminUserNotFound: 'User not found.',
+  adminForceVerified: '{name} has been verified by an admin.',
+  adminUnverified: '{name} has been unverified by an admin.',
+  adminExempt: '{name} is now exempt from the merit requirement.',
+  adminNotExempt: '{name} is no longer exempt from the merit requirement.',
+  adminRecheckVerified: '{name} has a merit of {merit} and is verified.',
+  adminRecheckNotVerified: '{name} has a merit of {merit} and is not verified.',
+  adminRecheckVerifiedHidden: '{name} is verified. Their merit is hidden.',
+  adminRecheckNotVerifiedHidden:
+    '{name} is not verified. Their merit is hidden.',
+  adminThresholdUsage: 'Usage: /setthreshold <merit>',
+  adminThresholdChanged: 'The merit threshold is now {threshold}.',
+
+  // Requests to join a room. These are sent to the requester privately.
+  joinInstructions:
+    'To join {room} you need to prove you hold at least {threshold} merit.\n\nSign this message with the private key of your address:\n\n{challenge}\n\nThen send the signature here like this:\n/verify <your BCH address> <the signature>\n\nIf the challenge expires, send /verify to get a new one. Your request to join will be declined if you have not verified within {hours} hours.',
+  joinBelowThreshold:
+    'Your merit of {merit} does not meet the threshold of {threshold} needed to join {room}.',
+  joinApproved: 'Your request to join {room} has been approved.',
+  joinDeclined:
+    'Your request to join the room was declined, because you did not verify your merit in time. You can request to join again at any time.',
+
+  // The /language command.
+  userNotFound: 'User not found. Verify your merit first.',
+  languageCurrent: 'Your language is {language} ({code}).',
+  languageUsage:
+    'Available languages: {languages}\nUse /language <code> to change it, or /language auto to use the language of your Telegram app.',
+  languageChanged: 'Your language is now {language}.',
+  languageAuto: 'The bot now uses the language of your Telegram app.',
+  languageUnknown: "The language '{code}' is not available."
+}
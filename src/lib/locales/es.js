@@ -0,0 +1,259 @@
+/*
+  Spanish message catalog. Missing keys fall back to English.
+*/
+
+module.exports = {
+  languageName: 'Español',
+
+  help: `
+    \u26A0 !!! AVISO DE PRIVACIDAD !!! \u26A0
+Si no quieres que nadie tenga una idea de cuántas monedas tienes, usa una cuenta anónima nueva para continuar.
+Para más privacidad usa CashFusion y después mueve la cantidad exacta de tokens requerida a una dirección nueva. Usa la función Congelar de tu billetera para no gastar los tokens por accidente.
+
+
+
+El bot administra la sala VIP. Solo los usuarios que han verificado sus propios tokens con la cantidad requerida (Mérito) pueden hablar en la sala VIP.
+
+Para verificar tu Mérito, sigue estos pasos:
+
+1) Consigue una billetera que pueda firmar mensajes, como:
+    https://message.fullstack.cash
+    https://electroncash.org/
+
+2) Envía el comando /verify sin argumentos. El bot responderá con un mensaje de desafío único para ti.
+
+3) Usa la sección 'Sign Message' de la aplicación para firmar el mensaje de desafío.
+
+4) Usa el comando /verify para verificar la dirección de tu billetera, así:
+  /verify <tu dirección BCH> <la firma>
+
+El desafío caduca después de unos minutos y solo se puede usar una vez.
+
+Si la sala requiere aprobación para nuevos miembros, el bot te enviará estos pasos en un mensaje privado cuando solicites unirte. Envía los comandos /verify en ese chat privado y tu solicitud será aprobada en cuanto se verifique tu mérito.
+
+
+Si el administrador de la sala activó el envejecimiento del Mérito, tu 'Mérito' se calcula así:
+Mérito = cantidad de tokens X antigüedad de los tokens (en días)
+Si consigues menos tokens, tardarás más en alcanzar el mérito requerido. Si consigues más, tardarás menos.
+
+
+Hay un video (en inglés) que muestra cómo unirse a la sala VIP:
+https://youtu.be/KOlM4dU6Gj0
+
+Si quieres instalar este bot en tu propia sala de Telegram, la guía está en:
+https://read.cash/@tula_s/vip-bot-how-to-add-more-value-to-your-slp-tokens-f970dacc
+
+
+Comandos disponibles:
+
+  /help o /start
+    - Muestra este mensaje de ayuda.
+
+  /verify
+    - Obtén un mensaje de desafío para firmar. En un mensaje privado al bot, inicia en su lugar una verificación paso a paso.
+
+  /verify <dirección BCH> <firma>
+    - Verifica que eres dueño de la dirección de Bitcoin Cash firmando tu mensaje de desafío. El bot seguirá el mérito asociado a esta dirección. Repite este comando para añadir más direcciones. Tu mérito es la suma del mérito de todas tus direcciones.
+
+  /revoke <dirección BCH>
+    - Renuncia a una dirección BCH.
+
+  /merit
+    - Consulta tu mérito y tu nivel de mérito. La respuesta se te envía en un mensaje privado. Los niveles con más mérito pueden publicar enlaces y archivos o invitar a otras personas.
+
+  /merit @usuario o /merit <dirección BCH>
+    - Consulta el mérito de otro miembro, a menos que lo mantenga privado.
+
+  /list
+    - Lista a todas las personas del canal que tienen suficiente mérito para hablar.
+
+  /stats
+    - Muestra estadísticas del bot (número de usuarios verificados y la suma de su mérito).
+
+  /leaderboard [n]
+    - Clasifica a los miembros verificados por mérito, mostrando n miembros por página.
+
+  /leaderboard on o /leaderboard off
+    - Elige si apareces con tu nombre en la clasificación. Los miembros que no lo activen aparecen de forma anónima.
+
+  /privacy
+    - Envía este comando en un mensaje privado al bot para elegir si otros miembros ven tu mérito exacto, un valor redondeado o nada, si apareces en /list y si los mensajes sobre tu mérito se te envían en privado.
+
+  /language [código]
+    - Elige el idioma del bot.
+
+Comandos para los administradores de la sala:
+
+  /forceverify @usuario
+    - Marca a un usuario como verificado hasta su próxima comprobación de mérito.
+
+  /unverify @usuario
+    - Marca a un usuario como no verificado.
+
+  /exempt @usuario [off]
+    - Permite a un usuario hablar sin importar su mérito, o retira la exención.
+
+  /recheck @usuario
+    - Vuelve a calcular el mérito de un usuario en este momento.
+
+  /setthreshold <mérito>
+    - Cambia el umbral de mérito de la sala.
+
+En lugar de un @usuario, los administradores también pueden responder a un mensaje del usuario.
+
+
+`,
+
+  deletionNotice:
+    'Tu mensaje ha sido borrado.\nPara empezar el proceso de verificación usa el comando \'/start\'.\n\n"{text}"',
+  tierNotice:
+    'Tu mensaje ha sido borrado.\nTu nivel de mérito ({tier}) no permite este tipo de mensaje. Usa el comando /merit para ver tu mérito y tu nivel.',
+  tierReadOnly: 'solo lectura',
+
+  demoted:
+    'ya no tienes suficiente mérito para hablar en la sala. Tu mérito es solo {merit}. Usa el comando /verify cuando tu dirección haya acumulado suficiente mérito.',
+  demotedPublic:
+    'ya no tienes suficiente mérito para hablar en la sala. Usa el comando /verify cuando tu dirección haya acumulado suficiente mérito.',
+  graceWarning:
+    'Tu mérito bajó a {merit}, que está por debajo de los {threshold} necesarios para hablar en {room}. Puedes seguir hablando hasta el {deadline}. Si después de esa fecha tu mérito sigue siendo demasiado bajo, perderás la posibilidad de hablar en la sala.',
+  defaultRoomName: 'la sala VIP',
+  demotedPrivate:
+    'Ya no tienes suficiente mérito para hablar en {room}. Tu mérito es solo {merit}. Usa el comando /verify cuando tu dirección haya acumulado suficiente mérito.',
+
+  challenge:
+    'firma este mensaje con la clave privada de tu dirección:\n\n{challenge}\n\nDespués envía la firma así:\n/verify <tu dirección BCH> <la firma>\n\nEste desafío caduca en {minutes} minutos y solo se puede usar una vez.',
+  challengeRejected:
+    'no tienes un desafío válido. Puede que haya caducado o que ya se haya usado. Envía /verify sin argumentos para obtener uno nuevo.',
+  verifyFailed: 'no se pudo verificar tu dirección.',
+  addressClaimed:
+    '{owner} ya ha reclamado esa dirección. Primero debe renunciar a ella con el comando /revoke.',
+  anotherMember: 'Otro miembro',
+  addressTransferred:
+    'Otra cuenta de Telegram firmó un mensaje con la clave de tu dirección {address}, así que la dirección se transfirió a esa cuenta. Su mérito ya no cuenta para ti. Si no fuiste tú, tu clave privada puede estar comprometida.',
+  verified:
+    '¡has sido verificado correctamente! Ya puedes hablar en la sala VIP.',
+  belowThreshold:
+    'tu firma fue verificada, pero tus direcciones solo tienen un mérito combinado de {merit}, que no alcanza el umbral de {threshold}.',
+  belowThresholdPublic:
+    'tu firma fue verificada, pero tus direcciones no alcanzan el umbral de mérito de {threshold}.',
+  signatureVerified: 'tu firma fue verificada.',
+  verifyRoomVerified: '{room}: verificado. Ya puedes hablar allí.',
+  verifyRoomBelowThreshold:
+    '{room}: tu mérito de {merit} no alcanza el umbral de {threshold}.',
+
+  verifyUsage:
+    'envía /verify <tu dirección BCH> <la firma>, o envía /verify en un mensaje privado al bot para que te guíe paso a paso.',
+  flowAskAddress:
+    'Vamos a verificar tu mérito. Envíame la dirección BCH o SLP que tiene tus tokens.',
+  flowInvalidAddress:
+    '"{text}" no es una dirección BCH o SLP válida. Comprueba que copiaste la dirección completa y envíala de nuevo.',
+  flowAskSignature:
+    'Firma el siguiente mensaje con la clave privada de {address}, usando la función Sign Message de tu billetera. Copia el texto exactamente, sin añadir espacios ni saltos de línea.\n\nDespués envíame solo la firma. El texto caduca en {minutes} minutos y solo se puede usar una vez.',
+  flowChallengeExpired:
+    'El texto a firmar ha caducado o ya se usó. Pulsa Reintentar para obtener uno nuevo.',
+  flowInvalidSignature:
+    'Eso no parece una firma. Envía solo la firma creada por tu billetera, sin la dirección ni otro texto.',
+  flowWrongSignature:
+    'La firma no corresponde a la dirección {address} y al texto que debías firmar. Asegúrate de firmar el texto exacto con la clave privada de esa dirección y envía la firma de nuevo.',
+  flowClaimCheckFailed:
+    'No se pudo comprobar la dirección en este momento. Pulsa Reintentar para enviarla de nuevo en unos instantes.',
+  flowCancelled: 'Verificación cancelada. Envía /verify para empezar de nuevo.',
+  flowNoConversation:
+    'No hay ninguna verificación en curso. Envía /verify para empezar.',
+  buttonRetry: 'Reintentar',
+  buttonCancel: 'Cancelar',
+
+  privateReplyNotice: '{name} te he enviado los detalles en un mensaje privado.',
+
+  wrongArguments: 'Número de argumentos incorrecto.',
+
+  meritUser: 'El usuario {username}',
+  meritScore: '{name} tiene un mérito de {merit}.',
+  meritScoreTier: '{name} tiene un mérito de {merit} y está en el nivel {tier}.',
+  meritChange: 'Cambio desde la comprobación anterior del {date}: {change}',
+  meritBucket: 'al menos {merit}',
+  meritPrivate: '{name} mantiene su mérito en privado.',
+  meritNeverVerified: '{name} nunca ha verificado su mérito en esta sala.',
+  meritStale:
+    'El mérito de {name} está desactualizado. Se verificó por última vez el {date}.',
+  addressMeritStale:
+    'El mérito del miembro que reclamó esta dirección está desactualizado. Se verificó por última vez el {date}.',
+  memberNotFound: '{name} nunca ha escrito en la sala ni se ha verificado.',
+  notMemberOrAddress: '{arg} no es un @usuario ni una dirección BCH.',
+  addressNotClaimed: 'Ningún miembro ha reclamado esta dirección.',
+  addressHolder: 'El miembro que reclamó esta dirección',
+
+  revokeNotFound:
+    'No se encontró ningún usuario con la dirección {address} en la base de datos',
+  revokeNotOwner:
+    'no eres dueño de la dirección {address}, así que no puedes renunciar a ella.',
+  revoked: 'has renunciado correctamente a la dirección {address}',
+
+  listHeader: 'Usuarios verificados en este canal:',
+  listUnlisted: 'y {count} miembros no listados',
+  stats: 'usuarios verificados: {count}\nmérito total: {merit}',
+
+  leaderboardUsage:
+    'Uso: /leaderboard [número de entradas], o /leaderboard on|off para aparecer o no con tu nombre.',
+  leaderboardOptIn: 'Ahora apareces con tu nombre en la clasificación.',
+  leaderboardOptOut: 'Ahora apareces como miembro anónimo en la clasificación.',
+  leaderboardTitle: 'Clasificación (página {page} de {pages})',
+  leaderboardTotal: '{count} miembros verificados con un mérito total de {merit}',
+  leaderboardTotalAtLeast:
+    '{count} miembros verificados con un mérito total de al menos {merit}',
+  leaderboardAnonymous: 'Miembro anónimo',
+  leaderboardMeritHidden: 'mérito oculto',
+  leaderboardNew: 'nuevo',
+  leaderboardEmpty: 'Todavía no hay miembros verificados.',
+  buttonPrevious: 'Anterior',
+  buttonNext: 'Siguiente',
+
+  privacyPrivateOnly: 'Envía el comando /privacy en un mensaje privado al bot.',
+  privacyHeader: 'Tu configuración de privacidad:',
+  privacyMeritExact: 'Otros miembros pueden ver tu mérito exacto.',
+  privacyMeritBucket:
+    'Otros miembros pueden ver tu mérito redondeado hacia abajo, como "al menos 30000".',
+  privacyMeritHidden: 'Tu mérito está oculto para otros miembros.',
+  privacyListOn: 'Apareces en /list.',
+  privacyListOff: 'No apareces en /list.',
+  privacyDmOn: 'Los mensajes sobre tu mérito se te envían en privado.',
+  privacyDmOff: 'Los mensajes sobre tu mérito se envían en el grupo.',
+  privacyLeaderboardOn: 'Apareces con tu nombre en /leaderboard.',
+  privacyLeaderboardOff: 'Apareces de forma anónima en /leaderboard.',
+  privacyUsage:
+    'Cambia una opción con:\n/privacy merit exact|bucket|hidden\n/privacy list on|off\n/privacy dm on|off\n/privacy leaderboard on|off',
+  privacyInvalidMerit: 'La visibilidad del mérito debe ser exact, bucket o hidden.',
+  privacyInvalidSwitch: 'La opción {setting} debe ser on u off.',
+  privacyUnknownSetting: "Opción desconocida '{setting}'.",
+
+  adminOnly: 'Solo los administradores del chat pueden usar este comando.',
+  adminUserNotFound: 'Usuario no encontrado.',
+  adminForceVerified: 'Un administrador ha verificado a {name}.',
+  adminUnverified: 'Un administrador ha retirado la verificación de {name}.',
+  adminExempt: '{name} ahora está exento del requisito de mérito.',
+  adminNotExempt: '{name} ya no está exento del requisito de mérito.',
+  adminRecheckVerified: '{name} tiene un mérito de {merit} y está verificado.',
+  adminRecheckNotVerified:
+    '{name} tiene un mérito de {merit} y no está verificado.',
+  adminRecheckVerifiedHidden: '{name} está verificado. Su mérito es privado.',
+  adminRecheckNotVerifiedHidden:
+    '{name} no está verificado. Su mérito es privado.',
+  adminThresholdUsage: 'Uso: /setthreshold <mérito>',
+  adminThresholdChanged: 'El umbral de mérito ahora es {threshold}.',
+
+  joinInstructions:
+    'Para unirte a {room} tienes que demostrar que tienes al menos {threshold} de mérito.\n\nFirma este mensaje con la clave privada de tu dirección:\n\n{challenge}\n\nDespués envía aquí la firma así:\n/verify <tu dirección BCH> <la firma>\n\nSi el desafío caduca, envía /verify para obtener uno nuevo. Tu solicitud para unirte será rechazada si no te has verificado en {hours} horas.',
+  joinBelowThreshold:
+    'Tu mérito de {merit} no alcanza el umbral de {threshold} necesario para unirte a {room}.',
+  joinApproved: 'Tu solicitud para unirte a {room} ha sido aprobada.',
+  joinDeclined:
+    'Tu solicitud para unirte a la sala fue rechazada, porque no verificaste tu mérito a tiempo. Puedes volver a solicitarlo en cualquier momento.',
+
+  userNotFound: 'Usuario no encontrado. Primero verifica tu mérito.',
+  languageCurrent: 'Tu idioma es {language} ({code}).',
+  languageUsage:
+    'Idiomas disponibles: {languages}\nUsa /language <código> para cambiarlo, o /language auto para usar el idioma de tu aplicación de Telegram.',
+  languageChanged: 'Tu idioma ahora es {language}.',
+  languageAuto: 'El bot ahora usa el idioma de tu aplicación de Telegram.',
+  languageUnknown: "El idioma '{code}' no está disponible."
+}
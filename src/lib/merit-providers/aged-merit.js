@@ -0,0 +1,17 @@
+/*
+  Merit provider for aged merit. This is the default provider.
+
+  merit = token quantity x token age (in days)
+*/
+
+class AgedMerit {
+  constructor (deps) {
+    this.bchMerit = deps.bchMerit
+  }
+
+  async getMerit (slpAddr, tokenId) {
+    return this.bchMerit.merit.agMerit(slpAddr, tokenId)
+  }
+}
+
+module.exports = AgedMerit
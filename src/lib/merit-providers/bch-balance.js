@@ -0,0 +1,25 @@
+/*
+  Merit provider for the native BCH balance of an address, in satoshis. The
+  token ID of the room is ignored. UTXOs holding tokens are not counted.
+*/
+
+class BchBalance {
+  constructor (deps) {
+    this.wallet = deps.wallet
+    this.bchjs = deps.bchjs
+  }
+
+  async getMerit (slpAddr, tokenId) {
+    const bchAddr = this.bchjs.SLP.Address.toCashAddress(slpAddr)
+    const utxos = await this.wallet.getUtxos(bchAddr)
+
+    let sats = 0
+    utxos.bchUtxos.forEach(elem => {
+      sats += Number(elem.value)
+    })
+
+    return sats
+  }
+}
+
+module.exports = BchBalance
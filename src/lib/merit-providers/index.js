@@ -0,0 +1,46 @@
+/*
+  Merit providers calculate the 'merit' of an address, which the bot compares
+  to the merit threshold and tiers of a room. Each provider gates the rooms on
+  a different asset. The provider is chosen per deployment with the
+  meritProvider config setting.
+
+  A provider is a class whose constructor takes an object with the
+  minimal-slp-wallet instance (wallet), bch-js (bchjs) and bch-merit-lib
+  (bchMerit), and that implements:
+
+  async getMerit (slpAddr, tokenId)
+    Returns the merit of a single address as a number. tokenId is the token
+    configured for the room. Providers that don't use tokens ignore it.
+*/
+
+const AgedMerit = require('./aged-merit')
+const TokenBalance = require('./token-balance')
+const BchBalance = require('./bch-balance')
+const NftGroup = require('./nft-group')
+
+const providers = {
+  'aged-merit': AgedMerit,
+  'token-balance': TokenBalance,
+  'bch-balance': BchBalance,
+  'nft-group': NftGroup
+}
+
+// Instantiate the merit provider with the given name.
+function createProvider (name, deps) {
+  const Provider = providers[name]
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown merit provider '${name}'. Valid providers are: ${Object.keys(
+        providers
+      ).join(', ')}`
+    )
+  }
+
+  return new Provider(deps)
+}
+
+module.exports = {
+  providers,
+  createProvider
+}
@@ -0,0 +1,28 @@
+/*
+  Merit provider for NFT-group ownership. The merit of an address is the
+  number of NFTs it holds that belong to the group with the token ID of the
+  room.
+*/
+
+class NftGroup {
+  constructor (deps) {
+    this.wallet = deps.wallet
+    this.bchjs = deps.bchjs
+  }
+
+  async getMerit (slpAddr, tokenId) {
+    if (!tokenId) throw new Error('tokenId must be specified!')
+
+    const bchAddr = this.bchjs.SLP.Address.toCashAddress(slpAddr)
+    const utxos = await this.wallet.getUtxos(bchAddr)
+
+    // Indexers differ in the name of the property holding the group ID.
+    const nfts = utxos.slpUtxos.nft.tokens.filter(
+      elem => (elem.groupId || elem.parentGroupId) === tokenId
+    )
+
+    return nfts.length
+  }
+}
+
+module.exports = NftGroup
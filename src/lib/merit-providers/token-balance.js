@@ -0,0 +1,29 @@
+/*
+  Merit provider for the plain SLP token balance of an address, without
+  taking the age of the tokens into account.
+*/
+
+class TokenBalance {
+  constructor (deps) {
+    this.wallet = deps.wallet
+    this.bchjs = deps.bchjs
+  }
+
+  async getMerit (slpAddr, tokenId) {
+    if (!tokenId) throw new Error('tokenId must be specified!')
+
+    const bchAddr = this.bchjs.SLP.Address.toCashAddress(slpAddr)
+    const utxos = await this.wallet.getUtxos(bchAddr)
+
+    let qty = 0
+    utxos.slpUtxos.type1.tokens
+      .filter(elem => elem.tokenId === tokenId)
+      .forEach(elem => {
+        qty += Number(elem.tokenQty)
+      })
+
+    return qty
+  }
+}
+
+module.exports = TokenBalance
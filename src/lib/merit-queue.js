@@ -0,0 +1,137 @@
+/*
+  This library sits in front of the merit provider used by the BCH library.
+  It protects the remote indexer from bursts of merit lookups, like many users
+  passing their re-verification interval at once, or a user spamming /verify.
+
+  - Merit is cached for a while, keyed by address and token ID.
+  - Concurrent lookups of the same address and token share a single request.
+  - Lookups are queued, so that only a limited number run at the same time,
+    with a minimum delay between the start of two lookups.
+
+  Cache hit and miss counts are exposed with getStats() for monitoring.
+*/
+
+class MeritQueue {
+  constructor (config) {
+    // The function that looks up the merit of an address. It is called with
+    // the address and the token ID.
+    if (!config || !config.lookup) {
+      throw new Error(
+        'Lookup function must be passed when instantiating MeritQueue.'
+      )
+    }
+    this.lookup = config.lookup
+
+    // Using constants here so they can be manipulated in tests.
+    // How long a looked up merit is cached.
+    this.CACHE_TTL = Number(process.env.MERIT_CACHE_TTL) || 60000 * 5
+    // Max number of lookups running at the same time.
+    this.CONCURRENCY = Number(process.env.MERIT_CONCURRENCY) || 2
+    // Minimum number of milliseconds between the start of two lookups.
+    this.MIN_INTERVAL = Number(process.env.MERIT_MIN_INTERVAL) || 250
+
+    this.cache = new Map()
+    this.pending = new Map()
+    this.queue = []
+    this.active = 0
+    this.lastStart = 0
+    this.timerHandle = null
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      deduplicated: 0,
+      errors: 0
+    }
+  }
+
+  // Get the merit of an address, from the cache if possible.
+  async get (slpAddr, tokenId) {
+    const key = `${slpAddr}:${tokenId}`
+
+    const cached = this.cache.get(key)
+    if (cached && cached.expires > Date.now()) {
+      this.stats.hits++
+      return cached.merit
+    }
+    this.cache.delete(key)
+
+    // Share the lookup that is already in flight for this key.
+    if (this.pending.has(key)) {
+      this.stats.deduplicated++
+      return this.pending.get(key)
+    }
+
+    this.stats.misses++
+
+    const promise = this._enqueue(() => this.lookup(slpAddr, tokenId))
+      .then(merit => {
+        this.cache.set(key, { merit, expires: Date.now() + this.CACHE_TTL })
+        return merit
+      })
+      .catch(err => {
+        this.stats.errors++
+        throw err
+      })
+      .finally(() => this.pending.delete(key))
+
+    this.pending.set(key, promise)
+
+    return promise
+  }
+
+  // Remove the cached merit of an address, so the next lookup is fresh.
+  invalidate (slpAddr, tokenId) {
+    this.cache.delete(`${slpAddr}:${tokenId}`)
+  }
+
+  // Returns counters for monitoring.
+  getStats () {
+    return Object.assign({}, this.stats, {
+      cacheSize: this.cache.size,
+      queued: this.queue.length,
+      active: this.active
+    })
+  }
+
+  // Add a task to the queue. Returns a promise that settles with the result
+  // of the task.
+  _enqueue (task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject })
+      this._next()
+    })
+  }
+
+  // Start queued tasks, within the concurrency and rate limits.
+  _next () {
+    if (this.timerHandle) return
+    if (!this.queue.length || this.active >= this.CONCURRENCY) return
+
+    // Wait until the minimum interval since the last lookup has passed.
+    const wait = this.lastStart + this.MIN_INTERVAL - Date.now()
+    if (wait > 0) {
+      this.timerHandle = setTimeout(() => {
+        this.timerHandle = null
+        this._next()
+      }, wait)
+      return
+    }
+
+    const job = this.queue.shift()
+    this.active++
+    this.lastStart = Date.now()
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.active--
+        this._next()
+      })
+
+    this._next()
+  }
+}
+
+module.exports = MeritQueue
@@ -0,0 +1,187 @@
+/*
+  This library periodically re-verifies the merit of verified Telegram users.
+
+  The Bot library only re-checks a users merit when they post a message in the
+  room. A user who sells their tokens but stays silent would otherwise keep
+  their verified status forever. This sweep walks the tg-user collection on a
+  timer and re-verifies every verified user whose merit check is stale, in
+  every room managed by the bot.
+*/
+
+// Local libraries
+const TGUser = require('../models/tg-user')
+const wlogger = require('./wlogger')
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class MeritSweep {
+  constructor (config) {
+    // An instance of the Bot library is required, as it is used to recalculate
+    // merit and to notify demoted users.
+    if (!config || !config.bot) {
+      throw new Error(
+        'Instance of the Bot library must be passed when instantiating MeritSweep.'
+      )
+    }
+    this.bot = config.bot
+
+    // Using constants here so they can be manipulated in tests.
+    // How often the sweep runs.
+    this.SWEEP_INTERVAL = Number(process.env.SWEEP_INTERVAL) || 60000 * 60
+    // Max number of merit lookups to run in parallel.
+    this.SWEEP_CONCURRENCY = Number(process.env.SWEEP_CONCURRENCY) || 5
+
+    // Encapsulate external dependencies.
+    this.TGUser = TGUser
+
+    this.timerHandle = null
+    this.isRunning = false
+
+    _this = this
+  }
+
+  // Start the periodic sweep.
+  start () {
+    _this.timerHandle = setInterval(_this.sweep, _this.SWEEP_INTERVAL)
+
+    return _this.timerHandle
+  }
+
+  // Stop the periodic sweep.
+  stop () {
+    clearInterval(_this.timerHandle)
+    _this.timerHandle = null
+  }
+
+  // Re-verify all verified users whose merit has not been checked within the
+  // re-verification interval of their room. Returns a summary object of the
+  // run.
+  async sweep () {
+    // Prevent overlapping runs if a sweep takes longer than the interval.
+    if (_this.isRunning) return false
+    _this.isRunning = true
+
+    const summary = {
+      rooms: 0,
+      checked: 0,
+      reverified: 0,
+      demoted: 0,
+      errors: 0
+    }
+
+    try {
+      const startTime = new Date()
+
+      // Rooms are swept one after the other, so that a user verified in
+      // several rooms is never saved concurrently.
+      const rooms = await _this.bot.getRooms()
+      for (let i = 0; i < rooms.length; i++) {
+        const room = rooms[i]
+        summary.rooms++
+
+        // Verified users with a lastVerified timestamp older than this cutoff
+        // are considered stale. ISO strings sort chronologically.
+        const cutoff = new Date(startTime.getTime() - room.reverifyInterval)
+        const users = await _this.TGUser.find({
+          rooms: {
+            $elemMatch: {
+              chatId: room.chatId,
+              hasVerified: true,
+              lastVerified: { $lt: cutoff.toISOString() }
+            }
+          }
+        })
+
+        // Process the users in batches to limit the number of concurrent
+        // merit lookups.
+        for (let j = 0; j < users.length; j += _this.SWEEP_CONCURRENCY) {
+          const batch = users.slice(j, j + _this.SWEEP_CONCURRENCY)
+
+          const results = await Promise.all(
+            batch.map(tgUser => _this.reverifyUser(tgUser, room))
+          )
+
+          results.forEach(result => {
+            summary.checked++
+            summary[result]++
+          })
+        }
+      }
+
+      const duration = new Date().getTime() - startTime.getTime()
+      const meritStats = _this.bot.bch.getMeritStats()
+      wlogger.info(
+        `Merit sweep of ${summary.rooms} rooms finished in ${duration} ms. Checked: ${
+          summary.checked
+        }, reverified: ${summary.reverified}, demoted: ${
+          summary.demoted
+        }, errors: ${summary.errors}. Merit cache hits: ${
+          meritStats.hits
+        }, misses: ${meritStats.misses}`
+      )
+
+      return summary
+    } catch (err) {
+      const now = new Date()
+      wlogger.error(
+        `Error in merit-sweep.js/sweep() at ${now.toLocaleString()}: `,
+        err
+      )
+      return false
+    } finally {
+      _this.isRunning = false
+    }
+  }
+
+  // Re-verify the merit of a single user in a room. Returns a string matching
+  // one of the counters in the sweep summary.
+  async reverifyUser (tgUser, room) {
+    try {
+      const stillVerified = await _this.bot.reverifyMerit(tgUser, room, 'sweep')
+
+      if (stillVerified) return 'reverified'
+
+      // The demotion is not triggered by a user, so the event has no actor.
+      const roomState = _this.bot._getRoomState(tgUser, room.chatId)
+      await _this.bot.audit.record('demotion', null, tgUser, room.chatId, {
+        merit: roomState.merit,
+        threshold: room.threshold,
+        reason: 'sweep'
+      })
+
+      await _this.notifyDemotion(tgUser, room)
+
+      return 'demoted'
+    } catch (err) {
+      wlogger.error(
+        `Error in merit-sweep.js/reverifyUser() for tgId ${tgUser.tgId}: `,
+        err
+      )
+      return 'errors'
+    }
+  }
+
+  // Send a private message to a user letting them know they lost the ability
+  // to speak in the room.
+  async notifyDemotion (tgUser, room) {
+    const roomState = _this.bot._getRoomState(tgUser, room.chatId)
+    const lang = _this.bot.i18n.resolve(null, tgUser)
+
+    const returnMsg = _this.bot.i18n.t(lang, 'demotedPrivate', {
+      room: room.title || _this.bot.i18n.t(lang, 'defaultRoomName'),
+      merit: roomState.merit
+    })
+
+    try {
+      await _this.bot.bot.sendMessage(tgUser.tgId, returnMsg)
+    } catch (err) {
+      // 403 Forbidden: bot can't initiate conversation with a user
+      // 403 Forbidden: bot was blocked by the user
+      wlogger.debug(
+        `Unable to send demotion notification to tgId ${tgUser.tgId}.`
+      )
+    }
+  }
+}
+
+module.exports = MeritSweep
@@ -0,0 +1,234 @@
+/*
+  This library contains the privacy settings of Telegram users and the /privacy
+  command used to change them.
+
+  Members choose whether the bot shows their exact merit, a rounded bucket, or
+  nothing at all, whether they appear in /list, and whether messages about
+  their merit are sent to them privately. Settings are stored on the tg-user
+  model.
+*/
+
+// Local libraries
+const wlogger = require('./wlogger')
+
+// Default settings of users who never changed them.
+const DEFAULTS = {
+  merit: 'exact',
+  listed: true,
+  dm: true,
+  leaderboard: false
+}
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class Privacy {
+  constructor (config) {
+    // An instance of the Bot library is required, as it is used to look up
+    // users and to talk to Telegram.
+    if (!config || !config.bot) {
+      throw new Error(
+        'Instance of the Bot library must be passed when instantiating Privacy.'
+      )
+    }
+    this.bot = config.bot
+
+    _this = this
+  }
+
+  // Handler for the /privacy command. It is only accepted in a private chat
+  // with the bot. Syntax is:
+  // /privacy                              Show the current settings.
+  // /privacy merit exact|bucket|hidden    How other members see your merit.
+  // /privacy list on|off                  Whether you appear in /list.
+  // /privacy dm on|off                    Send messages about your merit privately.
+  // /privacy leaderboard on|off           Whether you appear by name on /leaderboard.
+  async command (msg) {
+    try {
+      // Outside of a private chat the user is not looked up, so the reply is in
+      // the language of their Telegram app.
+      if (msg.chat.type !== 'private') {
+        const botMsg = await _this.bot.bot.sendMessage(
+          msg.chat.id,
+          _this.bot.i18n.t(_this.bot.i18n.resolve(msg), 'privacyPrivateOnly')
+        )
+        _this.bot.deleteBotSpam(msg, botMsg)
+        return 0
+      }
+
+      const tgUser = await _this.bot.TGUser.findOne({ tgId: msg.from.id })
+      const lang = _this.bot.i18n.resolve(msg, tgUser)
+      if (!tgUser) {
+        await _this.bot.bot.sendMessage(
+          msg.chat.id,
+          _this.bot.i18n.t(lang, 'userNotFound')
+        )
+        return 0
+      }
+
+      const msgParts = msg.text.toString().split(' ')
+
+      if (msgParts.length === 1) {
+        await _this.bot.bot.sendMessage(msg.chat.id, _this._describe(tgUser, lang))
+        return 1
+      }
+
+      const [, setting, value] = msgParts
+      const error = _this._applySetting(tgUser, setting, value, lang)
+      if (error) {
+        await _this.bot.bot.sendMessage(
+          msg.chat.id,
+          `${error}\n\n${_this.bot.i18n.t(lang, 'privacyUsage')}`
+        )
+        return 0
+      }
+
+      await tgUser.save()
+      await _this.bot.bot.sendMessage(msg.chat.id, _this._describe(tgUser, lang))
+
+      return 2
+    } catch (err) {
+      wlogger.error('Error in privacy.js/command(): ', err)
+    }
+  }
+
+  // Get the privacy settings of a user, with defaults for unset values.
+  getSettings (tgUser) {
+    const privacy = (tgUser && tgUser.privacy) || {}
+
+    const settings = {}
+    Object.keys(DEFAULTS).forEach(key => {
+      settings[key] =
+        privacy[key] === undefined || privacy[key] === null
+          ? DEFAULTS[key]
+          : privacy[key]
+    })
+
+    return settings
+  }
+
+  // Format the merit of a user for display to other members, according to
+  // their privacy settings. Returns null if the merit should not be shown.
+  formatMerit (tgUser, merit, lang) {
+    const settings = _this.getSettings(tgUser)
+
+    if (settings.merit === 'hidden') return null
+    if (settings.merit === 'bucket') {
+      return _this.bot.i18n.t(lang, 'meritBucket', { merit: _this.toBucket(merit) })
+    }
+
+    return `${merit}`
+  }
+
+  // Round merit down to one significant digit, e.g. 94 becomes 90 and
+  // 123456 becomes 100000.
+  toBucket (merit) {
+    merit = Math.floor(merit)
+    if (merit < 10) return merit > 0 ? merit : 0
+
+    const magnitude = Math.pow(10, Math.floor(Math.log10(merit)))
+
+    return Math.floor(merit / magnitude) * magnitude
+  }
+
+  // Send a message about the merit of a user. Unless the user turned the dm
+  // setting off, the message is sent to them privately and a short notice is
+  // posted in the group. If the private message can not be delivered, the
+  // public version of the message is posted in the group instead. Returns the
+  // message posted in the chat of msg, for bot spam deletion.
+  async replyPrivately (msg, tgUser, privateMsg, publicMsg, options = {}) {
+    const settings = _this.getSettings(tgUser)
+
+    // By default the replies start with a mention of the user.
+    const send = options.mention === false
+      ? (chatId, text) => _this.bot.bot.sendMessage(chatId, text)
+      : (chatId, text) => _this.bot._sendMention(chatId, msg.from, text)
+
+    if (msg.chat.type === 'private' || !settings.dm) {
+      return send(
+        msg.chat.id,
+        msg.chat.type === 'private' ? privateMsg : publicMsg
+      )
+    }
+
+    try {
+      await send(msg.from.id, privateMsg)
+    } catch (err) {
+      // 403 Forbidden: bot can't initiate conversation with a user
+      wlogger.debug(`Unable to send private message to tgId ${msg.from.id}.`)
+      return send(msg.chat.id, publicMsg)
+    }
+
+    const name = msg.from.username ? `@${msg.from.username}` : msg.from.first_name
+    const lang = _this.bot.i18n.resolve(msg, tgUser)
+    const notice = _this.bot.i18n.t(lang, 'privateReplyNotice', { name })
+
+    // Users without a username are mentioned with a text mention entity.
+    const sendOptions = {}
+    if (!msg.from.username && notice.includes(name)) {
+      sendOptions.entities = JSON.stringify([
+        {
+          type: 'text_mention',
+          offset: notice.indexOf(name),
+          length: name.length,
+          user: { id: msg.from.id }
+        }
+      ])
+    }
+
+    return _this.bot.bot.sendMessage(msg.chat.id, notice, sendOptions)
+  }
+
+  // Change a setting of a user. Returns an error message if the setting or
+  // value is invalid.
+  _applySetting (tgUser, setting, value, lang) {
+    if (!tgUser.privacy) tgUser.privacy = {}
+
+    if (setting === 'merit') {
+      if (!['exact', 'bucket', 'hidden'].includes(value)) {
+        return _this.bot.i18n.t(lang, 'privacyInvalidMerit')
+      }
+      tgUser.privacy.merit = value
+      return false
+    }
+
+    if (['list', 'dm', 'leaderboard'].includes(setting)) {
+      if (value !== 'on' && value !== 'off') {
+        return _this.bot.i18n.t(lang, 'privacyInvalidSwitch', { setting })
+      }
+      const key = setting === 'list' ? 'listed' : setting
+      tgUser.privacy[key] = value === 'on'
+      return false
+    }
+
+    return _this.bot.i18n.t(lang, 'privacyUnknownSetting', { setting })
+  }
+
+  // Describe the settings of a user. The names and values of the settings are
+  // shown as they are typed in the /privacy command.
+  _describe (tgUser, lang) {
+    const t = key => _this.bot.i18n.t(lang, key)
+    const settings = _this.getSettings(tgUser)
+
+    const meritDesc = {
+      exact: t('privacyMeritExact'),
+      bucket: t('privacyMeritBucket'),
+      hidden: t('privacyMeritHidden')
+    }
+
+    return `${t('privacyHeader')}
+- merit ${settings.merit}: ${meritDesc[settings.merit]}
+- list ${settings.listed ? 'on' : 'off'}: ${t(
+      settings.listed ? 'privacyListOn' : 'privacyListOff'
+    )}
+- dm ${settings.dm ? 'on' : 'off'}: ${t(
+      settings.dm ? 'privacyDmOn' : 'privacyDmOff'
+    )}
+- leaderboard ${settings.leaderboard ? 'on' : 'off'}: ${t(
+      settings.leaderboard ? 'privacyLeaderboardOn' : 'privacyLeaderboardOff'
+    )}
+
+${t('privacyUsage')}`
+  }
+}
+
+module.exports = Privacy
@@ -0,0 +1,100 @@
+/*
+  This library contains methods for working with merit tiers.
+
+  A tier maps a range of merit to a set of chat permissions. Tiers are
+  configured per room. The tier of a user is the tier with the highest minimum
+  merit that the user meets. Rooms without tiers use a single tier that starts
+  at the merit threshold of the room and allows everything.
+*/
+
+// Message types that are considered media.
+const MEDIA_TYPES = [
+  'photo',
+  'video',
+  'animation',
+  'audio',
+  'document',
+  'voice',
+  'video_note',
+  'sticker',
+  'poll'
+]
+
+class Tiers {
+  // Get the tiers of a room, sorted by minimum merit.
+  getTiers (room) {
+    if (!room.tiers || !room.tiers.length) {
+      return [
+        {
+          name: 'member',
+          minMerit: room.threshold,
+          canSendText: true,
+          canSendLinks: true,
+          canSendMedia: true,
+          canInvite: true
+        }
+      ]
+    }
+
+    return room.tiers.slice().sort((a, b) => a.minMerit - b.minMerit)
+  }
+
+  // Get the tier for an amount of merit in a room. Returns null if the merit
+  // does not meet the lowest tier.
+  getTier (room, merit) {
+    const tiers = this.getTiers(room)
+
+    let tier = null
+    for (let i = 0; i < tiers.length; i++) {
+      if (merit >= tiers[i].minMerit) tier = tiers[i]
+    }
+
+    return tier
+  }
+
+  // Classify a Telegram message as 'media', 'link', 'text' or 'other'. Service
+  // messages, like users joining the room, are 'other'.
+  getMsgType (msg) {
+    const isMedia = MEDIA_TYPES.find(x => msg[x])
+    if (isMedia) return 'media'
+
+    const entities = msg.entities || msg.caption_entities || []
+    const hasLink = entities.find(
+      x => x.type === 'url' || x.type === 'text_link'
+    )
+    if (hasLink) return 'link'
+
+    if (msg.text) return 'text'
+
+    return 'other'
+  }
+
+  // Returns true if the tier allows a type of message.
+  isAllowed (tier, msgType) {
+    if (msgType === 'other') return true
+    if (!tier) return false
+
+    if (msgType === 'media') return Boolean(tier.canSendMedia)
+    if (msgType === 'link') return Boolean(tier.canSendLinks)
+
+    return Boolean(tier.canSendText)
+  }
+
+  // Convert a tier to a Telegram ChatPermissions object.
+  toChatPermissions (tier) {
+    const canSendMessages = Boolean(
+      tier.canSendText || tier.canSendLinks || tier.canSendMedia
+    )
+
+    return {
+      can_send_messages: canSendMessages,
+      can_send_media_messages: Boolean(tier.canSendMedia),
+      can_send_polls: Boolean(tier.canSendMedia),
+      can_send_other_messages: Boolean(tier.canSendMedia),
+      can_add_web_page_previews: Boolean(tier.canSendLinks),
+      can_invite_users: Boolean(tier.canInvite)
+    }
+  }
+}
+
+module.exports = Tiers
@@ -0,0 +1,319 @@
+/*
+  This library guides users through the verification of their merit in a
+  private chat with the bot, one step at a time.
+
+  Sending /verify in a private chat starts the conversation. The bot asks for
+  the address to claim and validates it, then shows the exact text to sign and
+  waits for the signature. Errors are explained at each step, with buttons to
+  retry the step or cancel the verification. The signature is finally checked
+  by Bot.verifyUser(), like a one line /verify command.
+
+  The state of each conversation is stored in the database, so a restart of
+  the bot does not lose the progress of users.
+*/
+
+// Local libraries
+const VerifyConversation = require('../models/verify-conversation')
+const wlogger = require('./wlogger')
+
+// Prefix of the callback data of the retry and cancel buttons.
+const CALLBACK_PREFIX = 'vf'
+
+let _this // Global variable for 'this' reference to the class instance.
+
+class VerifyFlow {
+  constructor (config) {
+    // An instance of the Bot library is required, as it is used to look up
+    // users, issue challenges and talk to Telegram.
+    if (!config || !config.bot) {
+      throw new Error(
+        'Instance of the Bot library must be passed when instantiating VerifyFlow.'
+      )
+    }
+    this.bot = config.bot
+
+    // Encapsulate external dependencies.
+    this.VerifyConversation = VerifyConversation
+
+    _this = this
+  }
+
+  // Start a conversation, asking the user for their address. Called for a
+  // bare /verify command in a private chat.
+  async start (msg) {
+    try {
+      const lang = await _this.bot._getLanguage(msg)
+
+      // verifyUser() expects the user model to exist.
+      const tgUser = await _this.bot.TGUser.findOne({ tgId: msg.from.id })
+      if (!tgUser) {
+        const newTgUser = new _this.bot.TGUser({
+          username: msg.from.username,
+          tgId: msg.from.id
+        })
+        await newTgUser.save()
+      }
+
+      await _this.VerifyConversation.findOneAndUpdate(
+        { tgId: msg.from.id, chatId: msg.chat.id },
+        { $set: { step: 'address', bchAddr: '', updatedAt: new Date() } },
+        { upsert: true }
+      )
+
+      await _this._send(msg.chat.id, _this.bot.i18n.t(lang, 'flowAskAddress'), lang)
+
+      return 1
+    } catch (err) {
+      wlogger.error('Error in verify-flow.js/start(): ', err)
+    }
+  }
+
+  // Handle a message in a private chat. Returns 0 if the message is not part
+  // of a conversation.
+  async handleMessage (msg) {
+    try {
+      // Commands are handled by their own handlers.
+      if (!msg.text || msg.text.startsWith('/')) return 0
+
+      const conversation = await _this.VerifyConversation.findOne({
+        tgId: msg.from.id,
+        chatId: msg.chat.id
+      })
+      if (!conversation) return 0
+
+      const lang = await _this.bot._getLanguage(msg)
+
+      if (conversation.step === 'address') {
+        return await _this._handleAddress(msg, conversation, lang)
+      }
+
+      return await _this._handleSignature(msg, conversation, lang)
+    } catch (err) {
+      wlogger.error('Error in verify-flow.js/handleMessage(): ', err)
+    }
+  }
+
+  // Validate the address sent by the user, and ask them to sign a new
+  // challenge with it.
+  async _handleAddress (msg, conversation, lang) {
+    const text = msg.text.trim()
+
+    let bchAddr
+    try {
+      bchAddr = _this.bot.bch.bchjs.SLP.Address.toCashAddress(text)
+    } catch (err) {
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'flowInvalidAddress', { text }),
+        lang
+      )
+      return 2
+    }
+
+    // Claimed addresses can only be taken over if the bot is configured to
+    // transfer them.
+    let owner
+    try {
+      owner = await _this.bot.checkDupClaim(bchAddr, msg)
+    } catch (err) {
+      await _this.bot._audit('verify-failed', msg, null, {
+        reason: 'claim-check-failed',
+        bchAddr
+      })
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'flowClaimCheckFailed'),
+        lang
+      )
+      return 2
+    }
+    if (owner && _this.bot.ADDRESS_TRANSFER_POLICY !== 'transfer') {
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'addressClaimed', { owner }),
+        lang
+      )
+      return 2
+    }
+
+    conversation.step = 'signature'
+    conversation.bchAddr = bchAddr
+    conversation.updatedAt = new Date()
+    await conversation.save()
+
+    await _this._sendChallenge(msg.chat.id, msg.from.id, conversation, lang)
+
+    return 3
+  }
+
+  // Check the signature sent by the user, and hand it over to verifyUser() if
+  // it is valid.
+  async _handleSignature (msg, conversation, lang) {
+    const signature = msg.text.trim()
+    const address = conversation.bchAddr
+
+    const challenge = await _this.bot.challenge.getActive(
+      msg.from.id,
+      msg.chat.id
+    )
+    if (!challenge || _this.bot.challenge.isExpired(challenge)) {
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'flowChallengeExpired'),
+        lang
+      )
+      return 4
+    }
+
+    // Signatures are a single word.
+    if (signature.split(/\s+/).length !== 1) {
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'flowInvalidSignature'),
+        lang
+      )
+      return 4
+    }
+
+    let isValidSig = false
+    try {
+      // verifyMsg() throws an error for invalid formatted signatures.
+      isValidSig = _this.bot.bch.verifyMsg({
+        bchAddr: address,
+        signedMsg: signature,
+        message: challenge.text
+      })
+    } catch (err) {
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'flowInvalidSignature'),
+        lang
+      )
+      return 4
+    }
+
+    if (!isValidSig) {
+      await _this._sendError(
+        msg.chat.id,
+        _this.bot.i18n.t(lang, 'flowWrongSignature', { address }),
+        lang
+      )
+      return 4
+    }
+
+    await _this.VerifyConversation.deleteOne({ _id: conversation._id })
+
+    // verifyUser() claims the address, calculates the merit and reports the
+    // result.
+    const verifyMsg = Object.assign({}, msg, {
+      text: `/verify ${address} ${signature}`
+    })
+    await _this.bot.verifyUser(verifyMsg)
+
+    return 5
+  }
+
+  // Handle a press of a retry or cancel button. The callback data has the
+  // format 'vf:retry' or 'vf:cancel'.
+  async handleCallback (query) {
+    try {
+      const action = query.data.split(':')[1]
+      const chatId = query.message.chat.id
+      const lang = await _this.bot._getLanguage(query)
+
+      await _this.bot.bot.answerCallbackQuery(query.id)
+
+      // The buttons can only be used once.
+      await _this.bot.bot.editMessageReplyMarkup(
+        { inline_keyboard: [] },
+        { chat_id: chatId, message_id: query.message.message_id }
+      )
+
+      const conversation = await _this.VerifyConversation.findOne({
+        tgId: query.from.id,
+        chatId
+      })
+      if (!conversation) {
+        await _this.bot.bot.sendMessage(
+          chatId,
+          _this.bot.i18n.t(lang, 'flowNoConversation')
+        )
+        return 0
+      }
+
+      if (action === 'cancel') {
+        await _this.VerifyConversation.deleteOne({ _id: conversation._id })
+        await _this.bot.bot.sendMessage(
+          chatId,
+          _this.bot.i18n.t(lang, 'flowCancelled')
+        )
+        return 1
+      }
+
+      // Retry the current step.
+      if (conversation.step === 'address') {
+        await _this._send(chatId, _this.bot.i18n.t(lang, 'flowAskAddress'), lang)
+      } else {
+        await _this._sendChallenge(chatId, query.from.id, conversation, lang)
+      }
+
+      return 2
+    } catch (err) {
+      wlogger.error('Error in verify-flow.js/handleCallback(): ', err)
+      return false
+    }
+  }
+
+  // Returns true if the callback data belongs to a button of this flow.
+  isCallback (data) {
+    return typeof data === 'string' && data.startsWith(`${CALLBACK_PREFIX}:`)
+  }
+
+  // Issue a new challenge and send it to the user. The text to sign is sent
+  // in a message of its own, so that it is easy to copy exactly.
+  async _sendChallenge (chatId, tgId, conversation, lang) {
+    const challenge = await _this.bot.challenge.create(tgId, chatId)
+    const minutes = Math.round(_this.bot.challenge.CHALLENGE_LIFETIME / 60000)
+
+    await _this.bot.bot.sendMessage(
+      chatId,
+      _this.bot.i18n.t(lang, 'flowAskSignature', {
+        address: conversation.bchAddr,
+        minutes
+      })
+    )
+    await _this._send(chatId, challenge.text, lang)
+  }
+
+  // Send a message with a cancel button.
+  async _send (chatId, text, lang) {
+    return _this.bot.bot.sendMessage(chatId, text, {
+      reply_markup: _this._getKeyboard(lang, false)
+    })
+  }
+
+  // Send an error message with retry and cancel buttons.
+  async _sendError (chatId, text, lang) {
+    return _this.bot.bot.sendMessage(chatId, text, {
+      reply_markup: _this._getKeyboard(lang, true)
+    })
+  }
+
+  _getKeyboard (lang, withRetry) {
+    const buttons = []
+    if (withRetry) {
+      buttons.push({
+        text: _this.bot.i18n.t(lang, 'buttonRetry'),
+        callback_data: `${CALLBACK_PREFIX}:retry`
+      })
+    }
+    buttons.push({
+      text: _this.bot.i18n.t(lang, 'buttonCancel'),
+      callback_data: `${CALLBACK_PREFIX}:cancel`
+    })
+
+    return { inline_keyboard: [buttons] }
+  }
+}
+
+module.exports = VerifyFlow
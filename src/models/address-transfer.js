@@ -0,0 +1,24 @@
+/*
+  Model for the transfers of claimed addresses between Telegram users.
+
+  A transfer is recorded when a user signs a fresh challenge with the key of
+  an address that was already claimed by another user, and the claim is moved
+  over to them.
+*/
+
+const mongoose = require('mongoose')
+
+const AddressTransfer = new mongoose.Schema({
+  bchAddr: { type: String, index: true },
+  // The previous holder of the address.
+  fromTgId: { type: Number },
+  fromUsername: { type: String, default: '' },
+  // The user who signed the challenge and now holds the address.
+  toTgId: { type: Number },
+  toUsername: { type: String, default: '' },
+  // The chat the challenge was signed in.
+  chatId: { type: Number },
+  timestamp: { type: Date, default: Date.now }
+})
+
+module.exports = mongoose.model('address-transfer', AddressTransfer)
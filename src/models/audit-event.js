@@ -0,0 +1,35 @@
+/*
+  Model for the audit trail of membership and moderation events.
+
+  An event is saved when a user verifies their merit or fails to, loses their
+  speaking rights, revokes or transfers an address, or has a message deleted
+  by the bot, and when an admin moderates a member with a Telegram command or
+  in the dashboard. Unlike the log files, the events are kept until they are
+  removed from the database.
+*/
+
+const mongoose = require('mongoose')
+
+const AuditEvent = new mongoose.Schema({
+  // 'verify-success', 'verify-below-threshold', 'verify-failed', 'demotion',
+  // 'revoke', 'revoke-denied', 'address-transfer', 'message-deleted', or an
+  // admin action: 'admin-forceverify', 'admin-unverify', 'admin-exempt',
+  // 'admin-recheck', 'admin-setthreshold', 'admin-updateroom' or
+  // 'admin-deletemember'. Actions taken in the dashboard have 'dashboard' as
+  // the source in their details.
+  type: { type: String, index: true },
+  // The Telegram user whose action triggered the event. Dashboard users have
+  // no Telegram ID and are recorded by username only. Events of the merit
+  // sweep have no actor.
+  actorTgId: { type: Number, index: true },
+  actorUsername: { type: String, default: '' },
+  // The Telegram user the event is about. Usually the actor.
+  subjectTgId: { type: Number, index: true },
+  subjectUsername: { type: String, default: '' },
+  chatId: { type: Number, index: true },
+  // Event specific data, like the address or the merit of the user.
+  details: { type: Object, default: {} },
+  timestamp: { type: Date, default: Date.now, index: true }
+})
+
+module.exports = mongoose.model('audit-event', AuditEvent)
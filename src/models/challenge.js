@@ -0,0 +1,21 @@
+/*
+  Model for verification challenges issued to Telegram users.
+
+  A challenge is a short-lived, single-use message that a user must sign with
+  the private key of the address they want to claim. It is bound to the
+  Telegram user and the chat it was requested in.
+*/
+
+const mongoose = require('mongoose')
+
+const Challenge = new mongoose.Schema({
+  tgId: { type: Number },
+  chatId: { type: Number },
+  nonce: { type: String, default: '' },
+  text: { type: String, default: '' },
+  used: { type: Boolean, default: false },
+  // Documents are removed by MongoDB one day after they expire.
+  expires: { type: Date, expires: 60 * 60 * 24 }
+})
+
+module.exports = mongoose.model('challenge', Challenge)
@@ -0,0 +1,26 @@
+/*
+  Model for requests to join rooms that require admin approval of new members.
+
+  A request is held while the user verifies their merit in a private chat
+  with the bot. It is approved once they meet the merit threshold of the room,
+  or declined when it expires.
+*/
+
+const mongoose = require('mongoose')
+
+const JoinRequest = new mongoose.Schema({
+  tgId: { type: Number },
+  chatId: { type: Number },
+  // ID of the private chat with the user.
+  userChatId: { type: Number },
+  // 'failed' if Telegram did not accept the approval, for example because an
+  // admin already handled the request.
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined', 'failed'],
+    default: 'pending'
+  },
+  expires: { type: Date }
+})
+
+module.exports = mongoose.model('join-request', JoinRequest)
@@ -0,0 +1,23 @@
+/*
+  Model for the merit history of Telegram users.
+
+  A snapshot is saved every time the merit of a user is calculated for a room,
+  so that the evolution of their stake can be followed over time.
+*/
+
+const mongoose = require('mongoose')
+
+const MeritSnapshot = new mongoose.Schema({
+  tgId: { type: Number, index: true },
+  chatId: { type: Number },
+  tokenId: { type: String, default: '' },
+  // The SLP addresses whose merit was summed.
+  addresses: [{ type: String }],
+  merit: { type: Number, default: 0 },
+  timestamp: { type: Date, default: Date.now },
+  // What triggered the calculation: 'verify', 'message', 'sweep', 'revoke',
+  // 'join-request', 'transfer' or 'admin'.
+  reason: { type: String, default: '' }
+})
+
+module.exports = mongoose.model('merit-snapshot', MeritSnapshot)
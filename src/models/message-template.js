@@ -0,0 +1,21 @@
+/*
+  Model for bot message templates edited by admins.
+
+  A template replaces the message with the same name in the message catalog
+  of its language. Placeholders like {merit} are filled in by the bot.
+*/
+
+const mongoose = require('mongoose')
+
+const MessageTemplate = new mongoose.Schema({
+  // Key of the message in the message catalog, like 'help'.
+  name: { type: String, required: true },
+  // Language code, like 'en'.
+  language: { type: String, default: 'en' },
+  text: { type: String, required: true },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+MessageTemplate.index({ name: 1, language: 1 }, { unique: true })
+
+module.exports = mongoose.model('message-template', MessageTemplate)
@@ -0,0 +1,46 @@
+/*
+  Model for the Telegram rooms managed by the bot.
+
+  Each room defines the token used to calculate merit, the merit threshold
+  required to speak, and how often a users merit is re-verified.
+*/
+
+const mongoose = require('mongoose')
+
+const Room = new mongoose.Schema({
+  chatId: { type: Number, unique: true },
+  title: { type: String, default: '' },
+  tokenId: { type: String, default: '' },
+  threshold: { type: Number, default: 30000 },
+  // How unverified users are kept from speaking. 'delete' deletes their
+  // messages. 'restrict' mutes them with Telegram permissions, and falls back
+  // to deleting their messages if the bot lacks the right to restrict members.
+  enforcement: { type: String, enum: ['delete', 'restrict'], default: 'delete' },
+  // Time in milliseconds between merit re-verifications.
+  reverifyInterval: { type: Number, default: 60000 * 60 * 24 },
+  // Time in milliseconds a verified user keeps speaking rights after their
+  // merit drops below the threshold. 0 demotes them right away.
+  gracePeriod: { type: Number, default: 60000 * 60 * 24 },
+  // Time in milliseconds after which unapproved join requests are declined.
+  joinRequestTimeout: { type: Number, default: 60000 * 60 * 24 },
+  // Merit tiers and the chat permissions of each tier. If empty, a single
+  // tier starting at the threshold and allowing everything is used.
+  tiers: [
+    {
+      _id: false,
+      name: { type: String, default: '' },
+      minMerit: { type: Number, default: 0 },
+      canSendText: { type: Boolean, default: true },
+      canSendLinks: { type: Boolean, default: false },
+      canSendMedia: { type: Boolean, default: false },
+      canInvite: { type: Boolean, default: false }
+    }
+  ],
+  // Optional room-specific replacements for the default bot messages.
+  messages: {
+    verified: { type: String, default: '' },
+    demoted: { type: String, default: '' }
+  }
+})
+
+module.exports = mongoose.model('room', Room)
@@ -7,11 +7,66 @@ const mongoose = require('mongoose')
 const TGUser = new mongoose.Schema({
   username: { type: String, default: '' },
   tgId: { type: Number },
-  bchAddr: { type: String, default: '' },
-  slpAddr: { type: String, default: '' },
-  merit: { type: Number, default: 0 },
-  hasVerified: { type: Boolean, default: false },
-  lastVerified: { type: String, default: '' }
+  // Previous usernames of the user. Ownership is tied to tgId, so the
+  // username is only used to look users up and mention them.
+  usernameHistory: [
+    {
+      _id: false,
+      username: { type: String },
+      changedAt: { type: Date }
+    }
+  ],
+  // Addresses claimed by the user. Merit is summed across all of them.
+  addresses: [
+    {
+      _id: false,
+      bchAddr: { type: String, default: '' },
+      slpAddr: { type: String, default: '' }
+    }
+  ],
+  // Language chosen by the user with the /language command. Empty to use
+  // the language of their Telegram app.
+  language: { type: String, default: '' },
+  // Privacy settings of the user.
+  privacy: {
+    // 'exact' lets other members see the merit of the user. 'bucket' shows
+    // it rounded down to one significant digit. 'hidden' keeps it private.
+    merit: {
+      type: String,
+      enum: ['exact', 'bucket', 'hidden'],
+      default: 'exact'
+    },
+    // Show the user in /list.
+    listed: { type: Boolean, default: true },
+    // Send messages about the merit of the user in a private message, instead
+    // of in the room.
+    dm: { type: Boolean, default: true },
+    // Show the username of the user on the leaderboard. Users who did not opt
+    // in are listed anonymously.
+    leaderboard: { type: Boolean, default: false }
+  },
+  // Verification state of the user in each room managed by the bot.
+  rooms: [
+    {
+      _id: false,
+      chatId: { type: Number },
+      merit: { type: Number, default: 0 },
+      hasVerified: { type: Boolean, default: false },
+      lastVerified: { type: String, default: '' },
+      // Name of the merit tier of the user in the room.
+      tier: { type: String, default: '' },
+      // Deadline (ISO string) for the user to restore their merit, after it
+      // dropped below the threshold. Empty if the user is not in a grace
+      // period.
+      graceUntil: { type: String, default: '' },
+      // Exempt users may speak regardless of their merit. Set by admins.
+      exempt: { type: Boolean, default: false },
+      // Set when an admin verified the user regardless of their merit. The
+      // user gets at least the lowest merit tier until their merit is
+      // calculated again.
+      forceVerified: { type: Boolean, default: false }
+    }
+  ]
 })
 
 // export default mongoose.model('user', User)
@@ -0,0 +1,23 @@
+/*
+  Model for the guided verification conversations in private chats.
+
+  The state of the conversation is stored, so that users can continue where
+  they left off after the bot restarts.
+*/
+
+const mongoose = require('mongoose')
+
+const VerifyConversation = new mongoose.Schema({
+  tgId: { type: Number, index: true },
+  // ID of the private chat with the user.
+  chatId: { type: Number },
+  // The step the bot is waiting on: the 'address' to claim, or the
+  // 'signature' of the challenge.
+  step: { type: String, enum: ['address', 'signature'], default: 'address' },
+  // The address given by the user, once the address step is done.
+  bchAddr: { type: String, default: '' },
+  // Documents are removed by MongoDB one day after the last update.
+  updatedAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }
+})
+
+module.exports = mongoose.model('verify-conversation', VerifyConversation)
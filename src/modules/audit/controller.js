@@ -0,0 +1,227 @@
+const AuditEvent = require('../../models/audit-event')
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 500
+
+// Maximum number of events in a CSV export.
+const MAX_EXPORT = 100000
+
+// Columns of the CSV export.
+const CSV_COLUMNS = [
+  'timestamp',
+  'type',
+  'actorTgId',
+  'actorUsername',
+  'subjectTgId',
+  'subjectUsername',
+  'chatId',
+  'details'
+]
+
+let _this
+class AuditController {
+  constructor () {
+    _this = this
+    this.AuditEvent = AuditEvent
+  }
+
+  /**
+   * @api {get} /audit Get audit events
+   * @apiPermission admin
+   * @apiName GetAuditEvents
+   * @apiGroup Audit
+   * @apiDescription Returns the membership and moderation events recorded by
+   * the bot, newest first.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET "localhost:5001/audit?type=demotion&chatId=-1001337281108&page=2"
+   *
+   * @apiParam {String} [type]       Only return events of this type.
+   * @apiParam {Number} [actor]      Only return events triggered by this Telegram user ID.
+   * @apiParam {Number} [subject]    Only return events about this Telegram user ID.
+   * @apiParam {Number} [chatId]     Only return events in this chat.
+   * @apiParam {String} [from]       Only return events at or after this date.
+   * @apiParam {String} [to]         Only return events at or before this date.
+   * @apiParam {Number} [page=1]     Page of results.
+   * @apiParam {Number} [limit=50]   Events per page, at most 500.
+   *
+   * @apiSuccess {Object[]} events                  Audit events
+   * @apiSuccess {Date}     events.timestamp        When the event happened
+   * @apiSuccess {String}   events.type             Type of event
+   * @apiSuccess {Number}   events.actorTgId        Telegram user who triggered the event
+   * @apiSuccess {String}   events.actorUsername    Username of the actor
+   * @apiSuccess {Number}   events.subjectTgId      Telegram user the event is about
+   * @apiSuccess {String}   events.subjectUsername  Username of the subject
+   * @apiSuccess {Number}   events.chatId           Chat of the event
+   * @apiSuccess {Object}   events.details          Event specific data
+   * @apiSuccess {Number}   total                   Number of events matching the filters
+   * @apiSuccess {Number}   page                    Page of results
+   * @apiSuccess {Number}   limit                   Events per page
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     {
+   *       "events": [{
+   *          "timestamp": "2021-03-01T12:00:00.000Z",
+   *          "type": "demotion",
+   *          "actorTgId": 649043967,
+   *          "actorUsername": "christroutner",
+   *          "subjectTgId": 649043967,
+   *          "subjectUsername": "christroutner",
+   *          "chatId": -1001337281108,
+   *          "details": { "merit": 12000, "threshold": 30000 }
+   *       }],
+   *       "total": 1,
+   *       "page": 1,
+   *       "limit": 50
+   *     }
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async getEvents (ctx) {
+    try {
+      const query = _this._getQuery(ctx.query)
+
+      const page = _this._toPositive(ctx.query.page, 'page', 1)
+      const limit = Math.min(
+        _this._toPositive(ctx.query.limit, 'limit', DEFAULT_LIMIT),
+        MAX_LIMIT
+      )
+
+      const total = await _this.AuditEvent.countDocuments(query)
+      const events = await _this.AuditEvent.find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+
+      ctx.body = {
+        events: events.map(x => _this._describe(x)),
+        total,
+        page,
+        limit
+      }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {get} /audit/csv Export audit events as CSV
+   * @apiPermission admin
+   * @apiName ExportAuditEvents
+   * @apiGroup Audit
+   * @apiDescription Takes the same filters as GET /audit, without pagination.
+   * The details of each event are exported as JSON.
+   *
+   * @apiExample Example usage:
+   * curl -H "Authorization: Bearer <JWT>" -X GET "localhost:5001/audit/csv?from=2021-03-01" -o audit.csv
+   *
+   * @apiSuccessExample {text} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     timestamp,type,actorTgId,actorUsername,subjectTgId,subjectUsername,chatId,details
+   *     2021-03-01T12:00:00.000Z,demotion,649043967,christroutner,649043967,christroutner,-1001337281108,"{""merit"":12000,""threshold"":30000}"
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async exportCsv (ctx) {
+    try {
+      const query = _this._getQuery(ctx.query)
+
+      const events = await _this.AuditEvent.find(query)
+        .sort({ timestamp: -1 })
+        .limit(MAX_EXPORT)
+
+      const lines = [CSV_COLUMNS.join(',')]
+      events.forEach(event => {
+        const row = _this._describe(event)
+        row.timestamp = new Date(row.timestamp).toISOString()
+        row.details = JSON.stringify(row.details || {})
+
+        lines.push(CSV_COLUMNS.map(x => _this._toCsvValue(row[x])).join(','))
+      })
+
+      ctx.type = 'text/csv'
+      ctx.set('Content-Disposition', 'attachment; filename="audit.csv"')
+      ctx.body = `${lines.join('\n')}\n`
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  // Build the database query from the filters of the request.
+  _getQuery (params) {
+    const query = {}
+
+    if (params.type) query.type = params.type
+    if (params.actor) query.actorTgId = _this._toNumber(params.actor, 'actor')
+    if (params.subject) {
+      query.subjectTgId = _this._toNumber(params.subject, 'subject')
+    }
+    if (params.chatId) query.chatId = _this._toNumber(params.chatId, 'chatId')
+
+    if (params.from || params.to) {
+      query.timestamp = {}
+      if (params.from) query.timestamp.$gte = _this._toDate(params.from, 'from')
+      if (params.to) query.timestamp.$lte = _this._toDate(params.to, 'to')
+    }
+
+    return query
+  }
+
+  _describe (event) {
+    return {
+      timestamp: event.timestamp,
+      type: event.type,
+      actorTgId: event.actorTgId,
+      actorUsername: event.actorUsername,
+      subjectTgId: event.subjectTgId,
+      subjectUsername: event.subjectUsername,
+      chatId: event.chatId,
+      details: event.details
+    }
+  }
+
+  // Quote a CSV value if it contains a separator, a quote or a line break.
+  _toCsvValue (value) {
+    if (value === undefined || value === null) return ''
+
+    const str = value.toString()
+    if (/[",\r\n]/.test(str)) return `"${str.replace(/"/g, '""')}"`
+
+    return str
+  }
+
+  // Parse a number parameter.
+  _toNumber (value, name) {
+    const number = Number(value)
+    if (isNaN(number)) throw new Error(`${name} must be a number`)
+
+    return number
+  }
+
+  // Parse a positive integer parameter, with a default value.
+  _toPositive (value, name, defaultValue) {
+    if (value === undefined) return defaultValue
+
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${name} must be a positive integer`)
+    }
+
+    return number
+  }
+
+  // Parse a date parameter.
+  _toDate (value, name) {
+    const date = new Date(value)
+    if (isNaN(date.getTime())) throw new Error(`${name} must be a date`)
+
+    return date
+  }
+}
+
+module.exports = AuditController
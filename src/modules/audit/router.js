@@ -0,0 +1,20 @@
+const VALIDATOR = require('../../middleware/validators')
+const validator = new VALIDATOR()
+
+const CONTROLLER = require('./controller')
+const controller = new CONTROLLER()
+
+module.exports.baseUrl = '/audit'
+
+module.exports.routes = [
+  {
+    method: 'GET',
+    route: '/',
+    handlers: [validator.ensureAdmin, controller.getEvents]
+  },
+  {
+    method: 'GET',
+    route: '/csv',
+    handlers: [validator.ensureAdmin, controller.exportCsv]
+  }
+]
@@ -0,0 +1,97 @@
+const MeritSnapshot = require('../../models/merit-snapshot')
+
+let _this
+class MeritController {
+  constructor () {
+    _this = this
+    this.MeritSnapshot = MeritSnapshot
+  }
+
+  /**
+   * @api {get} /merit/:tgId Get the merit history of a Telegram user
+   * @apiPermission admin
+   * @apiName GetMeritHistory
+   * @apiGroup Merit
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET "localhost:5001/merit/649043967?chatId=-1001337281108"
+   *
+   * @apiParam {Number} tgId      Telegram user ID (required)
+   * @apiParam {Number} [chatId]  Only return the history for this room.
+   * @apiParam {String} [from]    Only return snapshots taken at or after this date.
+   * @apiParam {String} [to]      Only return snapshots taken at or before this date.
+   *
+   * @apiSuccess {Number}   tgId                 Telegram user ID
+   * @apiSuccess {Object[]} history              Merit snapshots, oldest first
+   * @apiSuccess {Date}     history.timestamp    When the merit was calculated
+   * @apiSuccess {Number}   history.chatId       Room the merit was calculated for
+   * @apiSuccess {Number}   history.merit        Merit
+   * @apiSuccess {String[]} history.addresses    SLP addresses whose merit was summed
+   * @apiSuccess {String}   history.reason       What triggered the calculation
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     {
+   *       "tgId": 649043967,
+   *       "history": [{
+   *          "timestamp": "2021-03-01T12:00:00.000Z",
+   *          "chatId": -1001337281108,
+   *          "merit": 50000,
+   *          "addresses": ["simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh"],
+   *          "reason": "verify"
+   *       }]
+   *     }
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async getHistory (ctx) {
+    try {
+      const tgId = Number(ctx.params.tgId)
+      if (isNaN(tgId)) throw new Error('tgId must be a number')
+
+      const query = { tgId }
+
+      const { chatId, from, to } = ctx.query
+      if (chatId) {
+        query.chatId = Number(chatId)
+        if (isNaN(query.chatId)) throw new Error('chatId must be a number')
+      }
+
+      if (from || to) {
+        query.timestamp = {}
+        if (from) query.timestamp.$gte = _this._toDate(from, 'from')
+        if (to) query.timestamp.$lte = _this._toDate(to, 'to')
+      }
+
+      const snapshots = await _this.MeritSnapshot.find(query).sort({
+        timestamp: 1
+      })
+
+      const history = snapshots.map(x => {
+        return {
+          timestamp: x.timestamp,
+          chatId: x.chatId,
+          merit: x.merit,
+          addresses: x.addresses,
+          reason: x.reason
+        }
+      })
+
+      ctx.body = { tgId, history }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  // Parse a date query parameter.
+  _toDate (value, name) {
+    const date = new Date(value)
+    if (isNaN(date.getTime())) throw new Error(`${name} must be a date`)
+
+    return date
+  }
+}
+
+module.exports = MeritController
@@ -0,0 +1,15 @@
+const VALIDATOR = require('../../middleware/validators')
+const validator = new VALIDATOR()
+
+const CONTROLLER = require('./controller')
+const controller = new CONTROLLER()
+
+module.exports.baseUrl = '/merit'
+
+module.exports.routes = [
+  {
+    method: 'GET',
+    route: '/:tgId',
+    handlers: [validator.ensureAdmin, controller.getHistory]
+  }
+]
@@ -0,0 +1,181 @@
+const Room = require('../../models/room')
+const defaultRoom = require('../../lib/default-room')
+const audit = require('../../lib/audit')
+
+// Settings that can be changed through the API, and whether they are numbers.
+const SETTINGS = {
+  title: false,
+  threshold: true,
+  reverifyInterval: true,
+  gracePeriod: true,
+  joinRequestTimeout: true,
+  enforcement: false
+}
+
+let _this
+class RoomController {
+  constructor () {
+    _this = this
+    this.Room = Room
+    this.audit = audit
+  }
+
+  /**
+   * @api {get} /rooms Get the rooms managed by the bot
+   * @apiPermission admin
+   * @apiName GetRooms
+   * @apiGroup Rooms
+   * @apiDescription The default room, configured with environment variables,
+   * is included even if its settings were never changed.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET localhost:5001/rooms
+   *
+   * @apiSuccess {Object[]} rooms                     Rooms
+   * @apiSuccess {Number}   rooms.chatId              Telegram chat ID
+   * @apiSuccess {String}   rooms.title               Title of the room
+   * @apiSuccess {String}   rooms.tokenId             Token used to calculate merit
+   * @apiSuccess {Number}   rooms.threshold           Merit required to speak
+   * @apiSuccess {Number}   rooms.reverifyInterval    Milliseconds between merit checks
+   * @apiSuccess {Number}   rooms.gracePeriod         Milliseconds members keep speaking after their merit drops
+   * @apiSuccess {Number}   rooms.joinRequestTimeout  Milliseconds after which join requests are declined
+   * @apiSuccess {String}   rooms.enforcement         'delete' or 'restrict'
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     {
+   *       "rooms": [{
+   *          "chatId": -1001337281108,
+   *          "title": "VIP room",
+   *          "tokenId": "38e97c5d7d3585a2cbf3f9580c82ca33985f9cb0845d4dcce220cb709f9538b0",
+   *          "threshold": 30000,
+   *          "reverifyInterval": 86400000,
+   *          "gracePeriod": 86400000,
+   *          "joinRequestTimeout": 86400000,
+   *          "enforcement": "delete"
+   *       }]
+   *     }
+   *
+   * @apiError UnprocessableEntity Database error
+   *
+   * @apiUse TokenError
+   */
+  async getRooms (ctx) {
+    try {
+      const rooms = (await _this.Room.find({})).map(x => x.toJSON())
+
+      const defaultRoom = _this._getDefaultRoom()
+      const hasDefaultRoom = rooms.find(x => x.chatId === defaultRoom.chatId)
+      if (defaultRoom.chatId && !hasDefaultRoom) rooms.push(defaultRoom)
+
+      ctx.body = { rooms }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {put} /rooms/:chatId Change the settings of a room
+   * @apiPermission admin
+   * @apiName UpdateRoom
+   * @apiGroup Rooms
+   * @apiDescription Rooms configured with environment variables are added to
+   * the Room collection the first time their settings are changed, like with
+   * the /setthreshold command. The bot uses the new settings on the next
+   * message or merit sweep. The change is recorded in the audit trail.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X PUT -d '{ "room": { "threshold": 50000, "enforcement": "restrict" } }' localhost:5001/rooms/-1001337281108
+   *
+   * @apiParam {Number} chatId                     Telegram chat ID (required)
+   * @apiParam {Object} room                       Settings to change (required)
+   * @apiParam {String} [room.title]               Title of the room.
+   * @apiParam {Number} [room.threshold]           Merit required to speak.
+   * @apiParam {Number} [room.reverifyInterval]    Milliseconds between merit checks. Must be greater than zero.
+   * @apiParam {Number} [room.gracePeriod]         Milliseconds members keep speaking after their merit drops.
+   * @apiParam {Number} [room.joinRequestTimeout]  Milliseconds after which join requests are declined.
+   * @apiParam {String} [room.enforcement]         'delete' or 'restrict'.
+   *
+   * @apiSuccess {Object} room  Updated room, in the format returned by GET /rooms
+   *
+   * @apiError UnprocessableEntity Invalid settings
+   *
+   * @apiUse TokenError
+   */
+  async updateRoom (ctx) {
+    try {
+      const chatId = Number(ctx.params.chatId)
+      if (isNaN(chatId)) throw new Error('chatId must be a number')
+
+      const settings = _this._validate(ctx.request.body.room)
+
+      const roomData = Object.assign({}, _this._getDefaultRoom(), { chatId })
+      Object.keys(settings).forEach(key => delete roomData[key])
+
+      const update = { $setOnInsert: roomData }
+      if (Object.keys(settings).length) update.$set = settings
+
+      const room = await _this.Room.findOneAndUpdate({ chatId }, update, {
+        upsert: true,
+        new: true
+      })
+
+      await _this.audit.record(
+        'admin-updateroom',
+        _this.audit.dashboardActor(ctx.state.user),
+        null,
+        chatId,
+        { source: 'dashboard', settings }
+      )
+
+      ctx.body = { room }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  // Validate the settings sent by the client. Returns the settings to change.
+  _validate (roomObj) {
+    if (!roomObj || typeof roomObj !== 'object') {
+      throw new Error("Property 'room' must be an object!")
+    }
+
+    const settings = {}
+    Object.keys(roomObj).forEach(key => {
+      if (!(key in SETTINGS)) throw new Error(`Unknown room setting '${key}'.`)
+
+      const value = roomObj[key]
+      if (SETTINGS[key]) {
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+          throw new Error(`Property '${key}' must be a positive number!`)
+        }
+      } else if (typeof value !== 'string') {
+        throw new Error(`Property '${key}' must be a string!`)
+      }
+
+      settings[key] = value
+    })
+
+    if (
+      settings.enforcement !== undefined &&
+      !['delete', 'restrict'].includes(settings.enforcement)
+    ) {
+      throw new Error("Property 'enforcement' must be 'delete' or 'restrict'!")
+    }
+
+    // An interval of zero would check the merit on every message.
+    if (settings.reverifyInterval !== undefined && settings.reverifyInterval <= 0) {
+      throw new Error("Property 'reverifyInterval' must be greater than zero!")
+    }
+
+    return settings
+  }
+
+  // Settings of the default room, configured with the same environment
+  // variables as the bot.
+  _getDefaultRoom () {
+    return defaultRoom.getDefaultRoom()
+  }
+}
+
+module.exports = RoomController
@@ -0,0 +1,20 @@
+const VALIDATOR = require('../../middleware/validators')
+const validator = new VALIDATOR()
+
+const CONTROLLER = require('./controller')
+const controller = new CONTROLLER()
+
+module.exports.baseUrl = '/rooms'
+
+module.exports.routes = [
+  {
+    method: 'GET',
+    route: '/',
+    handlers: [validator.ensureAdmin, controller.getRooms]
+  },
+  {
+    method: 'PUT',
+    route: '/:chatId',
+    handlers: [validator.ensureAdmin, controller.updateRoom]
+  }
+]
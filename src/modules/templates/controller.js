@@ -0,0 +1,211 @@
+const MessageTemplate = require('../../models/message-template')
+const I18n = require('../../lib/i18n')
+
+let _this
+class TemplateController {
+  constructor () {
+    _this = this
+    this.MessageTemplate = MessageTemplate
+    this.i18n = new I18n()
+  }
+
+  /**
+   * @api {get} /templates Get all bot message templates
+   * @apiPermission admin
+   * @apiName GetTemplates
+   * @apiGroup Templates
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET "localhost:5001/templates?language=en"
+   *
+   * @apiParam {String} [language=en]  Language of the templates.
+   *
+   * @apiSuccess {Object[]} templates               Message templates
+   * @apiSuccess {String}   templates.name          Name of the message
+   * @apiSuccess {String}   templates.language      Language code
+   * @apiSuccess {String}   templates.text          Text the bot sends
+   * @apiSuccess {String}   templates.defaultText   Text of the message catalog
+   * @apiSuccess {String[]} templates.placeholders  Placeholders the text may use
+   * @apiSuccess {Boolean}  templates.isCustom      True if the text was edited by an admin
+   * @apiSuccess {Date}     templates.updatedAt     When the text was last edited
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     {
+   *       "templates": [{
+   *          "name": "demoted",
+   *          "language": "en",
+   *          "text": "you no longer have enough merit to speak in the room. Your merit is only {merit}.",
+   *          "defaultText": "you no longer have enough merit to speak in the room. Your merit is only {merit}. Use the /verify command once your address has accrued enough merit.",
+   *          "placeholders": ["merit"],
+   *          "isCustom": true
+   *       }]
+   *     }
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async getTemplates (ctx) {
+    try {
+      const language = _this._getLanguage(ctx.query.language)
+
+      const docs = await _this.MessageTemplate.find({ language })
+
+      const templates = _this.i18n.getTemplateNames().map(name => {
+        const doc = docs.find(x => x.name === name)
+        return _this._describe(name, language, doc)
+      })
+
+      ctx.body = { templates }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {get} /templates/:name Get a bot message template
+   * @apiPermission admin
+   * @apiName GetTemplate
+   * @apiGroup Templates
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET "localhost:5001/templates/help?language=es"
+   *
+   * @apiParam {String} name           Name of the message (required)
+   * @apiParam {String} [language=en]  Language of the template.
+   *
+   * @apiSuccess {Object} template  Message template, in the format returned by GET /templates
+   *
+   * @apiError NotFound Unknown template name
+   *
+   * @apiUse TokenError
+   */
+  async getTemplate (ctx) {
+    const name = ctx.params.name
+    if (!_this.i18n.getTemplateNames().includes(name)) ctx.throw(404)
+
+    try {
+      const language = _this._getLanguage(ctx.query.language)
+
+      const doc = await _this.MessageTemplate.findOne({ name, language })
+
+      ctx.body = { template: _this._describe(name, language, doc) }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {put} /templates/:name Edit a bot message template
+   * @apiPermission admin
+   * @apiName UpdateTemplate
+   * @apiGroup Templates
+   * @apiDescription The bot picks up the new text within the template refresh
+   * interval, without a restart. Placeholders that the message does not
+   * support are rejected.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X PUT -d '{ "template": { "language": "en", "text": "you lost your voice in the room. Your merit is {merit}." } }' localhost:5001/templates/demoted
+   *
+   * @apiParam {String} name                     Name of the message (required)
+   * @apiParam {Object} template                 Template object (required)
+   * @apiParam {String} template.text            Text of the message (required)
+   * @apiParam {String} [template.language=en]   Language of the template.
+   *
+   * @apiSuccess {Object} template  Message template, in the format returned by GET /templates
+   *
+   * @apiError UnprocessableEntity Unknown template, language or placeholders
+   *
+   * @apiUse TokenError
+   */
+  async updateTemplate (ctx) {
+    try {
+      const name = ctx.params.name
+      const templateObj = ctx.request.body.template
+      if (!templateObj) throw new Error("Property 'template' is required!")
+
+      const language = _this._getLanguage(templateObj.language)
+      _this.i18n.validateTemplate(name, language, templateObj.text)
+
+      const doc = await _this.MessageTemplate.findOneAndUpdate(
+        { name, language },
+        { $set: { text: templateObj.text, updatedAt: new Date() } },
+        { upsert: true, new: true }
+      )
+
+      ctx.body = { template: _this._describe(name, language, doc) }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {delete} /templates/:name Restore the default text of a message
+   * @apiPermission admin
+   * @apiName DeleteTemplate
+   * @apiGroup Templates
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X DELETE "localhost:5001/templates/demoted?language=en"
+   *
+   * @apiParam {String} name           Name of the message (required)
+   * @apiParam {String} [language=en]  Language of the template.
+   *
+   * @apiSuccess {Object} template  Message template, in the format returned by GET /templates
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async deleteTemplate (ctx) {
+    try {
+      const name = ctx.params.name
+      if (!_this.i18n.getTemplateNames().includes(name)) {
+        throw new Error(`Unknown message template '${name}'.`)
+      }
+
+      const language = _this._getLanguage(ctx.query.language)
+
+      await _this.MessageTemplate.deleteOne({ name, language })
+
+      ctx.body = { template: _this._describe(name, language, null) }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  // Validate the language parameter, defaulting to English.
+  _getLanguage (language) {
+    if (!language) return 'en'
+
+    if (!_this.i18n.isSupported(language)) {
+      throw new Error(
+        `Unknown language '${language}'. Valid languages are: ${_this.i18n
+          .getLanguages()
+          .join(', ')}`
+      )
+    }
+
+    return language
+  }
+
+  // Describe a template, from its database model if it was edited.
+  _describe (name, language, doc) {
+    const catalog = _this.i18n.catalogs[language]
+    const defaultText =
+      catalog[name] !== undefined ? catalog[name] : _this.i18n.catalogs.en[name]
+
+    return {
+      name,
+      language,
+      text: doc ? doc.text : defaultText,
+      defaultText,
+      placeholders: _this.i18n.getPlaceholders(name),
+      isCustom: Boolean(doc),
+      updatedAt: doc ? doc.updatedAt : null
+    }
+  }
+}
+
+module.exports = TemplateController
@@ -0,0 +1,30 @@
+const VALIDATOR = require('../../middleware/validators')
+const validator = new VALIDATOR()
+
+const CONTROLLER = require('./controller')
+const controller = new CONTROLLER()
+
+module.exports.baseUrl = '/templates'
+
+module.exports.routes = [
+  {
+    method: 'GET',
+    route: '/',
+    handlers: [validator.ensureAdmin, controller.getTemplates]
+  },
+  {
+    method: 'GET',
+    route: '/:name',
+    handlers: [validator.ensureAdmin, controller.getTemplate]
+  },
+  {
+    method: 'PUT',
+    route: '/:name',
+    handlers: [validator.ensureAdmin, controller.updateTemplate]
+  },
+  {
+    method: 'DELETE',
+    route: '/:name',
+    handlers: [validator.ensureAdmin, controller.deleteTemplate]
+  }
+]
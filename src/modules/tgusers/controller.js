@@ -0,0 +1,503 @@
+const TGUser = require('../../models/tg-user')
+const audit = require('../../lib/audit')
+
+let _this
+class TgUserController {
+  constructor () {
+    _this = this
+    this.TGUser = TGUser
+    this.audit = audit
+  }
+
+  /**
+   * @api {get} /tgusers Get Telegram members
+   * @apiPermission admin
+   * @apiName GetTgUsers
+   * @apiGroup TgUsers
+   * @apiDescription The verified, minMerit and maxMerit filters apply to the
+   * verification state of the members in a single room. If chatId is given,
+   * only that room is considered.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET "localhost:5001/tgusers?chatId=-1001337281108&verified=true&minMerit=30000"
+   *
+   * @apiParam {Number}  [chatId]    Only consider the state of members in this room.
+   * @apiParam {Boolean} [verified]  true or false, to filter by verification state.
+   * @apiParam {Number}  [minMerit]  Only return members with at least this merit.
+   * @apiParam {Number}  [maxMerit]  Only return members with at most this merit.
+   * @apiParam {String}  [address]   Only return the member who claimed this BCH or SLP address.
+   *
+   * @apiSuccess {Object[]} tgUsers                    Telegram members
+   * @apiSuccess {Number}   tgUsers.tgId               Telegram user ID
+   * @apiSuccess {String}   tgUsers.username           Telegram username
+   * @apiSuccess {Object[]} tgUsers.addresses          Claimed addresses
+   * @apiSuccess {Object[]} tgUsers.rooms              Verification state in each room
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     {
+   *       "tgUsers": [{
+   *          "tgId": 649043967,
+   *          "username": "christroutner",
+   *          "addresses": [{
+   *            "bchAddr": "bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf",
+   *            "slpAddr": "simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh"
+   *          }],
+   *          "rooms": [{
+   *            "chatId": -1001337281108,
+   *            "merit": 50000,
+   *            "hasVerified": true,
+   *            "lastVerified": "2021-03-01T12:00:00.000Z",
+   *            "tier": "member",
+   *            "graceUntil": "",
+   *            "exempt": false
+   *          }]
+   *       }]
+   *     }
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async getTgUsers (ctx) {
+    try {
+      const { chatId, verified, minMerit, maxMerit, address } = ctx.query
+
+      const query = {}
+
+      // Conditions on the state of the member in a room.
+      const roomQuery = {}
+      if (chatId) roomQuery.chatId = _this._toNumber(chatId, 'chatId')
+      if (verified !== undefined) {
+        if (verified !== 'true' && verified !== 'false') {
+          throw new Error('verified must be true or false')
+        }
+        roomQuery.hasVerified = verified === 'true'
+      }
+      if (minMerit !== undefined || maxMerit !== undefined) {
+        roomQuery.merit = {}
+        if (minMerit !== undefined) {
+          roomQuery.merit.$gte = _this._toNumber(minMerit, 'minMerit')
+        }
+        if (maxMerit !== undefined) {
+          roomQuery.merit.$lte = _this._toNumber(maxMerit, 'maxMerit')
+        }
+      }
+      if (Object.keys(roomQuery).length) {
+        query.rooms = { $elemMatch: roomQuery }
+      }
+
+      if (address) {
+        query.$or = [
+          { 'addresses.bchAddr': address },
+          { 'addresses.slpAddr': address }
+        ]
+      }
+
+      const tgUsers = await _this.TGUser.find(query).sort({ username: 1 })
+
+      ctx.body = { tgUsers }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {get} /tgusers/:tgId Get a Telegram member
+   * @apiPermission admin
+   * @apiName GetTgUser
+   * @apiGroup TgUsers
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X GET localhost:5001/tgusers/649043967
+   *
+   * @apiParam {Number} tgId  Telegram user ID (required)
+   *
+   * @apiSuccess {Object} tgUser  Telegram member, in the format returned by GET /tgusers
+   *
+   * @apiError NotFound No member with this Telegram user ID
+   *
+   * @apiUse TokenError
+   */
+  async getTgUser (ctx, next) {
+    const tgId = Number(ctx.params.tgId)
+    if (isNaN(tgId)) ctx.throw(422, 'tgId must be a number')
+
+    let tgUser
+    try {
+      tgUser = await _this.TGUser.findOne({ tgId })
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+    if (!tgUser) ctx.throw(404)
+
+    ctx.body = { tgUser }
+
+    if (next) {
+      return next()
+    }
+  }
+
+  /**
+   * @api {post} /tgusers/:tgId/verify Force verify a Telegram member
+   * @apiPermission admin
+   * @apiName VerifyTgUser
+   * @apiGroup TgUsers
+   * @apiDescription Marks the member as verified in the room until their next
+   * merit check, like the /forceverify command. Until then, the member gets at
+   * least the lowest merit tier, and the chat permissions of their tier are
+   * applied in Telegram.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X POST -d '{ "chatId": -1001337281108 }' localhost:5001/tgusers/649043967/verify
+   *
+   * @apiParam {Number} tgId    Telegram user ID (required)
+   * @apiParam {Number} chatId  Room to verify the member in (required)
+   *
+   * @apiSuccess {Object} tgUser  Updated Telegram member
+   *
+   * @apiError UnprocessableEntity Missing required parameters
+   *
+   * @apiUse TokenError
+   */
+  async verifyTgUser (ctx) {
+    try {
+      const tgUser = ctx.body.tgUser
+      const roomState = _this._getRoomState(tgUser, ctx.request.body.chatId)
+
+      roomState.hasVerified = true
+      roomState.forceVerified = true
+      roomState.lastVerified = new Date().toISOString()
+      roomState.graceUntil = ''
+      await _this._updateTier(ctx, tgUser, roomState.chatId)
+      await tgUser.save()
+
+      await _this._audit(ctx, 'admin-forceverify', tgUser, roomState.chatId)
+
+      ctx.body = { tgUser }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {post} /tgusers/:tgId/unverify Unverify a Telegram member
+   * @apiPermission admin
+   * @apiName UnverifyTgUser
+   * @apiGroup TgUsers
+   * @apiDescription Marks the member as not verified in the room and lifts
+   * any exemption, like the /unverify command. Members who lose their merit
+   * tier are muted in rooms in restrict mode.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X POST -d '{ "chatId": -1001337281108 }' localhost:5001/tgusers/649043967/unverify
+   *
+   * @apiParam {Number} tgId    Telegram user ID (required)
+   * @apiParam {Number} chatId  Room to unverify the member in (required)
+   *
+   * @apiSuccess {Object} tgUser  Updated Telegram member
+   *
+   * @apiError UnprocessableEntity Missing required parameters
+   *
+   * @apiUse TokenError
+   */
+  async unverifyTgUser (ctx) {
+    try {
+      const tgUser = ctx.body.tgUser
+      const roomState = _this._getRoomState(tgUser, ctx.request.body.chatId)
+
+      roomState.hasVerified = false
+      roomState.forceVerified = false
+      roomState.exempt = false
+      roomState.graceUntil = ''
+      await _this._updateTier(ctx, tgUser, roomState.chatId)
+      await tgUser.save()
+
+      await _this._audit(ctx, 'admin-unverify', tgUser, roomState.chatId)
+
+      ctx.body = { tgUser }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {post} /tgusers/:tgId/reverify Re-verify the merit of a Telegram member
+   * @apiPermission admin
+   * @apiName ReverifyTgUser
+   * @apiGroup TgUsers
+   * @apiDescription Recalculates the merit of the member right away, like the
+   * /recheck command, and applies the chat permissions of their merit tier.
+   * If the bot is not running, the last verification of the member is expired
+   * instead, so that the bot recalculates their merit on their next message
+   * or merit sweep.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X POST -d '{ "chatId": -1001337281108 }' localhost:5001/tgusers/649043967/reverify
+   *
+   * @apiParam {Number} tgId      Telegram user ID (required)
+   * @apiParam {Number} [chatId]  Only re-verify the member in this room.
+   *
+   * @apiSuccess {Object} tgUser   Updated Telegram member
+   * @apiSuccess {Boolean} checked True if the merit was recalculated, false if
+   * the verification was only expired.
+   *
+   * @apiError UnprocessableEntity Invalid parameters
+   *
+   * @apiUse TokenError
+   */
+  async reverifyTgUser (ctx) {
+    try {
+      const tgUser = ctx.body.tgUser
+      const chatId = ctx.request.body.chatId
+
+      const roomStates = chatId === undefined
+        ? tgUser.rooms
+        : [_this._getRoomState(tgUser, chatId)]
+
+      const bot = _this._getBot(ctx)
+      if (bot) {
+        for (let i = 0; i < roomStates.length; i++) {
+          const room = await bot.getRoom(roomStates[i].chatId)
+          bot._invalidateMerit(tgUser, room)
+          await bot.reverifyMerit(tgUser, room, 'admin')
+        }
+      } else {
+        _this._expire(roomStates)
+      }
+      await tgUser.save()
+
+      for (let i = 0; i < roomStates.length; i++) {
+        await _this._audit(ctx, 'admin-recheck', tgUser, roomStates[i].chatId, {
+          merit: roomStates[i].merit,
+          checked: Boolean(bot)
+        })
+      }
+
+      ctx.body = { tgUser, checked: Boolean(bot) }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {delete} /tgusers/:tgId/addresses/:bchAddr Revoke an address claimed by a Telegram member
+   * @apiPermission admin
+   * @apiName RevokeAddress
+   * @apiGroup TgUsers
+   * @apiDescription Removes the address from the member, like the /revoke
+   * command. Members without any address left are unverified in every room.
+   * The merit of the remaining addresses is recalculated by the bot on the
+   * next message or merit sweep.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X DELETE localhost:5001/tgusers/649043967/addresses/bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf
+   *
+   * @apiParam {Number} tgId     Telegram user ID (required)
+   * @apiParam {String} bchAddr  Claimed BCH address (required)
+   *
+   * @apiSuccess {Object} tgUser  Updated Telegram member
+   *
+   * @apiError UnprocessableEntity The member did not claim the address
+   *
+   * @apiUse TokenError
+   */
+  async revokeAddress (ctx) {
+    try {
+      const tgUser = ctx.body.tgUser
+      const bchAddr = ctx.params.bchAddr
+
+      if (!tgUser.addresses.find(x => x.bchAddr === bchAddr)) {
+        throw new Error(`Address ${bchAddr} is not claimed by this member.`)
+      }
+
+      tgUser.addresses = tgUser.addresses.filter(x => x.bchAddr !== bchAddr)
+
+      if (tgUser.addresses.length) {
+        _this._expire(tgUser.rooms)
+      } else {
+        tgUser.rooms.forEach(roomState => {
+          roomState.hasVerified = false
+          roomState.merit = 0
+          roomState.graceUntil = ''
+        })
+      }
+      await tgUser.save()
+
+      await _this._audit(ctx, 'revoke', tgUser, undefined, { bchAddr })
+
+      ctx.body = { tgUser }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {put} /tgusers/:tgId/exempt Edit the exemption of a Telegram member
+   * @apiPermission admin
+   * @apiName UpdateExemption
+   * @apiGroup TgUsers
+   * @apiDescription Exempt members may speak in the room regardless of their
+   * merit, and any restriction placed on them in Telegram is lifted. When the
+   * exemption is lifted, the merit of the member is checked again right away,
+   * like the /exempt command. If the bot is not running, it is checked on
+   * their next message or merit sweep instead.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X PUT -d '{ "chatId": -1001337281108, "exempt": true }' localhost:5001/tgusers/649043967/exempt
+   *
+   * @apiParam {Number}  tgId    Telegram user ID (required)
+   * @apiParam {Number}  chatId  Room of the exemption (required)
+   * @apiParam {Boolean} exempt  true to exempt the member, false to lift the exemption (required)
+   *
+   * @apiSuccess {Object} tgUser  Updated Telegram member
+   *
+   * @apiError UnprocessableEntity Missing required parameters
+   *
+   * @apiUse TokenError
+   */
+  async updateExemption (ctx) {
+    try {
+      const tgUser = ctx.body.tgUser
+      const exempt = ctx.request.body.exempt
+      if (typeof exempt !== 'boolean') {
+        throw new Error("Property 'exempt' must be a boolean!")
+      }
+
+      const roomState = _this._getRoomState(tgUser, ctx.request.body.chatId)
+      const bot = _this._getBot(ctx)
+
+      roomState.exempt = exempt
+      if (exempt) {
+        roomState.hasVerified = true
+
+        // Lift any restriction placed on the member.
+        if (bot) {
+          const room = await bot.getRoom(roomState.chatId)
+          await bot._unmuteUser(room, tgUser.tgId)
+        }
+      } else if (bot) {
+        // Re-evaluate the member based on their merit.
+        const room = await bot.getRoom(roomState.chatId)
+        await bot.reverifyMerit(tgUser, room, 'admin')
+      } else {
+        // Have the bot check the merit of the member again.
+        _this._expire([roomState])
+      }
+      await tgUser.save()
+
+      await _this._audit(ctx, 'admin-exempt', tgUser, roomState.chatId, {
+        exempt
+      })
+
+      ctx.body = { tgUser }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  /**
+   * @api {delete} /tgusers/:tgId Delete a Telegram member
+   * @apiPermission admin
+   * @apiName DeleteTgUser
+   * @apiGroup TgUsers
+   * @apiDescription Removes the member and the addresses they claimed. They
+   * need to verify their merit again to speak in the rooms. The deletion is
+   * recorded in the audit trail.
+   *
+   * @apiExample Example usage:
+   * curl -H "Content-Type: application/json" -H "Authorization: Bearer <JWT>" -X DELETE localhost:5001/tgusers/649043967
+   *
+   * @apiParam {Number} tgId  Telegram user ID (required)
+   *
+   * @apiSuccess {StatusCode} 200
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *     HTTP/1.1 200 OK
+   *     {
+   *       "success": true
+   *     }
+   *
+   * @apiUse TokenError
+   */
+  async deleteTgUser (ctx) {
+    try {
+      const tgUser = ctx.body.tgUser
+      await tgUser.remove()
+
+      await _this._audit(ctx, 'admin-deletemember', tgUser, undefined, {
+        addresses: tgUser.addresses.map(x => x.bchAddr)
+      })
+
+      ctx.status = 200
+      ctx.body = {
+        success: true
+      }
+    } catch (err) {
+      ctx.throw(422, err.message)
+    }
+  }
+
+  // Get the Bot library of the running Telegram bot. Returns null if the bot
+  // is not running, in which case changes are only saved to the database.
+  _getBot (ctx) {
+    return ctx.tgBot && ctx.tgBot.bot ? ctx.tgBot.bot : null
+  }
+
+  // Record an action of a dashboard admin in the audit trail. The types match
+  // the events of the equivalent admin commands in Telegram.
+  async _audit (ctx, type, tgUser, chatId, details = {}) {
+    await _this.audit.record(
+      type,
+      _this.audit.dashboardActor(ctx.state.user),
+      tgUser,
+      chatId,
+      Object.assign({ source: 'dashboard' }, details)
+    )
+  }
+
+  // Re-evaluate the merit tier of a member in a room, and apply the chat
+  // permissions of the tier in Telegram.
+  async _updateTier (ctx, tgUser, chatId) {
+    const bot = _this._getBot(ctx)
+    if (!bot) return
+
+    const room = await bot.getRoom(chatId)
+    await bot.updateTier(tgUser, room)
+  }
+
+  // Returns the verification state of a member in a room, creating it if the
+  // member has none yet.
+  _getRoomState (tgUser, chatId) {
+    chatId = _this._toNumber(chatId, "Property 'chatId'")
+
+    let roomState = tgUser.rooms.find(x => x.chatId === chatId)
+    if (!roomState) {
+      tgUser.rooms.push({ chatId })
+      roomState = tgUser.rooms[tgUser.rooms.length - 1]
+    }
+
+    return roomState
+  }
+
+  // Expire the last verification of the member in the given rooms. The bot
+  // recalculates the merit of verified members once the re-verification
+  // interval of the room has passed since their last verification.
+  _expire (roomStates) {
+    roomStates.forEach(roomState => {
+      roomState.lastVerified = new Date(0).toISOString()
+    })
+  }
+
+  // Parse a number parameter.
+  _toNumber (value, name) {
+    const number = Number(value)
+    if (value === undefined || value === null || value === '' || isNaN(number)) {
+      throw new Error(`${name} must be a number`)
+    }
+
+    return number
+  }
+}
+
+module.exports = TgUserController
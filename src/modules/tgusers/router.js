@@ -0,0 +1,58 @@
+const VALIDATOR = require('../../middleware/validators')
+const validator = new VALIDATOR()
+
+const CONTROLLER = require('./controller')
+const controller = new CONTROLLER()
+
+module.exports.baseUrl = '/tgusers'
+
+module.exports.routes = [
+  {
+    method: 'GET',
+    route: '/',
+    handlers: [validator.ensureAdmin, controller.getTgUsers]
+  },
+  {
+    method: 'GET',
+    route: '/:tgId',
+    handlers: [validator.ensureAdmin, controller.getTgUser]
+  },
+  {
+    method: 'POST',
+    route: '/:tgId/verify',
+    handlers: [validator.ensureAdmin, controller.getTgUser, controller.verifyTgUser]
+  },
+  {
+    method: 'POST',
+    route: '/:tgId/unverify',
+    handlers: [
+      validator.ensureAdmin,
+      controller.getTgUser,
+      controller.unverifyTgUser
+    ]
+  },
+  {
+    method: 'POST',
+    route: '/:tgId/reverify',
+    handlers: [
+      validator.ensureAdmin,
+      controller.getTgUser,
+      controller.reverifyTgUser
+    ]
+  },
+  {
+    method: 'DELETE',
+    route: '/:tgId/addresses/:bchAddr',
+    handlers: [validator.ensureAdmin, controller.getTgUser, controller.revokeAddress]
+  },
+  {
+    method: 'PUT',
+    route: '/:tgId/exempt',
+    handlers: [validator.ensureAdmin, controller.getTgUser, controller.updateExemption]
+  },
+  {
+    method: 'DELETE',
+    route: '/:tgId',
+    handlers: [validator.ensureAdmin, controller.getTgUser, controller.deleteTgUser]
+  }
+]
@@ -5,6 +5,9 @@
   bitcoincash:qzqeya7lnafh29mggjjnc3hg2hlch4f06ycp6ckstt
   simpleledger:qzqeya7lnafh29mggjjnc3hg2hlch4f06y563rrs44
   1Cp7dYG4Q8YVxwMM2gh9EKr9bwcQ5X1R1E
+
+  Set BCH_INTERFACE=fixture to run these tests without network access. The
+  merit is then read from config/bch-fixture.json.
 */
 
 const assert = require('chai').assert
@@ -18,16 +21,31 @@ describe('#bch.js', () => {
   })
 
   describe('#verifyMsg', () => {
-    it('should return true for valid signed message', () => {
-      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
-      const signedMsg = 'IBcj+ShSRIllp0iTqQK49Ltnycg1upaT7dK5CPAwNIBqEtegn305dPBf5IMdx/ScuyOBWPEfOqab2V73TbuK6Us='
+    // A challenge in the format issued by challenge.js, signed with the
+    // private key of bchAddr.
+    const bchAddr = 'bitcoincash:qqwdsp3jz9eu6vaxjc06v6tj9kecnfd03v9f5psefs'
+    const message = 'vip-bot verify 3f9d2c7a1b6e8045'
+    const signedMsg = 'Hzg68AiFAVE6NjOk9w4fbX1y0NPCoXsO4Z7G5aJEbIDzQ8BHmXQA5KGDKtcXfKIaokuO7KpmlKOxCBXLD/doK7M='
 
-      const verifyObj = { bchAddr, signedMsg }
+    it('should return true for valid signed message', () => {
+      const verifyObj = { bchAddr, signedMsg, message }
 
       const result = uut.verifyMsg(verifyObj)
 
       assert.equal(result, true)
     })
+
+    it('should return false for a signature of another challenge', () => {
+      const verifyObj = {
+        bchAddr,
+        signedMsg,
+        message: 'vip-bot verify 0000000000000000'
+      }
+
+      const result = uut.verifyMsg(verifyObj)
+
+      assert.equal(result, false)
+    })
   })
 
   describe('#getMerit', () => {
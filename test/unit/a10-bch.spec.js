@@ -30,7 +30,7 @@ describe('#bch.js', () => {
       const signedMsg =
         'IBcj+ShSRIllp0iTqQK49Ltnycg1upaT7dK5CPAwNIBqEtegn305dPBf5IMdx/ScuyOBWPEfOqab2V73TbuK6Us='
 
-      const verifyObj = { bchAddr, signedMsg }
+      const verifyObj = { bchAddr, signedMsg, message: 'verify' }
 
       const result = uut.verifyMsg(verifyObj)
 
@@ -42,7 +42,7 @@ describe('#bch.js', () => {
       const signedMsg =
         'ICcj+ShSRIllp0iTqQK49Ltnycg1upaT7dK5CPAwNIBqEtegn305dPBf5IMdx/ScuyOBWPEfOqab2V73TbuK6Us='
 
-      const verifyObj = { bchAddr, signedMsg }
+      const verifyObj = { bchAddr, signedMsg, message: 'verify' }
 
       const result = uut.verifyMsg(verifyObj)
 
@@ -60,7 +60,7 @@ describe('#bch.js', () => {
         const signedMsg =
           'ICcj+ShSRIllp0iTqQK49Ltnycg1upaT7dK5CPAwNIBqEtegn305dPBf5IMdx/ScuyOBWPEfOqab2V73TbuK6Us='
 
-        const verifyObj = { bchAddr, signedMsg }
+        const verifyObj = { bchAddr, signedMsg, message: 'verify' }
 
         uut.verifyMsg(verifyObj)
 
@@ -69,6 +69,38 @@ describe('#bch.js', () => {
         assert.include(err.message, 'test error')
       }
     })
+
+    it('should throw an error if message is not specified', () => {
+      try {
+        const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+        const signedMsg =
+          'IBcj+ShSRIllp0iTqQK49Ltnycg1upaT7dK5CPAwNIBqEtegn305dPBf5IMdx/ScuyOBWPEfOqab2V73TbuK6Us='
+
+        uut.verifyMsg({ bchAddr, signedMsg })
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'message to verify must be a string')
+      }
+    })
+  })
+
+  describe('#constructor', () => {
+    it('should throw error for an unknown merit provider', () => {
+      try {
+        uut = new BCHLib({ meritProvider: 'bad-provider' })
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Unknown merit provider 'bad-provider'")
+      }
+    })
+
+    it('should use the merit provider passed in the config', () => {
+      uut = new BCHLib({ meritProvider: 'token-balance' })
+
+      assert.equal(uut.meritProvider.constructor.name, 'TokenBalance')
+    })
   })
 
   describe('#getMerit', () => {
@@ -83,6 +115,20 @@ describe('#bch.js', () => {
       assert.isNumber(result)
     })
 
+    it('should sum the merit of an array of addresses', async () => {
+      // Mock to prevent live network calls.
+      sandbox.stub(uut.bchMerit.merit, 'agMerit').resolves(50)
+
+      const slpAddrs = [
+        'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh',
+        'simpleledger:qzz5tft0pssynhqa2297q2583dmjdql5fvnpr3fjl2'
+      ]
+
+      const result = await uut.getMerit(slpAddrs)
+
+      assert.equal(result, 100)
+    })
+
     it('should catch and throw errors', async () => {
       try {
         // Force an error
@@ -100,4 +146,21 @@ describe('#bch.js', () => {
       }
     })
   })
+
+  describe('#invalidateMerit', () => {
+    it('should look up the merit of the addresses again', async () => {
+      const agMeritStub = sandbox.stub(uut.bchMerit.merit, 'agMerit').resolves(50)
+
+      const slpAddrs = [
+        'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh',
+        'simpleledger:qzz5tft0pssynhqa2297q2583dmjdql5fvnpr3fjl2'
+      ]
+      await uut.getMerit(slpAddrs)
+
+      uut.invalidateMerit(slpAddrs)
+      await uut.getMerit(slpAddrs)
+
+      assert.equal(agMeritStub.callCount, 4)
+    })
+  })
 })
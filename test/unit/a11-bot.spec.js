@@ -21,6 +21,24 @@ describe('#bot.js', () => {
     mockData = cloneDeep(mockDataLib)
 
     sandbox = sinon.createSandbox()
+
+    // Resolve every chat to the mock room.
+    sandbox.stub(uut.Room, 'findOne').resolves(mockData.mockRoom)
+
+    // Prevent live calls when chat permissions are applied.
+    sandbox.stub(uut.bot, 'restrictChatMember').resolves(true)
+
+    // Keep the merit history out of the database.
+    sandbox.stub(uut.MeritSnapshot, 'create').resolves()
+
+    // Keep username changes out of the database.
+    sandbox.stub(uut.TGUser, 'updateMany').resolves()
+
+    // Keep the audit trail out of the database.
+    sandbox.stub(uut.AuditEvent, 'create').resolves()
+
+    // Prevent timers that delete bot messages from firing in later tests.
+    sandbox.stub(uut, 'deleteBotSpam').returns()
   })
 
   afterEach(() => sandbox.restore())
@@ -60,6 +78,13 @@ describe('#bot.js', () => {
 
       assert.isOk(uut)
     })
+
+    it('should not poll for updates if polling is disabled', () => {
+      uut = new BotLib({ token: 'fakeToken', chatId: 'fakeId', polling: false })
+
+      assert.equal(uut.polling, false)
+      assert.equal(uut.bot.isPolling(), false)
+    })
   })
 
   describe('#processMsg', () => {
@@ -90,6 +115,9 @@ describe('#bot.js', () => {
     })
 
     it('should ignore messages from verified users', async () => {
+      // Give the user enough merit for the tier of the room.
+      mockData.mockVerifiedUser.rooms[0].merit = mockData.mockRoom.threshold
+
       // Mock database response when user is not found.
       sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
 
@@ -116,10 +144,10 @@ describe('#bot.js', () => {
       const now = new Date()
       let twoDaysAgo = now.getTime() - FOURTY_EIGHT_HOURS
       twoDaysAgo = new Date(twoDaysAgo)
-      mockData.mockVerifiedUser.lastVerified = twoDaysAgo
+      mockData.mockVerifiedUser.rooms[0].lastVerified = twoDaysAgo
 
       // Lower merit threshold for this test.
-      uut.PSF_THRESHOLD = 2
+      mockData.mockRoom.threshold = 2
 
       // Mock tgUser database record..
       sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
@@ -131,9 +159,9 @@ describe('#bot.js', () => {
 
       // Return value should reflect the expected code path.
       assert.equal(result, 4)
-      assert.equal(mockData.mockVerifiedUser.hasVerified, true)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].hasVerified, true)
       assert.isAbove(
-        new Date(mockData.mockVerifiedUser.lastVerified),
+        new Date(mockData.mockVerifiedUser.rooms[0].lastVerified),
         twoDaysAgo
       )
     })
@@ -144,10 +172,10 @@ describe('#bot.js', () => {
       const now = new Date()
       let twoDaysAgo = now.getTime() - FOURTY_EIGHT_HOURS
       twoDaysAgo = new Date(twoDaysAgo)
-      mockData.mockVerifiedUser.lastVerified = twoDaysAgo
+      mockData.mockVerifiedUser.rooms[0].lastVerified = twoDaysAgo
 
       // Increate merit threshold above merit check.
-      uut.PSF_THRESHOLD = 200
+      mockData.mockRoom.threshold = 200
 
       // Mock tgUser database record..
       sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
@@ -157,302 +185,1612 @@ describe('#bot.js', () => {
 
       // Mock bot messages.
       sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut, 'deleteBotSpam').resolves()
 
       const result = await uut.processMsg(mockData.mockMsg)
 
       // Return value should reflect the expected code path.
       assert.equal(result, 4)
-      assert.equal(mockData.mockVerifiedUser.hasVerified, false)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].hasVerified, false)
     })
-  })
 
-  describe('#verifyUser', () => {
-    it('should return default message if input is not formatted correctly', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
+    it('should post the demotion in the room if the user turned off dm', async () => {
+      mockData.mockVerifiedUser.rooms[0].lastVerified = '2020-01-01T00:00:00.000Z'
+      mockData.mockVerifiedUser.privacy = { dm: false }
+      mockData.mockRoom.threshold = 200
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
 
-      const result = await uut.verifyUser(mockData.invalidVerifyMsg1)
-      // console.log('result: ', result)
+      const result = await uut.processMsg(mockData.mockMsg)
 
-      assert.equal(result, 0)
+      assert.equal(result, 4)
+      assert.isTrue(sendStub.calledOnce)
+      assert.equal(sendStub.args[0][0], mockData.mockMsg.chat.id)
+      assert.notInclude(sendStub.args[0][1], '50')
     })
 
-    it('should return default message if signature could not be verified', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
+    it('should pass messages in private chats to the guided verification', async () => {
+      const handleStub = sandbox.stub(uut.verifyFlow, 'handleMessage').resolves(3)
+      const deleteStub = sandbox.stub(uut.bot, 'deleteMessage').resolves()
+      mockData.mockMsg.chat = { id: 649043967, type: 'private' }
 
-      const result = await uut.verifyUser(mockData.invalidVerifyMsg2)
-      // console.log('result: ', result)
+      const result = await uut.processMsg(mockData.mockMsg)
 
-      assert.equal(result, 1)
+      assert.equal(result, 3)
+      assert.isTrue(handleStub.calledOnce)
+      assert.isTrue(deleteStub.notCalled)
     })
 
-    it('should notify if address does not meet threshold', async () => {
-      // Mock to force the code path for this test.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+    it('should mute and delete messages of unverified users in restrict mode', async () => {
+      mockData.mockRoom.enforcement = 'restrict'
       sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
-      sandbox.stub(uut, 'checkDupClaim').resolves(false)
-      // Force merit to be below threshold
-      sandbox.stub(uut.bch, 'getMerit').resolves(0.1)
+      const deleteStub = sandbox.stub(uut.bot, 'deleteMessage').resolves()
+      sandbox.stub(uut, '_sendDeletionNotification').resolves()
 
-      const result = await uut.verifyUser(mockData.validVerifyMsg)
+      const result = await uut.processMsg(mockData.mockMsg)
 
-      assert.equal(result, 3)
+      assert.equal(result, 2)
+      assert.isTrue(uut.bot.restrictChatMember.calledOnce)
+      assert.isTrue(deleteStub.calledOnce)
     })
 
-    it('should send success message if threshold is met', async () => {
-      // Mock to force the code path for this test.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+    it('should mute unverified users joining a room in restrict mode', async () => {
+      mockData.mockRoom.enforcement = 'restrict'
       sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
-      sandbox.stub(uut, 'checkDupClaim').resolves(false)
-      // Force merit to be below threshold
-      sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+      sandbox.stub(uut.bot, 'deleteMessage').resolves()
+      sandbox.stub(uut, '_sendDeletionNotification').resolves()
 
-      const result = await uut.verifyUser(mockData.validVerifyMsg)
+      const result = await uut.processMsg(mockData.mockJoinMsg)
 
       assert.equal(result, 2)
+      assert.isTrue(uut.bot.restrictChatMember.calledOnce)
     })
 
-    it('should catch and report errors', async () => {
-      // Force an error
+    it('should delete messages not allowed by the merit tier', async () => {
+      // Verified user in the text-only tier posts a photo.
+      mockData.mockRoom.tiers = mockData.mockTiers
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      const deleteStub = sandbox.stub(uut.bot, 'deleteMessage').resolves()
       sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
-      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
 
-      const result = await uut.verifyUser(mockData.validVerifyMsg)
+      const result = await uut.processMsg(mockData.mockPhotoMsg)
 
-      assert.equal(result, undefined)
+      assert.equal(result, 5)
+      assert.isTrue(deleteStub.calledOnce)
     })
 
-    it('should throw error if the address is already claimed', async () => {
-      // Mock to force the code path for this test.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
-      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
-
-      // Report that address has already been claimed.
-      sandbox.stub(uut, 'checkDupClaim').resolves('testuser')
+    it('should allow messages allowed by the merit tier', async () => {
+      mockData.mockRoom.tiers = mockData.mockTiers
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
 
-      const result = await uut.verifyUser(mockData.validVerifyMsg)
+      const result = await uut.processMsg(mockData.mockMsg)
 
-      assert.equal(result, 5)
+      assert.equal(result, 3)
     })
   })
 
-  describe('#help', () => {
-    it('should return message when triggered', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
+  describe('#reverifyMerit', () => {
+    it('should keep user verified if merit meets threshold', async () => {
+      mockData.mockRoom.threshold = 2
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
 
-      const result = await uut.help(mockData.mockHelpCmd)
-      // console.log('result: ', result)
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      assert.equal(result, undefined)
+      assert.equal(result, true)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].merit, 50)
     })
-  })
-
-  describe('#getmerit', () => {
-    it('should return 0 when user is not found', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
 
-      // Force 'user not found'
-      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+    it('should mark user unverified if merit is below threshold', async () => {
+      mockData.mockRoom.threshold = 200
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
 
-      const result = await uut.getMerit(mockData.getMeritUserNotFound)
-      // console.log('result: ', result)
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      assert.equal(result, 0)
+      assert.equal(result, false)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].hasVerified, false)
     })
 
-    it('should return 0 for invalid arguments', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-
-      // Force 'user not found'
-      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+    it('should keep exempt users verified if merit is below threshold', async () => {
+      mockData.mockRoom.threshold = 200
+      mockData.mockVerifiedUser.rooms[0].exempt = true
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
 
-      const result = await uut.getMerit(mockData.getMeritInvalidArgs)
-      // console.log('result: ', result)
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      assert.equal(result, 0)
+      assert.equal(result, true)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].merit, 50)
     })
 
-    it('should return 1 for unverified user', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-
-      // Force unverified user.
-      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+    it('should start a grace period if merit drops below threshold', async () => {
+      mockData.mockRoom.threshold = 200
+      mockData.mockRoom.gracePeriod = 60000
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
 
-      const result = await uut.getMerit(mockData.mockGetMeritMsg)
-      // console.log('result: ', result)
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      assert.equal(result, 1)
+      assert.equal(result, true)
+      assert.isOk(mockData.mockVerifiedUser.rooms[0].graceUntil)
+      assert.equal(sendStub.args[0][0], mockData.mockVerifiedUser.tgId)
+      assert.include(sendStub.args[0][1], 'You can keep speaking until')
     })
 
-    it('should return 1 for verified user', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
+    it('should keep user verified during the grace period', async () => {
+      mockData.mockRoom.threshold = 200
+      mockData.mockRoom.gracePeriod = 60000
+      const deadline = new Date(new Date().getTime() + 30000)
+      mockData.mockVerifiedUser.rooms[0].graceUntil = deadline.toISOString()
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
 
-      // Force verified user
-      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      const result = await uut.getMerit(mockData.mockGetMeritMsg)
-      // console.log('result: ', result)
+      assert.equal(result, true)
+      assert.isTrue(sendStub.notCalled)
+    })
 
-      assert.equal(result, 1)
+    it('should demote user if merit is short after the grace period', async () => {
+      mockData.mockRoom.threshold = 200
+      mockData.mockRoom.gracePeriod = 60000
+      mockData.mockVerifiedUser.rooms[0].graceUntil = '2020-01-01T00:00:00.000Z'
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
+
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
+
+      assert.equal(result, false)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].graceUntil, '')
     })
 
-    it('should catch and report errors', async () => {
-      // Force an error
-      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+    it('should end the grace period if merit is restored', async () => {
+      mockData.mockRoom.threshold = 2
+      mockData.mockRoom.gracePeriod = 60000
+      mockData.mockVerifiedUser.rooms[0].graceUntil = '2020-01-01T00:00:00.000Z'
+      sandbox.stub(uut.bch, 'getMerit').resolves(50)
 
-      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+      const result = await uut.reverifyMerit(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      assert.equal(result, undefined)
+      assert.equal(result, true)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].graceUntil, '')
     })
   })
 
-  describe('#checkDupClaim', () => {
-    it('should return false if user matching address is not found in DB', async () => {
-      // Force DB returning user-not-found
-      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+  describe('#_saveMeritSnapshot', () => {
+    it('should save the merit of the user in the room', async () => {
+      await uut._saveMeritSnapshot(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom,
+        'sweep'
+      )
 
-      const bchAddr = 'bitcoincash:qzz5tft0pssynhqa2297q2583dmjdql5fvpd876h5k'
+      const snapshot = uut.MeritSnapshot.create.args[0][0]
+      assert.equal(snapshot.tgId, mockData.mockVerifiedUser.tgId)
+      assert.equal(snapshot.chatId, mockData.mockRoom.chatId)
+      assert.equal(snapshot.merit, 94)
+      assert.equal(snapshot.reason, 'sweep')
+      assert.deepEqual(snapshot.addresses, [
+        mockData.mockVerifiedUser.addresses[0].slpAddr
+      ])
+    })
 
-      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+    it('should not throw if the snapshot can not be saved', async () => {
+      uut.MeritSnapshot.create.rejects(new Error('test error'))
 
-      assert.equal(result, false)
+      await uut._saveMeritSnapshot(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom,
+        'sweep'
+      )
     })
+  })
 
-    it('should return false if owner issued /verify command', async () => {
-      // Force DB returning user-not-found
-      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+  describe('#_getMeritChange', () => {
+    function mockFind (snapshots) {
+      return { sort: () => ({ limit: () => Promise.resolve(snapshots) }) }
+    }
+
+    it('should return the change between the last two snapshots', async () => {
+      const since = new Date('2021-03-01')
+      sandbox
+        .stub(uut.MeritSnapshot, 'find')
+        .returns(
+          mockFind([{ merit: 120, timestamp: new Date() }, { merit: 100, timestamp: since }])
+        )
 
-      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+      const result = await uut._getMeritChange(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom.chatId
+      )
 
-      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+      assert.equal(result.change, 20)
+      assert.equal(result.since, since)
+    })
 
-      assert.equal(result, false)
+    it('should return null if there is no previous snapshot', async () => {
+      sandbox
+        .stub(uut.MeritSnapshot, 'find')
+        .returns(mockFind([{ merit: 120, timestamp: new Date() }]))
+
+      const result = await uut._getMeritChange(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom.chatId
+      )
+
+      assert.equal(result, null)
     })
+  })
 
-    it('should return TG username if address has been claimed', async () => {
-      // Force DB to return different user
-      mockData.mockVerifiedUser.username = 'testUser'
-      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+  describe('#updateTier', () => {
+    it('should set the tier and apply its permissions', async () => {
+      mockData.mockRoom.tiers = mockData.mockTiers
 
-      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+      const result = await uut.updateTier(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
 
-      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+      assert.equal(result, 'member')
+      assert.equal(mockData.mockVerifiedUser.rooms[0].tier, 'member')
+      assert.isTrue(uut.bot.restrictChatMember.calledOnce)
+    })
+
+    it('should not apply permissions if the tier is unchanged', async () => {
+      mockData.mockRoom.tiers = mockData.mockTiers
+      mockData.mockVerifiedUser.rooms[0].tier = 'member'
 
-      assert.equal(result, 'testUser')
+      const result = await uut.updateTier(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
+
+      assert.equal(result, 'member')
+      assert.isTrue(uut.bot.restrictChatMember.notCalled)
     })
 
-    it('should catch and report errors', async () => {
-      // Force an error
-      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+    it('should mute demoted users in restrict mode', async () => {
+      mockData.mockRoom.enforcement = 'restrict'
+      mockData.mockVerifiedUser.rooms[0].hasVerified = false
+      mockData.mockVerifiedUser.rooms[0].tier = 'member'
 
-      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+      await uut.updateTier(mockData.mockVerifiedUser, mockData.mockRoom)
 
-      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+      assert.isTrue(uut.bot.restrictChatMember.calledOnce)
+    })
 
-      assert.equal(result, 'errorInCheckDupClaim')
+    it('should clear the tier of unverified users', async () => {
+      mockData.mockVerifiedUser.rooms[0].hasVerified = false
+      mockData.mockVerifiedUser.rooms[0].tier = 'member'
+
+      const result = await uut.updateTier(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
+
+      assert.equal(result, '')
     })
   })
 
-  describe('#revoke', () => {
-    it('should return 0 on malformed command', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut, 'deleteBotSpam').returns()
+  describe('#_setPermissions', () => {
+    it('should return true when permissions are applied', async () => {
+      const result = await uut._setPermissions(-1001337281108, 649043967, {})
 
-      const result = await uut.revoke(mockData.invalidRevokeMsg1)
-      // console.log('result: ', result)
+      assert.isTrue(result)
+    })
 
-      assert.equal(result, 0)
+    it('should return false if the bot can not restrict the user', async () => {
+      uut.bot.restrictChatMember.rejects(new Error('400 Bad Request'))
+
+      const result = await uut._setPermissions(-1001337281108, 649043967, {})
+
+      assert.isFalse(result)
     })
+  })
 
-    it('should return 2 if user can not be found', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut, 'deleteBotSpam').returns()
+  describe('#_muteUser', () => {
+    it('should not mute users in delete mode', async () => {
+      const result = await uut._muteUser(mockData.mockRoom, 649043967)
 
-      // Force user-not-found in database.
-      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      assert.isFalse(result)
+      assert.isTrue(uut.bot.restrictChatMember.notCalled)
+    })
 
-      const result = await uut.revoke(mockData.validRevokeMsg)
-      // console.log('result: ', result)
+    it('should remove all permissions in restrict mode', async () => {
+      mockData.mockRoom.enforcement = 'restrict'
 
-      assert.equal(result, 2)
+      const result = await uut._muteUser(mockData.mockRoom, 649043967)
+
+      assert.isTrue(result)
+      const permissions = JSON.parse(
+        uut.bot.restrictChatMember.args[0][2].permissions
+      )
+      assert.isFalse(permissions.can_send_messages)
     })
+  })
 
-    it('should return 3 if command issuer is not address owner', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut, 'deleteBotSpam').returns()
+  describe('#_restrictNewMembers', () => {
+    it('should mute new members who are not verified', async () => {
+      mockData.mockRoom.enforcement = 'restrict'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
 
-      // Force DB to return different user
-      mockData.mockVerifiedUser.username = 'testUser'
+      const result = await uut._restrictNewMembers(
+        mockData.mockJoinMsg,
+        mockData.mockRoom
+      )
+
+      // The other bot is skipped.
+      assert.equal(result, 1)
+    })
+
+    it('should not mute verified members', async () => {
+      mockData.mockRoom.enforcement = 'restrict'
       sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
 
-      const result = await uut.revoke(mockData.validRevokeMsg)
-      // console.log('result: ', result)
+      const result = await uut._restrictNewMembers(
+        mockData.mockJoinMsg,
+        mockData.mockRoom
+      )
 
-      assert.equal(result, 3)
+      assert.equal(result, 0)
     })
 
-    it('should return 4 on success revokation of address', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut, 'deleteBotSpam').returns()
+    it('should do nothing in delete mode', async () => {
+      const result = await uut._restrictNewMembers(
+        mockData.mockJoinMsg,
+        mockData.mockRoom
+      )
 
-      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      assert.equal(result, 0)
+    })
+  })
 
-      const result = await uut.revoke(mockData.validRevokeMsg)
-      // console.log('result: ', result)
+  describe('#getRoom', () => {
+    it('should return the room stored in the database', async () => {
+      const result = await uut.getRoom(mockData.mockRoom.chatId)
 
-      assert.equal(result, 4)
+      assert.equal(result.chatId, mockData.mockRoom.chatId)
+      assert.equal(result.tokenId, mockData.mockRoom.tokenId)
     })
 
-    it('should catch and report errors', async () => {
-      // Force an error
-      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+    it('should use the configured token for rooms without one', async () => {
+      const tokenId = process.env.TOKEN_ID
+      process.env.TOKEN_ID = 'configuredTokenId'
+      mockData.mockRoom.tokenId = ''
 
-      const result = await uut.revoke(mockData.validRevokeMsg)
+      const result = await uut.getRoom(mockData.mockRoom.chatId)
 
-      assert.equal(result, 6)
+      if (tokenId === undefined) delete process.env.TOKEN_ID
+      else process.env.TOKEN_ID = tokenId
+      assert.equal(result.tokenId, 'configuredTokenId')
+    })
+
+    it('should fall back to the default room', async () => {
+      uut.Room.findOne.resolves(null)
+      uut.chatId = '-1001234567890'
+      uut.PSF_THRESHOLD = 100
+
+      const result = await uut.getRoom(649043967)
+
+      assert.equal(result.chatId, -1001234567890)
+      assert.equal(result.threshold, 100)
+      assert.equal(result.reverifyInterval, uut.TWENTY_FOUR_HOURS)
     })
   })
 
-  describe('#list', () => {
-    it('should return message when triggered', async () => {
-      // Mock calls to the bot.
-      sandbox.stub(uut.TGUser, 'find').resolves([mockData.mockVerifiedUser])
-      sandbox.stub(uut.bot, 'sendMessage').resolves()
-      sandbox.stub(uut, 'deleteBotSpam').returns()
+  describe('#getRooms', () => {
+    it('should add the default room to the stored rooms', async () => {
+      uut.chatId = '-1001234567890'
+      sandbox.stub(uut.Room, 'find').resolves([mockData.mockRoom])
 
-      const result = await uut.list(mockData.mockHelpCmd)
-      // console.log('result: ', result)
+      const result = await uut.getRooms()
 
-      assert.equal(result, undefined)
+      assert.equal(result.length, 2)
+      assert.equal(result[1].chatId, -1001234567890)
     })
 
-    it('should catch and report errors', async () => {
-      // Force an error
-      sandbox.stub(uut.TGUser, 'find').rejects(new Error('test error'))
+    it('should not duplicate the default room', async () => {
+      uut.chatId = String(mockData.mockRoom.chatId)
+      sandbox.stub(uut.Room, 'find').resolves([mockData.mockRoom])
 
-      const result = await uut.list(mockData.validRevokeMsg)
+      const result = await uut.getRooms()
 
-      assert.equal(result, undefined)
+      assert.equal(result.length, 1)
     })
-  })
+
+    it('should use the configured token for rooms without one', async () => {
+      const tokenId = process.env.TOKEN_ID
+      process.env.TOKEN_ID = 'configuredTokenId'
+      uut.chatId = String(mockData.mockRoom.chatId)
+      mockData.mockRoom.tokenId = ''
+      sandbox.stub(uut.Room, 'find').resolves([mockData.mockRoom])
+
+      const result = await uut.getRooms()
+
+      if (tokenId === undefined) delete process.env.TOKEN_ID
+      else process.env.TOKEN_ID = tokenId
+      assert.equal(result[0].tokenId, 'configuredTokenId')
+    })
+  })
+
+  describe('#_getRoomState', () => {
+    it('should return the existing state of a room', () => {
+      const result = uut._getRoomState(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom.chatId
+      )
+
+      assert.equal(result.merit, 94)
+      assert.equal(mockData.mockVerifiedUser.rooms.length, 1)
+    })
+
+    it('should add a new state for a room the user has not been seen in', () => {
+      const result = uut._getRoomState(mockData.mockVerifiedUser, -100123)
+
+      assert.equal(result.hasVerified, false)
+      assert.equal(mockData.mockVerifiedUser.rooms.length, 2)
+    })
+  })
+
+  describe('#_getRoomMsg', () => {
+    it('should return the default message', () => {
+      const result = uut._getRoomMsg(mockData.mockRoom, 'verified', 'default')
+
+      assert.equal(result, 'default')
+    })
+
+    it('should return the room-specific message', () => {
+      mockData.mockRoom.messages.verified = 'welcome aboard'
+
+      const result = uut._getRoomMsg(mockData.mockRoom, 'verified', 'default')
+
+      assert.equal(result, 'welcome aboard')
+    })
+  })
+
+  describe('#verifyUser', () => {
+    it('should return default message if input is not formatted correctly', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      const result = await uut.verifyUser(mockData.invalidVerifyMsg1)
+      // console.log('result: ', result)
+
+      assert.equal(result, 0)
+    })
+
+    it('should explain the syntax if the command has the wrong number of arguments', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      await uut.verifyUser(mockData.invalidVerifyMsg1)
+
+      assert.include(sendStub.args[0][1], 'send /verify <your BCH address> <the signature>')
+    })
+
+    it('should start the guided verification for a bare /verify in private chat', async () => {
+      const startStub = sandbox.stub(uut.verifyFlow, 'start').resolves(1)
+      mockData.challengeVerifyMsg.chat = {
+        id: 649043967,
+        type: 'private'
+      }
+
+      const result = await uut.verifyUser(mockData.challengeVerifyMsg)
+
+      assert.equal(result, 1)
+      assert.isTrue(startStub.calledOnce)
+    })
+
+    it('should return default message if signature could not be verified', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+
+      const result = await uut.verifyUser(mockData.invalidVerifyMsg2)
+      // console.log('result: ', result)
+
+      assert.equal(result, 1)
+    })
+
+    it('should notify if address does not meet threshold', async () => {
+      // Mock to force the code path for this test.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+      // Force merit to be below threshold
+      sandbox.stub(uut.bch, 'getMerit').resolves(0.1)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 3)
+    })
+
+    it('should send the merit of a user below threshold privately', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+      sandbox.stub(uut.bch, 'getMerit').resolves(12)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 3)
+      assert.equal(sendStub.args[0][0], mockData.validVerifyMsg.from.id)
+      assert.include(sendStub.args[0][1], 'combined merit value of 12')
+      assert.notInclude(sendStub.args[1][1], '12')
+    })
+
+    it('should not use a cached merit', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+      const invalidateStub = sandbox.stub(uut.bch, 'invalidateMerit')
+      const meritStub = sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+
+      await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.isTrue(invalidateStub.calledOnce)
+      assert.isTrue(invalidateStub.calledBefore(meritStub))
+      assert.deepEqual(invalidateStub.args[0][0], meritStub.args[0][0])
+    })
+
+    it('should send success message if threshold is met', async () => {
+      // Mock to force the code path for this test.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+      // Force merit to be below threshold
+      sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockUnverifiedUser.addresses.length, 1)
+
+      const event = uut.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'verify-success')
+      assert.equal(event.details.merit, 35000)
+    })
+
+    it('should record signatures that do not match', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').returns(false)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 1)
+      const event = uut.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'verify-failed')
+      assert.equal(event.details.reason, 'wrong-signature')
+    })
+
+    it('should add a new address to the ones already claimed', async () => {
+      // Mock to force the code path for this test.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+
+      // User already owns a different address.
+      mockData.mockVerifiedUser.addresses = [
+        {
+          bchAddr: 'bitcoincash:qzz5tft0pssynhqa2297q2583dmjdql5fvpd876h5k',
+          slpAddr: 'simpleledger:qzz5tft0pssynhqa2297q2583dmjdql5fvnpr3fjl2'
+        }
+      ]
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      const meritStub = sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockVerifiedUser.addresses.length, 2)
+      assert.equal(meritStub.args[0][0].length, 2)
+    })
+
+    it('should catch and report errors', async () => {
+      // Force an error
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, undefined)
+    })
+
+    it('should throw error if the address is already claimed', async () => {
+      // Mock to force the code path for this test.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+
+      // Claims can only be released by the holder.
+      uut.ADDRESS_TRANSFER_POLICY = 'revoke'
+
+      // Report that address has already been claimed.
+      sandbox.stub(uut, 'checkDupClaim').resolves('testuser')
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 5)
+    })
+
+    it('should abort verification if the claim can not be checked', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').rejects(new Error('test error'))
+      const transferStub = sandbox.stub(uut, '_transferAddress').resolves({})
+      const saveStub = sandbox.stub(mockData.mockUnverifiedUser, 'save').resolves()
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 1)
+      assert.isTrue(transferStub.notCalled)
+      assert.isTrue(saveStub.notCalled)
+      assert.equal(mockData.mockUnverifiedUser.addresses.length, 0)
+      const event = uut.AuditEvent.create.args[0][0]
+      assert.equal(event.details.reason, 'claim-check-failed')
+    })
+
+    it('should transfer a claimed address to the signer', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').resolves('@testuser')
+      sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+      const transferStub = sandbox.stub(uut, '_transferAddress').resolves({})
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 2)
+      assert.isTrue(transferStub.calledOnce)
+      assert.equal(mockData.mockUnverifiedUser.addresses.length, 1)
+    })
+
+    it('should approve held join requests after verifying in private chat', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+      sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+      sandbox.stub(uut.Room, 'find').resolves([mockData.mockRoom])
+      sandbox.stub(uut.joinRequests.JoinRequest, 'find').resolves([
+        mockData.mockJoinRequestDoc
+      ])
+      const approveStub = sandbox
+        .stub(uut.joinRequests, 'approvePending')
+        .resolves(1)
+
+      mockData.validVerifyMsg.chat = {
+        id: 649043967,
+        first_name: 'Chris',
+        username: 'christroutner',
+        type: 'private'
+      }
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 2)
+      assert.isTrue(approveStub.calledOnce)
+      assert.equal(mockData.mockUnverifiedUser.rooms[0].chatId, mockData.mockRoom.chatId)
+
+      // The user is not in the room yet, so it is not told about them.
+      const chatIds = sendStub.args.map(x => x[0])
+      assert.notInclude(chatIds, mockData.mockRoom.chatId)
+    })
+
+    it('should verify the user in each of their rooms in private chat', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').resolves(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(true)
+      sandbox.stub(uut, 'checkDupClaim').resolves(false)
+      sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+      sandbox.stub(uut.joinRequests, 'approvePending').resolves(1)
+
+      // The user is a member of the first room, and asked to join the second
+      // one, which has a higher threshold. They are not in the third room.
+      const room2 = Object.assign({}, mockData.mockRoom, {
+        chatId: -1002,
+        title: 'vip-room',
+        threshold: 50000
+      })
+      const room3 = Object.assign({}, mockData.mockRoom, { chatId: -1003 })
+      sandbox.stub(uut.Room, 'find').resolves([mockData.mockRoom, room2, room3])
+      mockData.mockJoinRequestDoc.chatId = room2.chatId
+      sandbox.stub(uut.joinRequests.JoinRequest, 'find').resolves([
+        mockData.mockJoinRequestDoc
+      ])
+      mockData.mockUnverifiedUser.rooms = [{ chatId: mockData.mockRoom.chatId }]
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+
+      mockData.validVerifyMsg.chat = {
+        id: 649043967,
+        first_name: 'Chris',
+        username: 'christroutner',
+        type: 'private'
+      }
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 2)
+      const rooms = mockData.mockUnverifiedUser.rooms
+      assert.equal(rooms.length, 2)
+      assert.equal(rooms[0].hasVerified, true)
+      assert.equal(rooms[1].chatId, room2.chatId)
+      assert.equal(rooms[1].hasVerified, false)
+
+      // Only the room the user is a member of is told about them.
+      const chatIds = sendStub.args.map(x => x[0])
+      assert.include(chatIds, mockData.mockRoom.chatId)
+      assert.notInclude(chatIds, room2.chatId)
+
+      const reply = sendStub.lastCall.args[1]
+      assert.include(reply, 'trout-test: verified')
+      assert.include(reply, 'vip-room: your merit of 35000 does not meet the threshold of 50000')
+
+      const events = uut.AuditEvent.create.args.map(x => x[0])
+      assert.deepEqual(events.map(x => x.details.chatId), [
+        mockData.mockRoom.chatId,
+        room2.chatId
+      ])
+      assert.equal(events[1].type, 'verify-below-threshold')
+    })
+
+    it('should issue a challenge for a bare /verify command', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.challenge, 'create').resolves(mockData.mockChallenge)
+
+      const result = await uut.verifyUser(mockData.challengeVerifyMsg)
+
+      assert.equal(result, 6)
+    })
+
+    it('should reject signature if no challenge was issued', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.challenge, 'getActive').resolves(null)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 7)
+    })
+
+    it('should reject signature if the challenge has expired', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockChallenge.expires = new Date('2020-01-01')
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 7)
+    })
+
+    it('should reject signature if the challenge was already used', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'verifyMsg').returns(true)
+      sandbox.stub(uut.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(uut.challenge, 'redeem').resolves(false)
+
+      const result = await uut.verifyUser(mockData.validVerifyMsg)
+
+      assert.equal(result, 7)
+    })
+  })
+
+  describe('#_transferAddress', () => {
+    let prevUser
+    const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+    beforeEach(() => {
+      prevUser = mockData.mockVerifiedUser
+      prevUser.tgId = 123456
+      prevUser.save = async () => {}
+
+      sandbox.stub(uut, 'getRooms').resolves([mockData.mockRoom])
+      sandbox.stub(uut.AddressTransfer, 'create').resolves()
+    })
+
+    it('should return false if nobody else holds the address', async () => {
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut._transferAddress(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, false)
+      assert.isFalse(uut.AddressTransfer.create.called)
+    })
+
+    it('should move the address and demote the previous holder', async () => {
+      sandbox.stub(uut.TGUser, 'findOne').resolves(prevUser)
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      const result = await uut._transferAddress(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, prevUser)
+      assert.equal(prevUser.addresses.length, 0)
+      assert.equal(prevUser.rooms[0].hasVerified, false)
+      assert.equal(prevUser.rooms[0].merit, 0)
+    })
+
+    it('should notify the previous holder and record the transfer', async () => {
+      sandbox.stub(uut.TGUser, 'findOne').resolves(prevUser)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      await uut._transferAddress(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(sendStub.args[0][0], 123456)
+      assert.include(sendStub.args[0][1], 'was transferred')
+
+      const record = uut.AddressTransfer.create.args[0][0]
+      assert.equal(record.bchAddr, bchAddr)
+      assert.equal(record.fromTgId, 123456)
+      assert.equal(record.toTgId, mockData.validVerifyMsg.from.id)
+    })
+
+    it('should keep previous holders verified by their other addresses', async () => {
+      prevUser.addresses.push({
+        bchAddr: 'bitcoincash:qzz5tft0pssynhqa2297q2583dmjdql5fvpd876h5k',
+        slpAddr: 'simpleledger:qzz5tft0pssynhqa2297q2583dmjdql5fvnpr3fjl2'
+      })
+      sandbox.stub(uut.TGUser, 'findOne').resolves(prevUser)
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.bch, 'getMerit').resolves(35000)
+
+      await uut._transferAddress(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(prevUser.addresses.length, 1)
+      assert.equal(prevUser.rooms[0].hasVerified, true)
+      assert.equal(prevUser.rooms[0].merit, 35000)
+    })
+
+    it('should not fail if the previous holder can not be messaged', async () => {
+      sandbox.stub(uut.TGUser, 'findOne').resolves(prevUser)
+      sandbox.stub(uut.bot, 'sendMessage').rejects(new Error('403 Forbidden'))
+
+      const result = await uut._transferAddress(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, prevUser)
+      assert.isTrue(uut.AddressTransfer.create.calledOnce)
+    })
+  })
+
+  describe('#handleCallbackQuery', () => {
+    it('should route verification buttons to the guided verification', async () => {
+      const handleStub = sandbox
+        .stub(uut.verifyFlow, 'handleCallback')
+        .resolves(1)
+
+      const result = await uut.handleCallbackQuery({ id: 'q1', data: 'vf:cancel' })
+
+      assert.equal(result, 1)
+      assert.isTrue(handleStub.calledOnce)
+    })
+
+    it('should route leaderboard buttons to the leaderboard', async () => {
+      const handleStub = sandbox
+        .stub(uut.leaderboard, 'handleCallback')
+        .resolves(true)
+
+      const result = await uut.handleCallbackQuery({ id: 'q1', data: 'lb:1:10' })
+
+      assert.equal(result, true)
+      assert.isTrue(handleStub.calledOnce)
+    })
+
+    it('should answer unknown buttons', async () => {
+      const answerStub = sandbox.stub(uut.bot, 'answerCallbackQuery').resolves()
+
+      const result = await uut.handleCallbackQuery({ id: 'q1', data: 'unknown' })
+
+      assert.equal(result, false)
+      assert.isTrue(answerStub.calledOnce)
+    })
+  })
+
+  describe('#help', () => {
+    it('should return message when triggered', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      const result = await uut.help(mockData.mockHelpCmd)
+      // console.log('result: ', result)
+
+      assert.equal(result, undefined)
+    })
+
+    it('should use the language chosen by the user', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockVerifiedUser.language = 'es'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      await uut.help(mockData.mockHelpCmd)
+
+      assert.include(sendStub.args[0][1], 'Comandos disponibles')
+    })
+  })
+
+  describe('#language', () => {
+    it('should return 0 when user is not found', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      mockData.mockHelpCmd.text = '/language es'
+
+      const result = await uut.language(mockData.mockHelpCmd)
+
+      assert.equal(result, 0)
+    })
+
+    it('should show the current and available languages', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      mockData.mockHelpCmd.text = '/language'
+
+      const result = await uut.language(mockData.mockHelpCmd)
+
+      assert.equal(result, 1)
+      assert.include(sendStub.args[0][1], 'Your language is English (en)')
+      assert.include(sendStub.args[0][1], 'es (Español)')
+    })
+
+    it('should store the chosen language', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      mockData.mockHelpCmd.text = '/language es'
+
+      const result = await uut.language(mockData.mockHelpCmd)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockVerifiedUser.language, 'es')
+      assert.include(sendStub.args[0][1], 'Tu idioma ahora es Español')
+    })
+
+    it('should go back to the language of the Telegram app', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockVerifiedUser.language = 'es'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      mockData.mockHelpCmd.text = '/language auto'
+
+      const result = await uut.language(mockData.mockHelpCmd)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockVerifiedUser.language, '')
+    })
+
+    it('should reject languages without a catalog', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      mockData.mockHelpCmd.text = '/language xx'
+
+      const result = await uut.language(mockData.mockHelpCmd)
+
+      assert.equal(result, 0)
+      assert.include(sendStub.args[0][1], "The language 'xx' is not available")
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+      mockData.mockHelpCmd.text = '/language'
+
+      const result = await uut.language(mockData.mockHelpCmd)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#_sendDeletionNotification', () => {
+    it('should notify the user in the language of their Telegram app', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockMsg.from.language_code = 'es'
+
+      await uut._sendDeletionNotification(mockData.mockMsg, null)
+
+      assert.equal(sendStub.args[0][0], mockData.mockMsg.from.id)
+      assert.include(sendStub.args[0][1], 'Tu mensaje ha sido borrado')
+    })
+  })
+
+  describe('#getmerit', () => {
+    it('should return 0 when user is not found', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Force 'user not found'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.getMerit(mockData.getMeritUserNotFound)
+      // console.log('result: ', result)
+
+      assert.equal(result, 0)
+    })
+
+    it('should return 0 for invalid arguments', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Force 'user not found'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.getMerit(mockData.getMeritInvalidArgs)
+      // console.log('result: ', result)
+
+      assert.equal(result, 0)
+    })
+
+    it('should reply in the language chosen by the user', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves({ language: 'es' })
+
+      await uut.getMerit(mockData.getMeritInvalidArgs)
+
+      assert.include(sendStub.args[0][1], 'Número de argumentos incorrecto.')
+    })
+
+    it('should return 1 for unverified user', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Force unverified user.
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+      // console.log('result: ', result)
+
+      assert.equal(result, 1)
+    })
+
+    it('should return 1 for verified user', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Force verified user
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      sandbox.stub(uut, '_getMeritChange').resolves(null)
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+      // console.log('result: ', result)
+
+      assert.equal(result, 1)
+    })
+
+    it('should explain that a member never verified', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+
+      await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.include(sendStub.args[0][1], 'has never verified their merit')
+    })
+
+    it('should explain that the merit of a member is stale', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockVerifiedUser.rooms[0].lastVerified = '2020-01-01T00:00:00.000Z'
+      mockData.mockGetMeritMsg.from.id = 123
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.include(sendStub.args[0][1], 'is stale')
+    })
+
+    it('should respect the privacy setting of other members', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockVerifiedUser.privacy = { merit: 'hidden' }
+      mockData.mockGetMeritMsg.from.id = 123
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.include(sendStub.args[0][1], 'keeps their merit private')
+    })
+
+    it('should round the merit of members who chose a bucket', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      const changeStub = sandbox.stub(uut, '_getMeritChange').resolves(null)
+      mockData.mockVerifiedUser.privacy = { merit: 'bucket' }
+      mockData.mockGetMeritMsg.from.id = 123
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.include(sendStub.args[0][1], 'has a merit score of at least 90')
+      assert.isTrue(changeStub.notCalled)
+    })
+
+    it('should send members their own merit privately', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut, '_getMeritChange').resolves(null)
+      mockData.mockVerifiedUser.privacy = { merit: 'hidden' }
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.equal(result, 1)
+      assert.equal(sendStub.args[0][0], mockData.mockGetMeritMsg.from.id)
+      assert.include(sendStub.args[0][1], 'has a merit score of 94')
+      assert.equal(sendStub.args[1][0], mockData.mockGetMeritMsg.chat.id)
+      assert.include(sendStub.args[1][1], 'private message')
+    })
+
+    it('should look up a member by address without revealing them', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut, '_getMeritChange').resolves(null)
+      mockData.mockGetMeritMsg.text = `/merit ${mockData.mockVerifiedUser.addresses[0].bchAddr}`
+      const findStub = sandbox
+        .stub(uut.TGUser, 'findOne')
+        .resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.equal(result, 1)
+      assert.deepEqual(findStub.lastCall.args[0], {
+        'addresses.slpAddr': mockData.mockVerifiedUser.addresses[0].slpAddr
+      })
+      assert.include(sendStub.args[0][1], 'has a merit score of 94')
+      assert.notInclude(sendStub.args[0][1], 'christroutner')
+    })
+
+    it('should explain that no member claimed an address', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockGetMeritMsg.text = `/merit ${mockData.mockVerifiedUser.addresses[0].bchAddr}`
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.equal(result, 0)
+      assert.include(sendStub.args[0][1], 'No member has claimed this address')
+    })
+
+    it('should reject arguments that are not a username or address', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockGetMeritMsg.text = '/merit nonsense'
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.equal(result, 0)
+      assert.include(sendStub.args[0][1], 'is not a @username or a BCH address')
+    })
+
+    it('should show the change since the previous check', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      sandbox
+        .stub(uut, '_getMeritChange')
+        .resolves({ change: -6, since: new Date('2021-03-01') })
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.equal(result, 1)
+      assert.include(sendStub.args[0][1], 'Change since the previous check')
+      assert.include(sendStub.args[0][1], ': -6')
+    })
+
+    it('should catch and report errors', async () => {
+      // Force an error
+      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.getMerit(mockData.mockGetMeritMsg)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#checkDupClaim', () => {
+    it('should return false if user matching address is not found in DB', async () => {
+      // Force DB returning user-not-found
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const bchAddr = 'bitcoincash:qzz5tft0pssynhqa2297q2583dmjdql5fvpd876h5k'
+
+      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, false)
+    })
+
+    it('should return false if owner issued /verify command', async () => {
+      // Force DB returning user-not-found
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, false)
+    })
+
+    it('should return TG username if address has been claimed', async () => {
+      // Force DB to return different user
+      mockData.mockVerifiedUser.tgId = 123456
+      mockData.mockVerifiedUser.username = 'testUser'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, '@testUser')
+    })
+
+    it('should return false if the owner changed their username', async () => {
+      mockData.mockVerifiedUser.username = 'oldName'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, false)
+    })
+
+    it('should not reveal owners without a username', async () => {
+      mockData.mockVerifiedUser.tgId = 123456
+      mockData.mockVerifiedUser.username = ''
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+      const result = await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+
+      assert.equal(result, 'Another member')
+    })
+
+    it('should throw errors', async () => {
+      // Force an error
+      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+      try {
+        await uut.checkDupClaim(bchAddr, mockData.validVerifyMsg)
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+
+  describe('#revoke', () => {
+    it('should return 0 on malformed command', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.revoke(mockData.invalidRevokeMsg1)
+      // console.log('result: ', result)
+
+      assert.equal(result, 0)
+    })
+
+    it('should reply in the language of the user', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      mockData.validRevokeMsg.from.language_code = 'es'
+
+      await uut.revoke(mockData.validRevokeMsg)
+
+      assert.include(sendStub.args[0][1], 'No se encontró ningún usuario')
+    })
+
+    it('should return 2 if user can not be found', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Force user-not-found in database.
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+      // console.log('result: ', result)
+
+      assert.equal(result, 2)
+    })
+
+    it('should return 3 if command issuer is not address owner', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Force DB to return different user
+      mockData.mockVerifiedUser.tgId = 123456
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+      // console.log('result: ', result)
+
+      assert.equal(result, 3)
+    })
+
+    it('should not let a new account with the old username revoke', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // The owner renamed their account and someone else took the username.
+      mockData.mockVerifiedUser.username = 'newName'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      mockData.validRevokeMsg.from.id = 123456
+      mockData.validRevokeMsg.from.username = 'christroutner'
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+
+      assert.equal(result, 3)
+      assert.equal(mockData.mockVerifiedUser.addresses.length, 1)
+    })
+
+    it('should let the owner revoke after changing their username', async () => {
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      mockData.mockVerifiedUser.username = 'oldName'
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+
+      assert.equal(result, 4)
+    })
+
+    it('should mention users without a username by text mention', async () => {
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      delete mockData.validRevokeMsg.from.username
+
+      await uut.revoke(mockData.validRevokeMsg)
+
+      assert.notInclude(sendStub.args[0][1], '@undefined')
+      assert.isTrue(sendStub.args[0][1].startsWith(mockData.validRevokeMsg.from.first_name))
+      const entities = JSON.parse(sendStub.args[0][2].entities)
+      assert.equal(entities[0].type, 'text_mention')
+      assert.equal(entities[0].user.id, mockData.validRevokeMsg.from.id)
+    })
+
+    it('should return 4 on success revokation of address', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+      // console.log('result: ', result)
+
+      assert.equal(result, 4)
+      assert.equal(mockData.mockVerifiedUser.addresses.length, 0)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].hasVerified, false)
+      assert.equal(uut.AuditEvent.create.args[0][0].type, 'revoke')
+    })
+
+    it('should recalculate merit of remaining addresses', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      // Give the user a second address.
+      mockData.mockVerifiedUser.addresses.push({
+        bchAddr: 'bitcoincash:qzz5tft0pssynhqa2297q2583dmjdql5fvpd876h5k',
+        slpAddr: 'simpleledger:qzz5tft0pssynhqa2297q2583dmjdql5fvnpr3fjl2'
+      })
+      sandbox.stub(uut.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      sandbox.stub(uut.Room, 'find').resolves([mockData.mockRoom])
+      const reverifyStub = sandbox.stub(uut, 'reverifyMerit').resolves(true)
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+
+      assert.equal(result, 4)
+      assert.equal(mockData.mockVerifiedUser.addresses.length, 1)
+      assert.isTrue(reverifyStub.calledOnce)
+    })
+
+    it('should catch and report errors', async () => {
+      // Force an error
+      sandbox.stub(uut.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.revoke(mockData.validRevokeMsg)
+
+      assert.equal(result, 6)
+    })
+  })
+
+  describe('#_audit', () => {
+    it('should record the actor, subject and chat of an event', async () => {
+      await uut._audit('revoke', mockData.validRevokeMsg, mockData.mockVerifiedUser, {
+        bchAddr: 'test'
+      })
+
+      const event = uut.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'revoke')
+      assert.equal(event.actorTgId, mockData.validRevokeMsg.from.id)
+      assert.equal(event.subjectTgId, mockData.mockVerifiedUser.tgId)
+      assert.equal(event.chatId, mockData.validRevokeMsg.chat.id)
+      assert.equal(event.details.bchAddr, 'test')
+    })
+
+    it('should default the subject to the actor', async () => {
+      await uut._audit('verify-failed', mockData.validVerifyMsg)
+
+      const event = uut.AuditEvent.create.args[0][0]
+      assert.equal(event.subjectTgId, mockData.validVerifyMsg.from.id)
+      assert.equal(event.subjectUsername, mockData.validVerifyMsg.from.username)
+    })
+
+    it('should not throw on database errors', async () => {
+      uut.AuditEvent.create.rejects(new Error('test error'))
+
+      await uut._audit('verify-failed', mockData.validVerifyMsg)
+    })
+  })
+
+  describe('#_deleteMsg', () => {
+    it('should record the deletion in the audit trail', async () => {
+      sandbox.stub(uut.bot, 'deleteMessage').resolves(true)
+
+      await uut._deleteMsg(mockData.mockMsg, 'unverified')
+
+      const event = uut.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'message-deleted')
+      assert.equal(event.details.reason, 'unverified')
+      assert.equal(event.details.messageId, mockData.mockMsg.message_id)
+    })
+  })
+
+  describe('#_updateUsername', () => {
+    it('should return false if the username did not change', async () => {
+      const result = await uut._updateUsername(
+        mockData.mockVerifiedUser,
+        mockData.mockMsg.from
+      )
+
+      assert.equal(result, false)
+      assert.isFalse(uut.TGUser.updateMany.called)
+    })
+
+    it('should record the previous username', async () => {
+      const from = Object.assign({}, mockData.mockMsg.from, { username: 'newName' })
+
+      const result = await uut._updateUsername(mockData.mockVerifiedUser, from)
+
+      assert.equal(result, true)
+      assert.equal(mockData.mockVerifiedUser.username, 'newName')
+      assert.equal(mockData.mockVerifiedUser.usernameHistory[0].username, 'christroutner')
+      assert.instanceOf(mockData.mockVerifiedUser.usernameHistory[0].changedAt, Date)
+    })
+
+    it('should take the username away from other users', async () => {
+      const from = Object.assign({}, mockData.mockMsg.from, { username: 'newName' })
+
+      await uut._updateUsername(mockData.mockVerifiedUser, from)
+
+      const filter = uut.TGUser.updateMany.args[0][0]
+      assert.equal(filter.username, 'newName')
+      assert.deepEqual(filter.tgId, { $ne: mockData.mockVerifiedUser.tgId })
+    })
+
+    it('should handle users who removed their username', async () => {
+      const from = Object.assign({}, mockData.mockMsg.from)
+      delete from.username
+
+      const result = await uut._updateUsername(mockData.mockVerifiedUser, from)
+
+      assert.equal(result, true)
+      assert.equal(mockData.mockVerifiedUser.username, '')
+      assert.isFalse(uut.TGUser.updateMany.called)
+    })
+  })
+
+  describe('#list', () => {
+    it('should return message when triggered', async () => {
+      // Mock calls to the bot.
+      sandbox.stub(uut.TGUser, 'find').resolves([mockData.mockVerifiedUser])
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      const result = await uut.list(mockData.mockHelpCmd)
+      // console.log('result: ', result)
+
+      assert.equal(result, undefined)
+    })
+
+    it('should leave out members who opted out of the list', async () => {
+      mockData.mockVerifiedUser.privacy = { listed: false }
+      sandbox.stub(uut.TGUser, 'find').resolves([mockData.mockVerifiedUser])
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      await uut.list(mockData.mockHelpCmd)
+
+      assert.notInclude(sendStub.args[0][1], 'christroutner')
+      assert.include(sendStub.args[0][1], 'and 1 unlisted members')
+    })
+
+    it('should reply in the language of the user', async () => {
+      sandbox.stub(uut.TGUser, 'find').resolves([mockData.mockVerifiedUser])
+      sandbox.stub(uut.TGUser, 'findOne').resolves({ language: 'es' })
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      await uut.list(mockData.mockHelpCmd)
+
+      assert.include(sendStub.args[0][1], 'Usuarios verificados en este canal:')
+    })
+
+    it('should catch and report errors', async () => {
+      // Force an error
+      sandbox.stub(uut.TGUser, 'find').rejects(new Error('test error'))
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.list(mockData.validRevokeMsg)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#stats', () => {
+    it('should sum the merit of verified users in the room', async () => {
+      const findStub = sandbox
+        .stub(uut.TGUser, 'find')
+        .resolves([mockData.mockVerifiedUser])
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+
+      await uut.stats(mockData.mockHelpCmd)
+
+      assert.equal(
+        findStub.args[0][0].rooms.$elemMatch.chatId,
+        mockData.mockRoom.chatId
+      )
+      assert.include(sendStub.args[0][1], 'total merit: 94')
+    })
+
+    it('should reply in the language of the Telegram app', async () => {
+      sandbox.stub(uut.TGUser, 'find').resolves([mockData.mockVerifiedUser])
+      sandbox.stub(uut.TGUser, 'findOne').resolves(null)
+      const sendStub = sandbox.stub(uut.bot, 'sendMessage').resolves()
+      mockData.mockHelpCmd.from.language_code = 'es'
+
+      await uut.stats(mockData.mockHelpCmd)
+
+      assert.include(sendStub.args[0][1], 'mérito total: 94')
+    })
+  })
 
   describe('#deleteBotSpam', () => [
     it('should start a timer', () => {
+      uut.deleteBotSpam.restore()
+
       const timerHandle = uut.deleteBotSpam(
         mockData.invalidVerifyMsg1,
         mockData.invalidVerifyMsg1
@@ -0,0 +1,216 @@
+/*
+  Unit tests for the merit-sweep.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BotLib = require('../../src/lib/bot')
+const MeritSweep = require('../../src/lib/merit-sweep')
+let uut
+let bot
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#merit-sweep.js', () => {
+  let sandbox
+
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId: 'fakeId' })
+    uut = new MeritSweep({ bot })
+
+    mockData = cloneDeep(mockDataLib)
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if bot instance is not passed', () => {
+      try {
+        uut = new MeritSweep()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of the Bot library must be passed when instantiating MeritSweep.'
+        )
+      }
+    })
+  })
+
+  describe('#start', () => {
+    it('should start and stop the timer', () => {
+      const timerHandle = uut.start()
+      assert.isOk(timerHandle)
+
+      uut.stop()
+      assert.equal(uut.timerHandle, null)
+    })
+  })
+
+  describe('#sweep', () => {
+    it('should summarize reverified and demoted users', async () => {
+      sandbox.stub(bot, 'getRooms').resolves([mockData.mockRoom])
+      const user2 = cloneDeep(mockData.mockVerifiedUser)
+      user2.tgId = 123
+      sandbox
+        .stub(uut.TGUser, 'find')
+        .resolves([mockData.mockVerifiedUser, user2])
+      sandbox
+        .stub(uut, 'reverifyUser')
+        .onCall(0)
+        .resolves('reverified')
+        .onCall(1)
+        .resolves('demoted')
+
+      const result = await uut.sweep()
+
+      assert.equal(result.rooms, 1)
+      assert.equal(result.checked, 2)
+      assert.equal(result.reverified, 1)
+      assert.equal(result.demoted, 1)
+      assert.equal(result.errors, 0)
+    })
+
+    it('should limit the number of concurrent lookups', async () => {
+      uut.SWEEP_CONCURRENCY = 2
+      sandbox.stub(bot, 'getRooms').resolves([mockData.mockRoom])
+      const users = [1, 2, 3, 4, 5].map(tgId => ({ tgId }))
+      sandbox.stub(uut.TGUser, 'find').resolves(users)
+
+      let running = 0
+      let maxRunning = 0
+      sandbox.stub(uut, 'reverifyUser').callsFake(async () => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setImmediate(resolve))
+        running--
+        return 'reverified'
+      })
+
+      const result = await uut.sweep()
+
+      assert.equal(result.checked, 5)
+      assert.equal(maxRunning, 2)
+    })
+
+    it('should sweep every room', async () => {
+      const room2 = cloneDeep(mockData.mockRoom)
+      room2.chatId = -100123
+      sandbox.stub(bot, 'getRooms').resolves([mockData.mockRoom, room2])
+      sandbox.stub(uut.TGUser, 'find').resolves([mockData.mockVerifiedUser])
+      const reverifyStub = sandbox
+        .stub(uut, 'reverifyUser')
+        .resolves('reverified')
+
+      const result = await uut.sweep()
+
+      assert.equal(result.rooms, 2)
+      assert.equal(result.checked, 2)
+      assert.equal(reverifyStub.args[1][1].chatId, -100123)
+    })
+
+    it('should not start a sweep while one is running', async () => {
+      uut.isRunning = true
+
+      const result = await uut.sweep()
+
+      assert.equal(result, false)
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(bot, 'getRooms').rejects(new Error('test error'))
+
+      const result = await uut.sweep()
+
+      assert.equal(result, false)
+      assert.equal(uut.isRunning, false)
+    })
+  })
+
+  describe('#reverifyUser', () => {
+    it('should return reverified if user still has merit', async () => {
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      const result = await uut.reverifyUser(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
+
+      assert.equal(result, 'reverified')
+    })
+
+    it('should notify the user if they were demoted', async () => {
+      sandbox.stub(bot, 'reverifyMerit').resolves(false)
+      sandbox.stub(bot.AuditEvent, 'create').resolves()
+      const notifyStub = sandbox.stub(uut, 'notifyDemotion').resolves()
+
+      const result = await uut.reverifyUser(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
+
+      assert.equal(result, 'demoted')
+      assert.isTrue(notifyStub.calledOnce)
+    })
+
+    it('should record the demotion in the audit trail', async () => {
+      sandbox.stub(bot, 'reverifyMerit').resolves(false)
+      sandbox.stub(bot.AuditEvent, 'create').resolves()
+      sandbox.stub(uut, 'notifyDemotion').resolves()
+
+      await uut.reverifyUser(mockData.mockVerifiedUser, mockData.mockRoom)
+
+      const event = bot.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'demotion')
+      assert.equal(event.actorTgId, undefined)
+      assert.equal(event.subjectTgId, mockData.mockVerifiedUser.tgId)
+      assert.equal(event.chatId, mockData.mockRoom.chatId)
+      assert.equal(event.details.reason, 'sweep')
+    })
+
+    it('should return errors if merit lookup fails', async () => {
+      sandbox.stub(bot, 'reverifyMerit').rejects(new Error('test error'))
+
+      const result = await uut.reverifyUser(
+        mockData.mockVerifiedUser,
+        mockData.mockRoom
+      )
+
+      assert.equal(result, 'errors')
+    })
+  })
+
+  describe('#notifyDemotion', () => {
+    it('should send a private message to the user', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves()
+
+      await uut.notifyDemotion(mockData.mockVerifiedUser, mockData.mockRoom)
+
+      assert.equal(sendStub.args[0][0], mockData.mockVerifiedUser.tgId)
+      assert.include(sendStub.args[0][1], 'no longer have enough merit')
+    })
+
+    it('should notify the user in their language', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves()
+      mockData.mockVerifiedUser.language = 'es'
+
+      await uut.notifyDemotion(mockData.mockVerifiedUser, mockData.mockRoom)
+
+      assert.include(sendStub.args[0][1], 'Ya no tienes suficiente mérito')
+    })
+
+    it('should exit quietly if the user can not be messaged', async () => {
+      sandbox.stub(bot.bot, 'sendMessage').rejects(new Error('403 Forbidden'))
+
+      await uut.notifyDemotion(mockData.mockVerifiedUser, mockData.mockRoom)
+
+      assert(true, 'Test passed')
+    })
+  })
+})
@@ -0,0 +1,112 @@
+/*
+  Unit tests for the challenge.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const ChallengeLib = require('../../src/lib/challenge')
+let uut
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#challenge.js', () => {
+  let sandbox
+
+  beforeEach(() => {
+    uut = new ChallengeLib()
+
+    mockData = cloneDeep(mockDataLib)
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#create', () => {
+    it('should create a new challenge', async () => {
+      sandbox.stub(uut.ChallengeModel, 'deleteMany').resolves()
+      sandbox.stub(uut.ChallengeModel.prototype, 'save').resolves()
+
+      const result = await uut.create(649043967, -1001337281108)
+
+      assert.equal(result.tgId, 649043967)
+      assert.equal(result.chatId, -1001337281108)
+      assert.equal(result.used, false)
+      assert.include(result.text, result.nonce)
+      assert.isFalse(uut.isExpired(result))
+    })
+
+    it('should catch and throw errors', async () => {
+      try {
+        sandbox
+          .stub(uut.ChallengeModel, 'deleteMany')
+          .rejects(new Error('test error'))
+
+        await uut.create(649043967, -1001337281108)
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+
+  describe('#getActive', () => {
+    it('should return the unused challenge', async () => {
+      sandbox.stub(uut.ChallengeModel, 'findOne').resolves(mockData.mockChallenge)
+
+      const result = await uut.getActive(649043967, -1001337281108)
+
+      assert.equal(result.nonce, mockData.mockChallenge.nonce)
+    })
+
+    it('should catch and throw errors', async () => {
+      try {
+        sandbox
+          .stub(uut.ChallengeModel, 'findOne')
+          .rejects(new Error('test error'))
+
+        await uut.getActive(649043967, -1001337281108)
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+
+  describe('#isExpired', () => {
+    it('should return true for an expired challenge', () => {
+      mockData.mockChallenge.expires = new Date('2020-01-01')
+
+      assert.isTrue(uut.isExpired(mockData.mockChallenge))
+    })
+
+    it('should return false for a current challenge', () => {
+      assert.isFalse(uut.isExpired(mockData.mockChallenge))
+    })
+  })
+
+  describe('#redeem', () => {
+    it('should return true when the challenge is redeemed', async () => {
+      sandbox
+        .stub(uut.ChallengeModel, 'findOneAndUpdate')
+        .resolves(mockData.mockChallenge)
+
+      const result = await uut.redeem(mockData.mockChallenge)
+
+      assert.isTrue(result)
+    })
+
+    it('should return false if the challenge was already used', async () => {
+      sandbox.stub(uut.ChallengeModel, 'findOneAndUpdate').resolves(null)
+
+      const result = await uut.redeem(mockData.mockChallenge)
+
+      assert.isFalse(result)
+    })
+  })
+})
@@ -0,0 +1,106 @@
+/*
+  Unit tests for the tiers.js library.
+*/
+
+const assert = require('chai').assert
+const cloneDeep = require('lodash.clonedeep')
+
+const TiersLib = require('../../src/lib/tiers')
+let uut
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#tiers.js', () => {
+  beforeEach(() => {
+    uut = new TiersLib()
+
+    mockData = cloneDeep(mockDataLib)
+  })
+
+  describe('#getTiers', () => {
+    it('should return a default tier starting at the room threshold', () => {
+      const result = uut.getTiers(mockData.mockRoom)
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].minMerit, mockData.mockRoom.threshold)
+      assert.isTrue(result[0].canSendMedia)
+    })
+
+    it('should sort the tiers of the room by minimum merit', () => {
+      mockData.mockRoom.tiers = mockData.mockTiers
+
+      const result = uut.getTiers(mockData.mockRoom)
+
+      assert.equal(result[0].name, 'member')
+      assert.equal(result[1].name, 'vip')
+    })
+  })
+
+  describe('#getTier', () => {
+    it('should return the highest tier the merit meets', () => {
+      mockData.mockRoom.tiers = mockData.mockTiers
+
+      assert.equal(uut.getTier(mockData.mockRoom, 50).name, 'member')
+      assert.equal(uut.getTier(mockData.mockRoom, 99999).name, 'member')
+      assert.equal(uut.getTier(mockData.mockRoom, 100000).name, 'vip')
+    })
+
+    it('should return null if the merit is below the lowest tier', () => {
+      mockData.mockRoom.tiers = mockData.mockTiers
+
+      assert.equal(uut.getTier(mockData.mockRoom, 10), null)
+    })
+  })
+
+  describe('#getMsgType', () => {
+    it('should classify media messages', () => {
+      assert.equal(uut.getMsgType(mockData.mockPhotoMsg), 'media')
+    })
+
+    it('should classify messages with links', () => {
+      mockData.mockMsg.text = 'see https://psfoundation.cash'
+      mockData.mockMsg.entities = [{ offset: 4, length: 25, type: 'url' }]
+
+      assert.equal(uut.getMsgType(mockData.mockMsg), 'link')
+    })
+
+    it('should classify text messages', () => {
+      assert.equal(uut.getMsgType(mockData.mockMsg), 'text')
+    })
+
+    it('should classify service messages as other', () => {
+      delete mockData.mockMsg.text
+      mockData.mockMsg.new_chat_members = [mockData.mockMsg.from]
+
+      assert.equal(uut.getMsgType(mockData.mockMsg), 'other')
+    })
+  })
+
+  describe('#isAllowed', () => {
+    it('should check the permissions of the tier', () => {
+      const tier = mockData.mockTiers[1]
+
+      assert.isTrue(uut.isAllowed(tier, 'text'))
+      assert.isFalse(uut.isAllowed(tier, 'link'))
+      assert.isFalse(uut.isAllowed(tier, 'media'))
+      assert.isTrue(uut.isAllowed(tier, 'other'))
+    })
+
+    it('should only allow service messages without a tier', () => {
+      assert.isFalse(uut.isAllowed(null, 'text'))
+      assert.isTrue(uut.isAllowed(null, 'other'))
+    })
+  })
+
+  describe('#toChatPermissions', () => {
+    it('should convert a tier to Telegram permissions', () => {
+      const result = uut.toChatPermissions(mockData.mockTiers[1])
+
+      assert.isTrue(result.can_send_messages)
+      assert.isFalse(result.can_send_media_messages)
+      assert.isFalse(result.can_add_web_page_previews)
+      assert.isFalse(result.can_invite_users)
+    })
+  })
+})
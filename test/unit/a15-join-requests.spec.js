@@ -0,0 +1,211 @@
+/*
+  Unit tests for the join-requests.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BotLib = require('../../src/lib/bot')
+const JoinRequests = require('../../src/lib/join-requests')
+let uut
+let bot
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#join-requests.js', () => {
+  let sandbox
+
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId: 'fakeId' })
+    uut = new JoinRequests({ bot })
+
+    mockData = cloneDeep(mockDataLib)
+
+    sandbox = sinon.createSandbox()
+
+    // Resolve every chat to the mock room.
+    sandbox.stub(bot, 'getRoom').resolves(mockData.mockRoom)
+
+    // Prevent live calls to Telegram.
+    sandbox.stub(bot.bot, 'sendMessage').resolves()
+    sandbox.stub(bot.bot, 'approveChatJoinRequest').resolves(true)
+    sandbox.stub(bot.bot, 'declineChatJoinRequest').resolves(true)
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if bot instance is not passed', () => {
+      try {
+        uut = new JoinRequests()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of the Bot library must be passed when instantiating JoinRequests.'
+        )
+      }
+    })
+  })
+
+  describe('#start', () => {
+    it('should start and stop the timer', () => {
+      const timerHandle = uut.start()
+      assert.isOk(timerHandle)
+
+      uut.stop()
+      assert.equal(uut.timerHandle, null)
+    })
+  })
+
+  describe('#handleRequest', () => {
+    it('should hold the request and send instructions', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut.JoinRequest, 'deleteMany').resolves()
+      const saveStub = sandbox
+        .stub(uut.JoinRequest.prototype, 'save')
+        .resolves()
+      sandbox.stub(bot.challenge, 'create').resolves(mockData.mockChallenge)
+
+      const result = await uut.handleRequest(mockData.mockChatJoinRequest)
+
+      assert.equal(result, 'pending')
+      assert.isTrue(saveStub.calledOnce)
+      assert.include(bot.bot.sendMessage.args[0][1], mockData.mockChallenge.text)
+      assert.isTrue(bot.bot.approveChatJoinRequest.notCalled)
+    })
+
+    it('should send the instructions in the language of the user', async () => {
+      mockData.mockChatJoinRequest.from.language_code = 'es'
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      sandbox.stub(uut.JoinRequest, 'deleteMany').resolves()
+      sandbox.stub(uut.JoinRequest.prototype, 'save').resolves()
+      sandbox.stub(bot.challenge, 'create').resolves(mockData.mockChallenge)
+
+      await uut.handleRequest(mockData.mockChatJoinRequest)
+
+      assert.include(bot.bot.sendMessage.args[0][1], 'Para unirte a')
+      assert.include(bot.bot.sendMessage.args[0][1], mockData.mockChallenge.text)
+    })
+
+    it('should approve users who already have enough merit', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      const result = await uut.handleRequest(mockData.mockChatJoinRequest)
+
+      assert.equal(result, 'approved')
+      assert.isTrue(bot.bot.approveChatJoinRequest.calledOnce)
+    })
+
+    it('should report requests that Telegram did not let approve', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+      bot.bot.approveChatJoinRequest.rejects(new Error('HIDE_REQUESTER_MISSING'))
+
+      const result = await uut.handleRequest(mockData.mockChatJoinRequest)
+
+      assert.equal(result, 'failed')
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.handleRequest(mockData.mockChatJoinRequest)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#approvePending', () => {
+    it('should approve requests for rooms where merit is met', async () => {
+      sandbox.stub(uut.JoinRequest, 'find').resolves([mockData.mockJoinRequestDoc])
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      const result = await uut.approvePending(mockData.mockVerifiedUser)
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockJoinRequestDoc.status, 'approved')
+      assert.isTrue(bot.bot.approveChatJoinRequest.calledOnce)
+      assert.include(bot.bot.sendMessage.args[0][1], 'has been approved')
+    })
+
+    it('should continue with the next request if an approval fails', async () => {
+      const joinRequest2 = Object.assign({}, mockData.mockJoinRequestDoc, {
+        chatId: -100123
+      })
+      sandbox
+        .stub(uut.JoinRequest, 'find')
+        .resolves([mockData.mockJoinRequestDoc, joinRequest2])
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+      bot.bot.approveChatJoinRequest
+        .onFirstCall()
+        .rejects(new Error('HIDE_REQUESTER_MISSING'))
+
+      const result = await uut.approvePending(mockData.mockVerifiedUser)
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockJoinRequestDoc.status, 'failed')
+      assert.equal(joinRequest2.status, 'approved')
+      assert.isTrue(bot.bot.approveChatJoinRequest.calledTwice)
+    })
+
+    it('should keep holding requests if merit is not met', async () => {
+      sandbox.stub(uut.JoinRequest, 'find').resolves([mockData.mockJoinRequestDoc])
+      sandbox.stub(bot, 'reverifyMerit').resolves(false)
+
+      const result = await uut.approvePending(mockData.mockVerifiedUser)
+
+      assert.equal(result, 0)
+      assert.equal(mockData.mockJoinRequestDoc.status, 'pending')
+    })
+
+    it('should skip expired requests', async () => {
+      mockData.mockJoinRequestDoc.expires = new Date('2020-01-01')
+      sandbox.stub(uut.JoinRequest, 'find').resolves([mockData.mockJoinRequestDoc])
+      const reverifyStub = sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      const result = await uut.approvePending(mockData.mockVerifiedUser)
+
+      assert.equal(result, 0)
+      assert.isTrue(reverifyStub.notCalled)
+    })
+  })
+
+  describe('#expire', () => {
+    it('should decline expired requests', async () => {
+      mockData.mockJoinRequestDoc.expires = new Date('2020-01-01')
+      sandbox.stub(uut.JoinRequest, 'find').resolves([mockData.mockJoinRequestDoc])
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+
+      const result = await uut.expire()
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockJoinRequestDoc.status, 'declined')
+      assert.isTrue(bot.bot.declineChatJoinRequest.calledOnce)
+      assert.include(bot.bot.sendMessage.args[0][1], 'was declined')
+    })
+
+    it('should notify the user in their language', async () => {
+      mockData.mockJoinRequestDoc.expires = new Date('2020-01-01')
+      mockData.mockUnverifiedUser.language = 'es'
+      sandbox.stub(uut.JoinRequest, 'find').resolves([mockData.mockJoinRequestDoc])
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+
+      await uut.expire()
+
+      assert.include(bot.bot.sendMessage.args[0][1], 'fue rechazada')
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(uut.JoinRequest, 'find').rejects(new Error('test error'))
+
+      const result = await uut.expire()
+
+      assert.equal(result, 0)
+    })
+  })
+})
@@ -0,0 +1,332 @@
+/*
+  Unit tests for the admin-commands.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BotLib = require('../../src/lib/bot')
+const AdminCommands = require('../../src/lib/admin-commands')
+let uut
+let bot
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#admin-commands.js', () => {
+  let sandbox
+
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId: 'fakeId' })
+    uut = new AdminCommands({ bot })
+
+    mockData = cloneDeep(mockDataLib)
+
+    sandbox = sinon.createSandbox()
+
+    // Resolve every chat to the mock room.
+    sandbox.stub(bot, 'getRoom').resolves(mockData.mockRoom)
+
+    // Prevent live calls to Telegram.
+    sandbox.stub(bot.bot, 'sendMessage').resolves({})
+    sandbox.stub(bot.bot, 'restrictChatMember').resolves(true)
+    sandbox
+      .stub(bot.bot, 'getChatAdministrators')
+      .resolves(mockData.mockChatAdmins)
+    sandbox.stub(bot, 'deleteBotSpam').returns()
+
+    // Prevent live calls to the database.
+    sandbox.stub(bot.TGUser, 'findOne').resolves(null)
+    sandbox.stub(bot.AuditEvent, 'create').resolves()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if bot instance is not passed', () => {
+      try {
+        uut = new AdminCommands()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of the Bot library must be passed when instantiating AdminCommands.'
+        )
+      }
+    })
+  })
+
+  describe('#_isChatAdmin', () => {
+    it('should return true for chat admins', async () => {
+      const result = await uut._isChatAdmin(mockData.mockAdminCmd)
+
+      assert.equal(result, true)
+    })
+
+    it('should return false for other users', async () => {
+      mockData.mockAdminCmd.from.id = 123
+
+      const result = await uut._isChatAdmin(mockData.mockAdminCmd)
+
+      assert.equal(result, false)
+    })
+
+    it('should return false in private chats', async () => {
+      mockData.mockAdminCmd.chat.type = 'private'
+
+      const result = await uut._isChatAdmin(mockData.mockAdminCmd)
+
+      assert.equal(result, false)
+    })
+
+    it('should return false if admins can not be retrieved', async () => {
+      bot.bot.getChatAdministrators.rejects(new Error('test error'))
+
+      const result = await uut._isChatAdmin(mockData.mockAdminCmd)
+
+      assert.equal(result, false)
+    })
+  })
+
+  describe('#_getTargetUser', () => {
+    it('should look up the user by username', async () => {
+      const findStub = bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+
+      await uut._getTargetUser(mockData.mockAdminCmd)
+
+      assert.deepEqual(findStub.args[0][0], { username: 'christroutner' })
+    })
+
+    it('should target the sender of a replied message', async () => {
+      mockData.mockAdminCmd.text = '/forceverify'
+      mockData.mockAdminCmd.reply_to_message = { from: { id: 123 } }
+      const findStub = bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+
+      await uut._getTargetUser(mockData.mockAdminCmd)
+
+      assert.deepEqual(findStub.args[0][0], { tgId: 123 })
+    })
+
+    it('should target the user of a text mention', async () => {
+      mockData.mockAdminCmd.text = '/forceverify Chris'
+      mockData.mockAdminCmd.entities.push({
+        offset: 13,
+        length: 5,
+        type: 'text_mention',
+        user: { id: 456 }
+      })
+      const findStub = bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+
+      await uut._getTargetUser(mockData.mockAdminCmd)
+
+      assert.deepEqual(findStub.args[0][0], { tgId: 456 })
+    })
+
+    it('should return null if no user is given', async () => {
+      mockData.mockAdminCmd.text = '/forceverify'
+
+      const result = await uut._getTargetUser(mockData.mockAdminCmd)
+
+      assert.equal(result, null)
+    })
+  })
+
+  describe('#forceVerify', () => {
+    it('should refuse non-admins', async () => {
+      mockData.mockAdminCmd.from.id = 123
+
+      const result = await uut.forceVerify(mockData.mockAdminCmd)
+
+      assert.equal(result, 0)
+      assert.include(bot.bot.sendMessage.args[0][1], 'Only chat admins')
+    })
+
+    it('should report users that are not found', async () => {
+      bot.TGUser.findOne.resolves(null)
+
+      const result = await uut.forceVerify(mockData.mockAdminCmd)
+
+      assert.equal(result, 0)
+      assert.include(bot.bot.sendMessage.args[0][1], 'User not found')
+    })
+
+    it('should verify the user', async () => {
+      bot.TGUser.findOne.resolves(mockData.mockUnverifiedUser)
+
+      const result = await uut.forceVerify(mockData.mockAdminCmd)
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockUnverifiedUser.rooms[0].hasVerified, true)
+    })
+
+    it('should let a member below the lowest tier speak', async () => {
+      mockData.mockUnverifiedUser.rooms = [
+        { chatId: mockData.mockRoom.chatId, merit: 100 }
+      ]
+      bot.TGUser.findOne.resolves(mockData.mockUnverifiedUser)
+      const deleteStub = sandbox.stub(bot.bot, 'deleteMessage').resolves()
+
+      await uut.forceVerify(mockData.mockAdminCmd)
+      const result = await bot.processMsg(mockData.mockMsg)
+
+      assert.equal(mockData.mockUnverifiedUser.rooms[0].tier, 'member')
+      assert.equal(result, 3)
+      assert.isTrue(deleteStub.notCalled)
+    })
+
+    it('should record the command in the audit trail', async () => {
+      bot.TGUser.findOne.resolves(mockData.mockUnverifiedUser)
+
+      await uut.forceVerify(mockData.mockAdminCmd)
+
+      const event = bot.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'admin-forceverify')
+      assert.equal(event.actorTgId, mockData.mockAdminCmd.from.id)
+      assert.equal(event.subjectTgId, mockData.mockUnverifiedUser.tgId)
+      assert.equal(event.chatId, mockData.mockAdminCmd.chat.id)
+    })
+  })
+
+  describe('#unverify', () => {
+    it('should unverify the user', async () => {
+      mockData.mockAdminCmd.text = '/unverify @christroutner'
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.unverify(mockData.mockAdminCmd)
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].hasVerified, false)
+      assert.equal(bot.AuditEvent.create.args[0][0].type, 'admin-unverify')
+    })
+  })
+
+  describe('#exempt', () => {
+    it('should exempt the user', async () => {
+      mockData.mockAdminCmd.text = '/exempt @christroutner'
+      bot.TGUser.findOne.resolves(mockData.mockUnverifiedUser)
+
+      const result = await uut.exempt(mockData.mockAdminCmd)
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockUnverifiedUser.rooms[0].exempt, true)
+      assert.equal(mockData.mockUnverifiedUser.rooms[0].hasVerified, true)
+
+      const event = bot.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'admin-exempt')
+      assert.equal(event.details.exempt, true)
+    })
+
+    it('should remove the exemption and reverify the user', async () => {
+      mockData.mockAdminCmd.text = '/exempt @christroutner off'
+      mockData.mockVerifiedUser.rooms[0].exempt = true
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+      const reverifyStub = sandbox.stub(bot, 'reverifyMerit').resolves(false)
+
+      const result = await uut.exempt(mockData.mockAdminCmd)
+
+      assert.equal(result, 1)
+      assert.equal(mockData.mockVerifiedUser.rooms[0].exempt, false)
+      assert.isTrue(reverifyStub.calledOnce)
+    })
+  })
+
+  describe('#recheck', () => {
+    it('should recalculate the merit of the user', async () => {
+      mockData.mockAdminCmd.text = '/recheck @christroutner'
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+      const invalidateStub = sandbox.stub(bot.bch, 'invalidateMerit')
+      const reverifyStub = sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      const result = await uut.recheck(mockData.mockAdminCmd)
+
+      assert.equal(result, 1)
+      assert.isTrue(reverifyStub.calledOnce)
+      assert.isTrue(invalidateStub.calledBefore(reverifyStub))
+      assert.include(bot.bot.sendMessage.args[0][1], 'is verified')
+      assert.equal(bot.AuditEvent.create.args[0][0].type, 'admin-recheck')
+    })
+
+    it('should not disclose the merit of a member who hides it', async () => {
+      mockData.mockAdminCmd.text = '/recheck @christroutner'
+      mockData.mockVerifiedUser.privacy = { merit: 'hidden' }
+      mockData.mockVerifiedUser.rooms[0].merit = 123456
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      await uut.recheck(mockData.mockAdminCmd)
+
+      const reply = bot.bot.sendMessage.args[0][1]
+      assert.include(reply, 'is verified. Their merit is hidden.')
+      assert.notInclude(reply, '123456')
+    })
+
+    it('should round the merit of a member who chose bucket', async () => {
+      mockData.mockAdminCmd.text = '/recheck @christroutner'
+      mockData.mockVerifiedUser.privacy = { merit: 'bucket' }
+      mockData.mockVerifiedUser.rooms[0].merit = 123456
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+      sandbox.stub(bot, 'reverifyMerit').resolves(true)
+
+      await uut.recheck(mockData.mockAdminCmd)
+
+      assert.include(bot.bot.sendMessage.args[0][1], 'a merit of at least 100000')
+    })
+
+    it('should reply in the language of the admin', async () => {
+      mockData.mockAdminCmd.text = '/recheck @christroutner'
+      mockData.mockAdminCmd.from.language_code = 'es'
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+      sandbox.stub(bot, 'reverifyMerit').resolves(false)
+
+      await uut.recheck(mockData.mockAdminCmd)
+
+      assert.include(bot.bot.sendMessage.args[0][1], 'y no está verificado')
+    })
+
+    it('should catch and report errors', async () => {
+      bot.TGUser.findOne.rejects(new Error('test error'))
+
+      const result = await uut.recheck(mockData.mockAdminCmd)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#setThreshold', () => {
+    it('should update the threshold of the room', async () => {
+      mockData.mockAdminCmd.text = '/setthreshold 5000'
+      const updateStub = sandbox.stub(bot.Room, 'findOneAndUpdate').resolves({})
+
+      const result = await uut.setThreshold(mockData.mockAdminCmd)
+
+      assert.equal(result, 2)
+      assert.equal(updateStub.args[0][1].$set.threshold, 5000)
+      assert.equal(updateStub.args[0][1].$setOnInsert.threshold, undefined)
+
+      const event = bot.AuditEvent.create.args[0][0]
+      assert.equal(event.type, 'admin-setthreshold')
+      assert.equal(event.details.threshold, 5000)
+    })
+
+    it('should reject an invalid threshold', async () => {
+      mockData.mockAdminCmd.text = '/setthreshold lots'
+      const updateStub = sandbox.stub(bot.Room, 'findOneAndUpdate').resolves({})
+
+      const result = await uut.setThreshold(mockData.mockAdminCmd)
+
+      assert.equal(result, 1)
+      assert.isTrue(updateStub.notCalled)
+    })
+
+    it('should refuse non-admins', async () => {
+      mockData.mockAdminCmd.text = '/setthreshold 5000'
+      mockData.mockAdminCmd.from.id = 123
+
+      const result = await uut.setThreshold(mockData.mockAdminCmd)
+
+      assert.equal(result, 0)
+    })
+  })
+})
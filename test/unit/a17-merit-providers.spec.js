@@ -0,0 +1,113 @@
+/*
+  Unit tests for the merit providers.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BCHLib = require('../../src/lib/bch')
+const { createProvider } = require('../../src/lib/merit-providers')
+let bch
+let uut
+
+const mockDataLib = require('./mocks/merit-providers-mock')
+let mockData
+
+const slpAddr = 'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh'
+
+describe('#merit-providers', () => {
+  let sandbox
+
+  beforeEach(() => {
+    bch = new BCHLib()
+
+    mockData = cloneDeep(mockDataLib)
+
+    sandbox = sinon.createSandbox()
+
+    // Prevent live network calls.
+    sandbox.stub(bch.wallet, 'getUtxos').resolves(mockData.mockUtxos)
+  })
+
+  afterEach(() => sandbox.restore())
+
+  function getDeps () {
+    return { wallet: bch.wallet, bchjs: bch.bchjs, bchMerit: bch.bchMerit }
+  }
+
+  describe('#createProvider', () => {
+    it('should throw error for an unknown provider', () => {
+      try {
+        createProvider('bad-provider', getDeps())
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Unknown merit provider 'bad-provider'")
+      }
+    })
+  })
+
+  describe('#aged-merit', () => {
+    it('should return the aged merit of the address', async () => {
+      uut = createProvider('aged-merit', getDeps())
+      sandbox.stub(bch.bchMerit.merit, 'agMerit').resolves(50)
+
+      const result = await uut.getMerit(slpAddr, mockData.tokenId)
+
+      assert.equal(result, 50)
+    })
+  })
+
+  describe('#token-balance', () => {
+    it('should sum the token quantity of matching UTXOs', async () => {
+      uut = createProvider('token-balance', getDeps())
+
+      const result = await uut.getMerit(slpAddr, mockData.tokenId)
+
+      assert.equal(result, 20)
+    })
+
+    it('should throw error if token ID is not specified', async () => {
+      try {
+        uut = createProvider('token-balance', getDeps())
+
+        await uut.getMerit(slpAddr)
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'tokenId must be specified!')
+      }
+    })
+  })
+
+  describe('#bch-balance', () => {
+    it('should sum the value of BCH UTXOs', async () => {
+      uut = createProvider('bch-balance', getDeps())
+
+      const result = await uut.getMerit(slpAddr, mockData.tokenId)
+
+      assert.equal(result, 125000)
+    })
+  })
+
+  describe('#nft-group', () => {
+    it('should count the NFTs of the group', async () => {
+      uut = createProvider('nft-group', getDeps())
+
+      const result = await uut.getMerit(slpAddr, mockData.tokenId)
+
+      assert.equal(result, 1)
+    })
+
+    it('should return 0 if the address holds no NFTs of the group', async () => {
+      mockData.mockUtxos.slpUtxos.nft.tokens = []
+      bch.wallet.getUtxos.resolves(mockData.mockUtxos)
+      uut = createProvider('nft-group', getDeps())
+
+      const result = await uut.getMerit(slpAddr, mockData.tokenId)
+
+      assert.equal(result, 0)
+    })
+  })
+})
@@ -0,0 +1,126 @@
+/*
+  Unit tests for the merit-queue.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+const MeritQueue = require('../../src/lib/merit-queue')
+let uut
+let lookup
+
+const tokenId =
+  '38e97c5d7d3585a2cbf3f9580c82ca33985f9cb0845d4dcce220cb709f9538b0'
+const slpAddr = 'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh'
+const slpAddr2 = 'simpleledger:qzz5tft0pssynhqa2297q2583dmjdql5fvnpr3fjl2'
+
+describe('#merit-queue.js', () => {
+  let sandbox
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    lookup = sandbox.stub().resolves(50)
+    uut = new MeritQueue({ lookup })
+    uut.MIN_INTERVAL = 1
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if lookup function is not passed', () => {
+      try {
+        uut = new MeritQueue()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Lookup function must be passed when instantiating MeritQueue.'
+        )
+      }
+    })
+  })
+
+  describe('#get', () => {
+    it('should look up and cache the merit', async () => {
+      const result1 = await uut.get(slpAddr, tokenId)
+      const result2 = await uut.get(slpAddr, tokenId)
+
+      assert.equal(result1, 50)
+      assert.equal(result2, 50)
+      assert.isTrue(lookup.calledOnce)
+
+      const stats = uut.getStats()
+      assert.equal(stats.hits, 1)
+      assert.equal(stats.misses, 1)
+    })
+
+    it('should look up the merit again after the cache expires', async () => {
+      uut.CACHE_TTL = -1
+
+      await uut.get(slpAddr, tokenId)
+      await uut.get(slpAddr, tokenId)
+
+      assert.isTrue(lookup.calledTwice)
+      assert.equal(uut.getStats().misses, 2)
+    })
+
+    it('should share concurrent lookups of the same address', async () => {
+      const results = await Promise.all([
+        uut.get(slpAddr, tokenId),
+        uut.get(slpAddr, tokenId)
+      ])
+
+      assert.deepEqual(results, [50, 50])
+      assert.isTrue(lookup.calledOnce)
+      assert.equal(uut.getStats().deduplicated, 1)
+    })
+
+    it('should not cache failed lookups', async () => {
+      lookup.onFirstCall().rejects(new Error('test error'))
+
+      try {
+        await uut.get(slpAddr, tokenId)
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+
+      const result = await uut.get(slpAddr, tokenId)
+
+      assert.equal(result, 50)
+      assert.equal(uut.getStats().errors, 1)
+    })
+
+    it('should limit the number of concurrent lookups', async () => {
+      uut.CONCURRENCY = 1
+
+      let active = 0
+      let maxActive = 0
+      lookup.callsFake(async () => {
+        active++
+        maxActive = Math.max(maxActive, active)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        active--
+        return 50
+      })
+
+      await Promise.all([uut.get(slpAddr, tokenId), uut.get(slpAddr2, tokenId)])
+
+      assert.equal(maxActive, 1)
+      assert.isTrue(lookup.calledTwice)
+    })
+  })
+
+  describe('#invalidate', () => {
+    it('should remove the cached merit', async () => {
+      await uut.get(slpAddr, tokenId)
+      uut.invalidate(slpAddr, tokenId)
+      await uut.get(slpAddr, tokenId)
+
+      assert.isTrue(lookup.calledTwice)
+    })
+  })
+})
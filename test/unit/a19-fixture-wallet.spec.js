@@ -0,0 +1,113 @@
+/*
+  Unit tests for the fixture-wallet.js library.
+*/
+
+const assert = require('chai').assert
+const BCHJS = require('@psf/bch-js')
+
+const BCHLib = require('../../src/lib/bch')
+const FixtureWallet = require('../../src/lib/fixture-wallet')
+let uut
+
+const fixtureFile = `${__dirname}/../../config/bch-fixture.json`
+const tokenId =
+  '38e97c5d7d3585a2cbf3f9580c82ca33985f9cb0845d4dcce220cb709f9538b0'
+const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+const slpAddr = 'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh'
+// A valid address that is not in the fixture.
+const unknownAddr = 'simpleledger:qqwdsp3jz9eu6vaxjc06v6tj9kecnfd03vfjl69ehw'
+
+describe('#fixture-wallet.js', () => {
+  beforeEach(() => {
+    uut = new FixtureWallet({ fixtureFile, bchjs: new BCHJS() })
+  })
+
+  describe('#constructor', () => {
+    it('should throw error if fixture file is not passed', () => {
+      try {
+        uut = new FixtureWallet()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Path to the fixture file must be passed when instantiating FixtureWallet.'
+        )
+      }
+    })
+
+    it('should throw error if bch-js is not passed', () => {
+      try {
+        uut = new FixtureWallet({ fixtureFile })
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of bch-js must be passed when instantiating FixtureWallet.'
+        )
+      }
+    })
+  })
+
+  describe('#getUtxos', () => {
+    it('should return the UTXOs of an SLP address', async () => {
+      const result = await uut.getUtxos(slpAddr)
+
+      assert.equal(result.address, bchAddr)
+      assert.equal(result.bchUtxos.length, 1)
+      assert.equal(result.slpUtxos.type1.tokens.length, 1)
+    })
+
+    it('should return empty UTXOs for unknown addresses', async () => {
+      const result = await uut.getUtxos(unknownAddr)
+
+      assert.deepEqual(result.bchUtxos, [])
+      assert.deepEqual(result.slpUtxos.nft.tokens, [])
+    })
+  })
+
+  describe('#getBalance', () => {
+    it('should sum the value of BCH UTXOs', async () => {
+      const result = await uut.getBalance({ bchAddress: bchAddr })
+
+      assert.equal(result, 100000)
+    })
+  })
+
+  describe('#getMerit', () => {
+    it('should return the merit of an address', async () => {
+      const result = await uut.merit.agMerit(slpAddr, tokenId)
+
+      assert.equal(result, 50000)
+    })
+
+    it('should return 0 for unknown addresses', async () => {
+      const result = await uut.getMerit(unknownAddr, tokenId)
+
+      assert.equal(result, 0)
+    })
+  })
+
+  describe('#bch.js with fixture interface', () => {
+    it('should calculate merit from the fixture', async () => {
+      const bch = new BCHLib({ interface: 'fixture', fixtureFile })
+
+      const result = await bch.getMerit([slpAddr], tokenId)
+
+      assert.equal(result, 50000)
+    })
+
+    it('should work with other merit providers', async () => {
+      const bch = new BCHLib({
+        interface: 'fixture',
+        fixtureFile,
+        meritProvider: 'token-balance'
+      })
+
+      const result = await bch.getMerit([slpAddr], tokenId)
+
+      assert.equal(result, 20)
+    })
+  })
+})
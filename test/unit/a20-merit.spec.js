@@ -0,0 +1,137 @@
+const testUtils = require('./utils')
+const assert = require('chai').assert
+const config = require('../../config')
+const axios = require('axios').default
+const sinon = require('sinon')
+
+const LOCALHOST = `http://localhost:${config.port}`
+
+const context = {}
+
+const MeritController = require('../../src/modules/merit/controller')
+const MeritSnapshot = require('../../src/models/merit-snapshot')
+let uut
+let sandbox
+
+const mockContext = require('./mocks/ctx-mock').context
+
+const tgId = 649043967
+const chatId = -1001337281108
+
+describe('Merit', () => {
+  before(async () => {
+    // Get the JWT used to log in as the admin 'system' user.
+    context.adminJWT = await testUtils.getAdminJWT()
+
+    // Get the JWT of a regular user.
+    const testUser = await testUtils.loginTestUser()
+    context.userJWT = testUser.token
+
+    await MeritSnapshot.deleteMany({ tgId })
+    await MeritSnapshot.create([
+      { tgId, chatId, merit: 100, reason: 'verify', timestamp: new Date('2021-03-01') },
+      { tgId, chatId, merit: 120, reason: 'sweep', timestamp: new Date('2021-03-02') },
+      { tgId, chatId: -100, merit: 5, reason: 'verify', timestamp: new Date('2021-03-03') }
+    ])
+  })
+
+  after(async () => {
+    await MeritSnapshot.deleteMany({ tgId })
+  })
+
+  beforeEach(() => {
+    uut = new MeritController()
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('GET /merit/:tgId', () => {
+    it('should not fetch history if the user is not an admin', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/merit/${tgId}`,
+          headers: {
+            Authorization: `Bearer ${context.userJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 401)
+      }
+    })
+
+    it('should return the merit history oldest first', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/merit/${tgId}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgId, tgId)
+      assert.equal(result.data.history.length, 3)
+      assert.equal(result.data.history[0].merit, 100)
+      assert.equal(result.data.history[1].reason, 'sweep')
+    })
+
+    it('should filter the history by room and date', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/merit/${tgId}?chatId=${chatId}&from=2021-03-02`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.history.length, 1)
+      assert.equal(result.data.history[0].merit, 120)
+    })
+
+    it('should throw 422 for an invalid date', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/merit/${tgId}?from=notadate`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, 'from must be a date')
+      }
+    })
+
+    it('should throw 422 on database errors', async () => {
+      try {
+        sandbox.stub(uut.MeritSnapshot, 'find').throws(new Error('test error'))
+
+        const ctx = mockContext()
+        ctx.params = { tgId: String(tgId) }
+        ctx.query = {}
+
+        await uut.getHistory(ctx)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.status, 422)
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+})
@@ -0,0 +1,227 @@
+/*
+  Unit tests for the leaderboard.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BotLib = require('../../src/lib/bot')
+const Leaderboard = require('../../src/lib/leaderboard')
+let uut
+let bot
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#leaderboard.js', () => {
+  let sandbox
+  let users
+
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId: 'fakeId' })
+    uut = new Leaderboard({ bot })
+
+    mockData = cloneDeep(mockDataLib)
+
+    sandbox = sinon.createSandbox()
+
+    // Two verified members. Only the second one opted in.
+    const member1 = cloneDeep(mockData.mockVerifiedUser)
+    member1.tgId = 1
+    member1.username = 'member1'
+    member1.rooms[0].merit = 50000
+    member1.rooms[0].tier = 'member'
+
+    const member2 = cloneDeep(mockData.mockVerifiedUser)
+    member2.tgId = 2
+    member2.username = 'member2'
+    member2.privacy = { leaderboard: true }
+    member2.rooms[0].merit = 120000
+    member2.rooms[0].tier = 'vip'
+
+    users = [member1, member2]
+
+    sandbox.stub(bot, 'getRoom').resolves(mockData.mockRoom)
+    sandbox.stub(bot.TGUser, 'find').resolves(users)
+    sandbox.stub(bot.TGUser, 'findOne').resolves(null)
+    sandbox.stub(bot.MeritSnapshot, 'aggregate').resolves([])
+
+    // Prevent live calls to Telegram.
+    sandbox.stub(bot.bot, 'sendMessage').resolves({})
+    sandbox.stub(bot.bot, 'editMessageText').resolves({})
+    sandbox.stub(bot.bot, 'answerCallbackQuery').resolves(true)
+    sandbox.stub(bot, 'deleteBotSpam').returns()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if bot instance is not passed', () => {
+      try {
+        uut = new Leaderboard()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of the Bot library must be passed when instantiating Leaderboard.'
+        )
+      }
+    })
+  })
+
+  describe('#getRanking', () => {
+    it('should rank members by merit and hide members who did not opt in', async () => {
+      const result = await uut.getRanking(mockData.mockRoom)
+
+      assert.equal(result.length, 2)
+      assert.equal(result[0].rank, 1)
+      assert.equal(result[0].name, 'member2')
+      assert.equal(result[0].tier, 'vip')
+      assert.equal(result[1].name, '')
+      assert.equal(result[1].merit, 50000)
+    })
+
+    it('should calculate the rank change since the start of the period', async () => {
+      bot.MeritSnapshot.aggregate.resolves([
+        { _id: 1, merit: 60000 },
+        { _id: 2, merit: 40000 }
+      ])
+
+      const result = await uut.getRanking(mockData.mockRoom)
+
+      assert.equal(result[0].rankChange, 1)
+      assert.equal(result[1].rankChange, -1)
+    })
+
+    it('should mark members that were not ranked before as new', async () => {
+      const result = await uut.getRanking(mockData.mockRoom)
+
+      assert.equal(result[0].rankChange, null)
+    })
+  })
+
+  describe('#formatPage', () => {
+    it('should show the totals of all members', async () => {
+      const ranking = await uut.getRanking(mockData.mockRoom)
+
+      const result = uut.formatPage(ranking, 0, 1)
+
+      assert.include(result.text, '2 verified members with a total merit of 170000')
+      assert.include(result.text, '1. member2 (vip): 120000 (new)')
+      assert.notInclude(result.text, 'Anonymous member')
+    })
+
+    it('should not show the merit of members who hide it', async () => {
+      // The member who opted in by name hides their merit.
+      users[1].privacy.merit = 'hidden'
+      const ranking = await uut.getRanking(mockData.mockRoom)
+
+      const result = uut.formatPage(ranking, 0, 10)
+
+      assert.include(result.text, '1. member2 (vip): merit hidden (new)')
+      assert.include(result.text, 'a total merit of at least 50000')
+      assert.notInclude(result.text, '120000')
+      assert.notInclude(result.text, '170000')
+    })
+
+    it('should round the merit of members who chose bucket', async () => {
+      users[1].privacy.merit = 'bucket'
+      const ranking = await uut.getRanking(mockData.mockRoom)
+
+      const result = uut.formatPage(ranking, 0, 10)
+
+      assert.include(result.text, '1. member2 (vip): at least 100000 (new)')
+      assert.include(result.text, 'a total merit of at least 150000')
+      assert.notInclude(result.text, '120000')
+    })
+
+    it('should translate the leaderboard', async () => {
+      users[1].privacy.merit = 'bucket'
+      const ranking = await uut.getRanking(mockData.mockRoom, 'es')
+
+      const result = uut.formatPage(ranking, 0, 1, 'es')
+
+      assert.include(result.text, 'Clasificación (página 1 de 2)')
+      assert.include(result.text, '1. member2 (vip): al menos 100000 (nuevo)')
+      assert.equal(result.replyMarkup.inline_keyboard[0][0].text, 'Siguiente ▶')
+    })
+
+    it('should add pagination buttons', async () => {
+      const ranking = await uut.getRanking(mockData.mockRoom)
+
+      const page1 = uut.formatPage(ranking, 0, 1)
+      const page2 = uut.formatPage(ranking, 1, 1)
+
+      assert.equal(page1.replyMarkup.inline_keyboard[0].length, 1)
+      assert.equal(page1.replyMarkup.inline_keyboard[0][0].callback_data, 'lb:1:1')
+      assert.equal(page2.replyMarkup.inline_keyboard[0][0].callback_data, 'lb:0:1')
+      assert.include(page2.text, '2. Anonymous member (member): 50000')
+    })
+
+    it('should not add buttons if everything fits on one page', async () => {
+      const ranking = await uut.getRanking(mockData.mockRoom)
+
+      const result = uut.formatPage(ranking, 0, 10)
+
+      assert.deepEqual(result.replyMarkup.inline_keyboard, [])
+    })
+  })
+
+  describe('#show', () => {
+    it('should send the first page of the leaderboard', async () => {
+      mockData.mockMsg.text = '/leaderboard 1'
+
+      const result = await uut.show(mockData.mockMsg)
+
+      assert.equal(result, 1)
+      assert.include(bot.bot.sendMessage.args[0][1], 'page 1 of 2')
+    })
+
+    it('should reject an invalid number of entries', async () => {
+      mockData.mockMsg.text = '/leaderboard many'
+
+      const result = await uut.show(mockData.mockMsg)
+
+      assert.equal(result, 0)
+      assert.include(bot.bot.sendMessage.args[0][1], 'Usage: /leaderboard')
+    })
+
+    it('should opt the user in', async () => {
+      mockData.mockMsg.text = '/leaderboard on'
+      bot.TGUser.findOne.resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.show(mockData.mockMsg)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockVerifiedUser.privacy.leaderboard, true)
+    })
+
+    it('should catch and report errors', async () => {
+      mockData.mockMsg.text = '/leaderboard'
+      bot.TGUser.find.rejects(new Error('test error'))
+
+      const result = await uut.show(mockData.mockMsg)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#handleCallback', () => {
+    it('should show the requested page', async () => {
+      const query = {
+        id: 'query1',
+        data: 'lb:1:1',
+        message: { message_id: 5, chat: { id: mockData.mockRoom.chatId } }
+      }
+
+      const result = await uut.handleCallback(query)
+
+      assert.equal(result, true)
+      assert.include(bot.bot.editMessageText.args[0][0], 'page 2 of 2')
+      assert.equal(bot.bot.editMessageText.args[0][1].message_id, 5)
+      assert.isTrue(bot.bot.answerCallbackQuery.calledOnce)
+    })
+  })
+})
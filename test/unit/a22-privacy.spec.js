@@ -0,0 +1,274 @@
+/*
+  Unit tests for the privacy.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BotLib = require('../../src/lib/bot')
+const Privacy = require('../../src/lib/privacy')
+let uut
+let bot
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#privacy.js', () => {
+  let sandbox
+  let privateMsg
+
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId: 'fakeId' })
+    uut = new Privacy({ bot })
+
+    mockData = cloneDeep(mockDataLib)
+
+    // The /privacy command sent in a private chat with the bot.
+    privateMsg = cloneDeep(mockData.mockHelpCmd)
+    privateMsg.chat = { id: privateMsg.from.id, type: 'private' }
+    privateMsg.text = '/privacy'
+
+    sandbox = sinon.createSandbox()
+
+    // Prevent live calls to Telegram.
+    sandbox.stub(bot, 'deleteBotSpam').returns()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if bot instance is not passed', () => {
+      try {
+        uut = new Privacy()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of the Bot library must be passed when instantiating Privacy.'
+        )
+      }
+    })
+  })
+
+  describe('#command', () => {
+    it('should refuse the command outside of a private chat', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      const findStub = sandbox.stub(bot.TGUser, 'findOne').resolves(null)
+      privateMsg.chat = mockData.mockHelpCmd.chat
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 0)
+      assert.isTrue(findStub.notCalled)
+      assert.include(sendStub.args[0][1], 'private message')
+    })
+
+    it('should return 0 if the user is not found', async () => {
+      sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      sandbox.stub(bot.TGUser, 'findOne').resolves(null)
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 0)
+    })
+
+    it('should show the current settings', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 1)
+      assert.include(sendStub.args[0][1], '- merit exact')
+      assert.include(sendStub.args[0][1], '- list on')
+      assert.include(sendStub.args[0][1], '- dm on')
+      assert.include(sendStub.args[0][1], '- leaderboard off')
+    })
+
+    it('should change the merit visibility', async () => {
+      sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      privateMsg.text = '/privacy merit bucket'
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockVerifiedUser.privacy.merit, 'bucket')
+    })
+
+    it('should change the list setting', async () => {
+      sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      privateMsg.text = '/privacy list off'
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 2)
+      assert.equal(mockData.mockVerifiedUser.privacy.listed, false)
+    })
+
+    it('should reject invalid values', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      privateMsg.text = '/privacy merit everyone'
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 0)
+      assert.include(sendStub.args[0][1], 'must be exact, bucket or hidden')
+    })
+
+    it('should reject unknown settings', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+      privateMsg.text = '/privacy color blue'
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, 0)
+      assert.include(sendStub.args[0][1], "Unknown setting 'color'")
+    })
+
+    it('should reply in the language of the user', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      mockData.mockVerifiedUser.language = 'es'
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockVerifiedUser)
+
+      await uut.command(privateMsg)
+
+      assert.include(sendStub.args[0][1], 'Tu configuración de privacidad:')
+      assert.include(sendStub.args[0][1], '- merit exact')
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.command(privateMsg)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#getSettings', () => {
+    it('should use defaults for users without settings', () => {
+      const result = uut.getSettings({})
+
+      assert.deepEqual(result, {
+        merit: 'exact',
+        listed: true,
+        dm: true,
+        leaderboard: false
+      })
+    })
+
+    it('should keep settings that were changed', () => {
+      const result = uut.getSettings({ privacy: { listed: false } })
+
+      assert.equal(result.listed, false)
+      assert.equal(result.merit, 'exact')
+    })
+  })
+
+  describe('#formatMerit', () => {
+    it('should show the exact merit by default', () => {
+      assert.equal(uut.formatMerit({}, 12345), '12345')
+    })
+
+    it('should round the merit to a bucket', () => {
+      const tgUser = { privacy: { merit: 'bucket' } }
+
+      assert.equal(uut.formatMerit(tgUser, 12345), 'at least 10000')
+    })
+
+    it('should return null for hidden merit', () => {
+      const tgUser = { privacy: { merit: 'hidden' } }
+
+      assert.equal(uut.formatMerit(tgUser, 12345), null)
+    })
+  })
+
+  describe('#toBucket', () => {
+    it('should round down to one significant digit', () => {
+      assert.equal(uut.toBucket(94), 90)
+      assert.equal(uut.toBucket(35000), 30000)
+      assert.equal(uut.toBucket(123456.7), 100000)
+    })
+
+    it('should handle small merit', () => {
+      assert.equal(uut.toBucket(7.5), 7)
+      assert.equal(uut.toBucket(0), 0)
+    })
+  })
+
+  describe('#replyPrivately', () => {
+    it('should send the message privately and post a notice in the room', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      const msg = mockData.mockHelpCmd
+
+      await uut.replyPrivately(msg, {}, 'private', 'public')
+
+      assert.equal(sendStub.args[0][0], msg.from.id)
+      assert.equal(sendStub.args[0][1], `@${msg.from.username} private`)
+      assert.equal(sendStub.args[1][0], msg.chat.id)
+      assert.include(sendStub.args[1][1], 'private message')
+    })
+
+    it('should not mention the user if asked not to', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      const msg = mockData.mockHelpCmd
+
+      await uut.replyPrivately(msg, {}, 'private', 'public', { mention: false })
+
+      assert.equal(sendStub.args[0][1], 'private')
+    })
+
+    it('should mention users without a username by text mention', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      const msg = mockData.mockHelpCmd
+      delete msg.from.username
+
+      await uut.replyPrivately(msg, {}, 'private', 'public')
+
+      const entities = JSON.parse(sendStub.args[1][2].entities)
+      assert.equal(entities[0].type, 'text_mention')
+      assert.equal(entities[0].user.id, msg.from.id)
+      assert.equal(
+        sendStub.args[1][1].substr(entities[0].offset, entities[0].length),
+        msg.from.first_name
+      )
+    })
+
+    it('should post the public message if the private one fails', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage')
+      sendStub.onCall(0).rejects(new Error('403 Forbidden'))
+      sendStub.onCall(1).resolves({})
+      const msg = mockData.mockHelpCmd
+
+      await uut.replyPrivately(msg, {}, 'private', 'public')
+
+      assert.equal(sendStub.args[1][0], msg.chat.id)
+      assert.equal(sendStub.args[1][1], `@${msg.from.username} public`)
+    })
+
+    it('should post the public message if the user turned off dm', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+      const msg = mockData.mockHelpCmd
+
+      await uut.replyPrivately(msg, { privacy: { dm: false } }, 'private', 'public')
+
+      assert.isTrue(sendStub.calledOnce)
+      assert.equal(sendStub.args[0][1], `@${msg.from.username} public`)
+    })
+
+    it('should reply with the private message in a private chat', async () => {
+      const sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+
+      await uut.replyPrivately(privateMsg, {}, 'private', 'public')
+
+      assert.isTrue(sendStub.calledOnce)
+      assert.equal(sendStub.args[0][1], `@${privateMsg.from.username} private`)
+    })
+  })
+})
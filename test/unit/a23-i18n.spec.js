@@ -0,0 +1,186 @@
+/*
+  Unit tests for the i18n.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const path = require('path')
+
+const I18n = require('../../src/lib/i18n')
+let uut
+
+describe('#i18n.js', () => {
+  let sandbox
+
+  beforeEach(() => {
+    uut = new I18n()
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should load the catalogs in the locales directory', () => {
+      assert.include(uut.getLanguages(), 'en')
+      assert.include(uut.getLanguages(), 'es')
+    })
+
+    it('should throw error if the English catalog is missing', () => {
+      try {
+        uut = new I18n({ localesDir: path.join(__dirname, 'mocks') })
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Message catalog for the default language 'en' not found")
+      }
+    })
+  })
+
+  describe('#t', () => {
+    it('should translate a message', () => {
+      assert.equal(
+        uut.t('es', 'verifyFailed'),
+        'no se pudo verificar tu dirección.'
+      )
+    })
+
+    it('should replace placeholders', () => {
+      const result = uut.t('en', 'languageUnknown', { code: 'xx' })
+
+      assert.equal(result, "The language 'xx' is not available.")
+    })
+
+    it('should leave unknown placeholders in place', () => {
+      const result = uut.t('en', 'languageUnknown')
+
+      assert.include(result, '{code}')
+    })
+
+    it('should fall back to English for missing keys', () => {
+      uut.catalogs.es = { languageName: 'Español' }
+
+      assert.equal(uut.t('es', 'verifyFailed'), 'your address could not be verified.')
+    })
+
+    it('should fall back to English for unknown languages', () => {
+      assert.equal(uut.t('xx', 'verifyFailed'), 'your address could not be verified.')
+    })
+
+    it('should return the key if no catalog has it', () => {
+      assert.equal(uut.t('en', 'noSuchKey'), 'noSuchKey')
+    })
+
+    it('should prefer templates edited by admins', () => {
+      uut.templates = { en: { languageUnknown: 'No {code} here.' } }
+
+      assert.equal(uut.t('en', 'languageUnknown', { code: 'xx' }), 'No xx here.')
+    })
+  })
+
+  describe('#loadTemplates', () => {
+    it('should load the templates from the database', async () => {
+      sandbox
+        .stub(uut.MessageTemplate, 'find')
+        .resolves([{ name: 'verifyFailed', language: 'es', text: 'fallo.' }])
+
+      const result = await uut.loadTemplates()
+
+      assert.equal(result, 1)
+      assert.equal(uut.t('es', 'verifyFailed'), 'fallo.')
+    })
+
+    it('should keep the previous templates on errors', async () => {
+      uut.templates = { es: { verifyFailed: 'fallo.' } }
+      sandbox.stub(uut.MessageTemplate, 'find').rejects(new Error('test error'))
+
+      const result = await uut.loadTemplates()
+
+      assert.equal(result, false)
+      assert.equal(uut.t('es', 'verifyFailed'), 'fallo.')
+    })
+  })
+
+  describe('#start', () => {
+    it('should start and stop the refresh timer', () => {
+      uut.start()
+      assert.isOk(uut.timerHandle)
+
+      uut.stop()
+      assert.equal(uut.timerHandle, null)
+    })
+  })
+
+  describe('#getPlaceholders', () => {
+    it('should return the placeholders of a message', () => {
+      assert.deepEqual(uut.getPlaceholders('belowThreshold'), [
+        'merit',
+        'threshold'
+      ])
+    })
+  })
+
+  describe('#validateTemplate', () => {
+    it('should accept known placeholders', () => {
+      const result = uut.validateTemplate('demoted', 'en', 'merit: {merit}')
+
+      assert.equal(result, true)
+    })
+
+    it('should reject unknown placeholders', () => {
+      try {
+        uut.validateTemplate('demoted', 'en', 'balance: {balance}')
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Unknown placeholders in template 'demoted': {balance}")
+        assert.include(err.message, 'Valid placeholders are: {merit}')
+      }
+    })
+
+    it('should reject unknown templates', () => {
+      try {
+        uut.validateTemplate('noSuchKey', 'en', 'test')
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Unknown message template 'noSuchKey'")
+      }
+    })
+
+    it('should reject unknown languages', () => {
+      try {
+        uut.validateTemplate('demoted', 'xx', 'test')
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Unknown language 'xx'")
+      }
+    })
+  })
+
+  describe('#resolve', () => {
+    it('should prefer the language chosen by the user', () => {
+      const msg = { from: { language_code: 'en' } }
+
+      assert.equal(uut.resolve(msg, { language: 'es' }), 'es')
+    })
+
+    it('should use the language of the Telegram app', () => {
+      const msg = { from: { language_code: 'es-MX' } }
+
+      assert.equal(uut.resolve(msg, { language: '' }), 'es')
+    })
+
+    it('should default to English', () => {
+      assert.equal(uut.resolve({ from: { language_code: 'xx' } }), 'en')
+      assert.equal(uut.resolve(null, null), 'en')
+    })
+  })
+
+  describe('#getName', () => {
+    it('should return the name of a language', () => {
+      assert.equal(uut.getName('es'), 'Español')
+    })
+  })
+})
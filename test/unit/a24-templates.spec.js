@@ -0,0 +1,252 @@
+const testUtils = require('./utils')
+const assert = require('chai').assert
+const config = require('../../config')
+const axios = require('axios').default
+const sinon = require('sinon')
+
+const LOCALHOST = `http://localhost:${config.port}`
+
+const context = {}
+
+const TemplateController = require('../../src/modules/templates/controller')
+const MessageTemplate = require('../../src/models/message-template')
+let uut
+let sandbox
+
+const mockContext = require('./mocks/ctx-mock').context
+
+describe('Templates', () => {
+  before(async () => {
+    // Get the JWT used to log in as the admin 'system' user.
+    context.adminJWT = await testUtils.getAdminJWT()
+
+    // Get the JWT of a regular user.
+    const testUser = await testUtils.loginTestUser()
+    context.userJWT = testUser.token
+
+    await MessageTemplate.deleteMany({})
+  })
+
+  after(async () => {
+    await MessageTemplate.deleteMany({})
+  })
+
+  beforeEach(() => {
+    uut = new TemplateController()
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('GET /templates', () => {
+    it('should not list templates if the user is not an admin', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/templates`,
+          headers: {
+            Authorization: `Bearer ${context.userJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 401)
+      }
+    })
+
+    it('should list the default templates', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/templates`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      const demoted = result.data.templates.find(x => x.name === 'demoted')
+      assert.equal(demoted.language, 'en')
+      assert.equal(demoted.isCustom, false)
+      assert.deepEqual(demoted.placeholders, ['merit'])
+      assert.equal(demoted.text, demoted.defaultText)
+    })
+
+    it('should throw 422 for an unknown language', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/templates?language=xx`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, "Unknown language 'xx'")
+      }
+    })
+  })
+
+  describe('PUT /templates/:name', () => {
+    it('should not edit templates if the user is not an admin', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/templates/demoted`,
+          headers: {
+            Authorization: `Bearer ${context.userJWT}`
+          },
+          data: { template: { text: 'test' } }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 401)
+      }
+    })
+
+    it('should save a template', async () => {
+      const options = {
+        method: 'PUT',
+        url: `${LOCALHOST}/templates/demoted`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: {
+          template: { language: 'es', text: 'tu mérito es {merit}.' }
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.template.isCustom, true)
+      assert.equal(result.data.template.text, 'tu mérito es {merit}.')
+
+      const doc = await MessageTemplate.findOne({ name: 'demoted', language: 'es' })
+      assert.equal(doc.text, 'tu mérito es {merit}.')
+    })
+
+    it('should reject unknown placeholders', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/templates/demoted`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          },
+          data: { template: { text: 'your balance is {balance}.' } }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, 'Unknown placeholders')
+        assert.include(err.response.data, '{balance}')
+      }
+    })
+
+    it('should reject unknown template names', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/templates/noSuchTemplate`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          },
+          data: { template: { text: 'test' } }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, "Unknown message template 'noSuchTemplate'")
+      }
+    })
+  })
+
+  describe('GET /templates/:name', () => {
+    it('should return an edited template', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/templates/demoted?language=es`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.template.isCustom, true)
+      assert.equal(result.data.template.text, 'tu mérito es {merit}.')
+    })
+
+    it('should throw 404 for an unknown template', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/templates/noSuchTemplate`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 404)
+      }
+    })
+  })
+
+  describe('DELETE /templates/:name', () => {
+    it('should restore the default text', async () => {
+      const options = {
+        method: 'DELETE',
+        url: `${LOCALHOST}/templates/demoted?language=es`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.template.isCustom, false)
+
+      const doc = await MessageTemplate.findOne({ name: 'demoted', language: 'es' })
+      assert.equal(doc, null)
+    })
+
+    it('should throw 422 on database errors', async () => {
+      try {
+        sandbox.stub(uut.MessageTemplate, 'deleteOne').throws(new Error('test error'))
+
+        const ctx = mockContext()
+        ctx.params = { name: 'demoted' }
+        ctx.query = {}
+
+        await uut.deleteTemplate(ctx)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.status, 422)
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+})
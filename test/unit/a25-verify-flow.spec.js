@@ -0,0 +1,316 @@
+/*
+  Unit tests for the verify-flow.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
+
+const BotLib = require('../../src/lib/bot')
+const VerifyFlow = require('../../src/lib/verify-flow')
+let uut
+let bot
+
+const mockDataLib = require('./mocks/bot-mock')
+let mockData
+
+describe('#verify-flow.js', () => {
+  let sandbox
+  let privateMsg
+  let conversation
+  let sendStub
+
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId: 'fakeId' })
+    uut = new VerifyFlow({ bot })
+
+    mockData = cloneDeep(mockDataLib)
+
+    // A message sent in a private chat with the bot.
+    privateMsg = cloneDeep(mockData.mockHelpCmd)
+    privateMsg.chat = { id: privateMsg.from.id, type: 'private' }
+
+    conversation = {
+      _id: 'conversationId',
+      tgId: privateMsg.from.id,
+      chatId: privateMsg.chat.id,
+      step: 'address',
+      bchAddr: '',
+      save: async () => {}
+    }
+
+    sandbox = sinon.createSandbox()
+
+    // Prevent live calls to Telegram and the database.
+    sendStub = sandbox.stub(bot.bot, 'sendMessage').resolves({})
+    sandbox.stub(bot.bot, 'answerCallbackQuery').resolves(true)
+    sandbox.stub(bot.bot, 'editMessageReplyMarkup').resolves(true)
+    sandbox.stub(bot, '_getLanguage').resolves('en')
+    sandbox.stub(uut.VerifyConversation, 'deleteOne').resolves()
+    sandbox.stub(bot.challenge, 'create').resolves(mockData.mockChallenge)
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw error if bot instance is not passed', () => {
+      try {
+        uut = new VerifyFlow()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Instance of the Bot library must be passed when instantiating VerifyFlow.'
+        )
+      }
+    })
+  })
+
+  describe('#start', () => {
+    it('should ask for the address', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').resolves(mockData.mockUnverifiedUser)
+      const updateStub = sandbox
+        .stub(uut.VerifyConversation, 'findOneAndUpdate')
+        .resolves()
+      privateMsg.text = '/verify'
+
+      const result = await uut.start(privateMsg)
+
+      assert.equal(result, 1)
+      assert.equal(updateStub.args[0][1].$set.step, 'address')
+      assert.include(sendStub.args[0][1], 'Send me the BCH or SLP address')
+      assert.equal(
+        sendStub.args[0][2].reply_markup.inline_keyboard[0][0].callback_data,
+        'vf:cancel'
+      )
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(bot.TGUser, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.start(privateMsg)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#handleMessage', () => {
+    it('should ignore commands', async () => {
+      privateMsg.text = '/help'
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 0)
+    })
+
+    it('should ignore messages outside of a conversation', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(null)
+      privateMsg.text = 'hello'
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 0)
+    })
+
+    it('should reject an invalid address with retry and cancel buttons', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      privateMsg.text = 'notanaddress'
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 2)
+      assert.equal(conversation.step, 'address')
+      assert.include(sendStub.args[0][1], 'is not a valid BCH or SLP address')
+      const buttons = sendStub.args[0][2].reply_markup.inline_keyboard[0]
+      assert.equal(buttons[0].callback_data, 'vf:retry')
+      assert.equal(buttons[1].callback_data, 'vf:cancel')
+    })
+
+    it('should reject an address claimed by another user', async () => {
+      bot.ADDRESS_TRANSFER_POLICY = 'revoke'
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot, 'checkDupClaim').resolves('@otheruser')
+      privateMsg.text = mockData.mockVerifiedUser.addresses[0].bchAddr
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 2)
+      assert.include(sendStub.args[0][1], '@otheruser has already claimed')
+    })
+
+    it('should offer a retry if the claim can not be checked', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot, 'checkDupClaim').rejects(new Error('test error'))
+      sandbox.stub(bot.AuditEvent, 'create').resolves()
+      privateMsg.text = mockData.mockVerifiedUser.addresses[0].bchAddr
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 2)
+      assert.equal(conversation.step, 'address')
+      assert.include(sendStub.args[0][1], 'could not be checked right now')
+      const buttons = sendStub.args[0][2].reply_markup.inline_keyboard[0]
+      assert.equal(buttons[0].callback_data, 'vf:retry')
+      assert.equal(buttons[1].callback_data, 'vf:cancel')
+      assert.equal(
+        bot.AuditEvent.create.args[0][0].details.reason,
+        'claim-check-failed'
+      )
+    })
+
+    it('should accept a claimed address if claims can be transferred', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot, 'checkDupClaim').resolves('@otheruser')
+      privateMsg.text = mockData.mockVerifiedUser.addresses[0].bchAddr
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 3)
+      assert.equal(conversation.step, 'signature')
+    })
+
+    it('should show the text to sign for a valid address', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot, 'checkDupClaim').resolves(false)
+      privateMsg.text = mockData.mockVerifiedUser.addresses[0].bchAddr
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 3)
+      assert.equal(conversation.step, 'signature')
+      assert.equal(conversation.bchAddr, mockData.mockVerifiedUser.addresses[0].bchAddr)
+      assert.equal(sendStub.args[1][1], mockData.mockChallenge.text)
+    })
+
+    it('should report an expired challenge', async () => {
+      conversation.step = 'signature'
+      conversation.bchAddr = mockData.mockVerifiedUser.addresses[0].bchAddr
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      mockData.mockChallenge.expires = new Date('2020-01-01')
+      sandbox.stub(bot.challenge, 'getActive').resolves(mockData.mockChallenge)
+      privateMsg.text = 'signature'
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 4)
+      assert.include(sendStub.args[0][1], 'has expired')
+    })
+
+    it('should report a malformed signature', async () => {
+      conversation.step = 'signature'
+      conversation.bchAddr = mockData.mockVerifiedUser.addresses[0].bchAddr
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(bot.bch, 'verifyMsg').throws(new Error('Invalid signature length'))
+      privateMsg.text = 'garbage'
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 4)
+      assert.include(sendStub.args[0][1], 'does not look like a signature')
+    })
+
+    it('should report a signature that does not match', async () => {
+      conversation.step = 'signature'
+      conversation.bchAddr = mockData.mockVerifiedUser.addresses[0].bchAddr
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(bot.bch, 'verifyMsg').returns(false)
+      privateMsg.text = 'H+signature='
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 4)
+      assert.include(sendStub.args[0][1], 'does not match the address')
+    })
+
+    it('should hand a valid signature over to verifyUser()', async () => {
+      conversation.step = 'signature'
+      conversation.bchAddr = mockData.mockVerifiedUser.addresses[0].bchAddr
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      sandbox.stub(bot.challenge, 'getActive').resolves(mockData.mockChallenge)
+      sandbox.stub(bot.bch, 'verifyMsg').returns(true)
+      const verifyStub = sandbox.stub(bot, 'verifyUser').resolves(2)
+      privateMsg.text = 'H+signature='
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, 5)
+      assert.isTrue(uut.VerifyConversation.deleteOne.calledOnce)
+      assert.equal(
+        verifyStub.args[0][0].text,
+        `/verify ${conversation.bchAddr} H+signature=`
+      )
+    })
+
+    it('should catch and report errors', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').rejects(new Error('test error'))
+      privateMsg.text = 'hello'
+
+      const result = await uut.handleMessage(privateMsg)
+
+      assert.equal(result, undefined)
+    })
+  })
+
+  describe('#handleCallback', () => {
+    let query
+
+    beforeEach(() => {
+      query = {
+        id: 'q1',
+        from: privateMsg.from,
+        message: { message_id: 10, chat: privateMsg.chat },
+        data: 'vf:cancel'
+      }
+    })
+
+    it('should cancel the conversation', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+
+      const result = await uut.handleCallback(query)
+
+      assert.equal(result, 1)
+      assert.isTrue(uut.VerifyConversation.deleteOne.calledOnce)
+      assert.include(sendStub.args[0][1], 'Verification cancelled')
+    })
+
+    it('should issue a new challenge when retrying the signature step', async () => {
+      conversation.step = 'signature'
+      conversation.bchAddr = mockData.mockVerifiedUser.addresses[0].bchAddr
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(conversation)
+      query.data = 'vf:retry'
+
+      const result = await uut.handleCallback(query)
+
+      assert.equal(result, 2)
+      assert.isTrue(bot.challenge.create.calledOnce)
+      assert.equal(sendStub.args[1][1], mockData.mockChallenge.text)
+    })
+
+    it('should explain that no verification is in progress', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').resolves(null)
+
+      const result = await uut.handleCallback(query)
+
+      assert.equal(result, 0)
+      assert.include(sendStub.args[0][1], 'no verification in progress')
+    })
+
+    it('should return false on errors', async () => {
+      sandbox.stub(uut.VerifyConversation, 'findOne').rejects(new Error('test error'))
+
+      const result = await uut.handleCallback(query)
+
+      assert.equal(result, false)
+    })
+  })
+
+  describe('#isCallback', () => {
+    it('should recognize the buttons of the flow', () => {
+      assert.equal(uut.isCallback('vf:retry'), true)
+      assert.equal(uut.isCallback('lb:1:10'), false)
+    })
+  })
+})
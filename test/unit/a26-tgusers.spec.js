@@ -0,0 +1,532 @@
+const testUtils = require('./utils')
+const assert = require('chai').assert
+const config = require('../../config')
+const axios = require('axios').default
+const sinon = require('sinon')
+
+const LOCALHOST = `http://localhost:${config.port}`
+
+const context = {}
+
+const TgUserController = require('../../src/modules/tgusers/controller')
+const TGUser = require('../../src/models/tg-user')
+const BotLib = require('../../src/lib/bot')
+let uut
+let sandbox
+
+const mockContext = require('./mocks/ctx-mock').context
+
+const chatId = -1001337281108
+const verifiedId = 900000001
+const unverifiedId = 900000002
+const bchAddr = 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf'
+
+// Context of a request handled while the Telegram bot is running. The member
+// is not saved to the database.
+function botContext (bot, tgUser, body) {
+  const ctx = mockContext()
+  ctx.tgBot = { bot }
+  ctx.body = { tgUser }
+  ctx.request.body = body
+  tgUser.save = async () => {}
+
+  return ctx
+}
+
+describe('TgUsers', () => {
+  before(async () => {
+    // Get the JWT used to log in as the admin 'system' user.
+    context.adminJWT = await testUtils.getAdminJWT()
+
+    // Get the JWT of a regular user.
+    const testUser = await testUtils.loginTestUser()
+    context.userJWT = testUser.token
+
+    await TGUser.deleteMany({ tgId: { $in: [verifiedId, unverifiedId] } })
+    await TGUser.create([
+      {
+        tgId: verifiedId,
+        username: 'verified_member',
+        addresses: [{ bchAddr }],
+        rooms: [{ chatId, merit: 50000, hasVerified: true }]
+      },
+      {
+        tgId: unverifiedId,
+        username: 'unverified_member',
+        rooms: [{ chatId, merit: 10, hasVerified: false }]
+      }
+    ])
+  })
+
+  after(async () => {
+    await TGUser.deleteMany({ tgId: { $in: [verifiedId, unverifiedId] } })
+  })
+
+  beforeEach(() => {
+    uut = new TgUserController()
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  // The Bot library of the running Telegram bot, with live calls stubbed.
+  let bot
+  const room = { chatId, enforcement: 'restrict', threshold: 30000 }
+  beforeEach(() => {
+    bot = new BotLib({ token: 'fakeToken', chatId, polling: false })
+    sandbox.stub(bot, 'getRoom').resolves(room)
+    sandbox.stub(bot, '_setPermissions').resolves(true)
+    sandbox.stub(uut.audit, 'record').resolves()
+  })
+
+  describe('GET /tgusers', () => {
+    it('should not list members if the user is not an admin', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/tgusers`,
+          headers: {
+            Authorization: `Bearer ${context.userJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 401)
+      }
+    })
+
+    it('should filter members by verification state and merit', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/tgusers?chatId=${chatId}&verified=true&minMerit=40000`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      const tgIds = result.data.tgUsers.map(x => x.tgId)
+      assert.include(tgIds, verifiedId)
+      assert.notInclude(tgIds, unverifiedId)
+    })
+
+    it('should filter members by address', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/tgusers?address=${bchAddr}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUsers.length, 1)
+      assert.equal(result.data.tgUsers[0].tgId, verifiedId)
+    })
+
+    it('should throw 422 for invalid filters', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/tgusers?maxMerit=lots`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, 'maxMerit must be a number')
+      }
+    })
+  })
+
+  describe('GET /tgusers/:tgId', () => {
+    it('should return a member', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/tgusers/${verifiedId}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUser.username, 'verified_member')
+    })
+
+    it('should throw 404 for an unknown member', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/tgusers/1`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 404)
+      }
+    })
+  })
+
+  describe('POST /tgusers/:tgId/verify', () => {
+    it('should force verify a member', async () => {
+      const options = {
+        method: 'POST',
+        url: `${LOCALHOST}/tgusers/${unverifiedId}/verify`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { chatId }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUser.rooms[0].hasVerified, true)
+
+      const tgUser = await TGUser.findOne({ tgId: unverifiedId })
+      assert.equal(tgUser.rooms[0].hasVerified, true)
+    })
+
+    it('should throw 422 if chatId is missing', async () => {
+      try {
+        const options = {
+          method: 'POST',
+          url: `${LOCALHOST}/tgusers/${unverifiedId}/verify`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          },
+          data: {}
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, "Property 'chatId' must be a number")
+      }
+    })
+
+    it('should apply the permissions of the tier of the member in Telegram', async () => {
+      const updateStub = sandbox.spy(bot, 'updateTier')
+      const tgUser = { tgId: unverifiedId, rooms: [{ chatId, merit: 50000 }] }
+      const ctx = botContext(bot, tgUser, { chatId })
+
+      await uut.verifyTgUser(ctx)
+
+      assert.isTrue(updateStub.calledOnce)
+      assert.equal(ctx.body.tgUser.rooms[0].tier, 'member')
+      assert.equal(bot._setPermissions.args[0][1], unverifiedId)
+      assert.equal(bot._setPermissions.args[0][2].can_send_messages, true)
+    })
+
+    it('should give a member below the lowest tier the permissions of that tier', async () => {
+      const tgUser = { tgId: unverifiedId, rooms: [{ chatId, merit: 100 }] }
+      const ctx = botContext(bot, tgUser, { chatId })
+
+      await uut.verifyTgUser(ctx)
+
+      assert.equal(ctx.body.tgUser.rooms[0].tier, 'member')
+      assert.equal(ctx.body.tgUser.rooms[0].forceVerified, true)
+      assert.equal(bot._setPermissions.args[0][1], unverifiedId)
+      assert.equal(bot._setPermissions.args[0][2].can_send_messages, true)
+    })
+
+    it('should record the action of the admin in the audit trail', async () => {
+      const tgUser = { tgId: unverifiedId, rooms: [{ chatId, merit: 50000 }] }
+      const ctx = botContext(bot, tgUser, { chatId })
+      ctx.state.user = { username: 'admin', email: 'admin@example.com' }
+
+      await uut.verifyTgUser(ctx)
+
+      const [type, actor, subject, eventChatId, details] =
+        uut.audit.record.args[0]
+      assert.equal(type, 'admin-forceverify')
+      assert.equal(actor.username, 'admin')
+      assert.equal(subject.tgId, unverifiedId)
+      assert.equal(eventChatId, chatId)
+      assert.equal(details.source, 'dashboard')
+    })
+  })
+
+  describe('POST /tgusers/:tgId/unverify', () => {
+    it('should unverify a member', async () => {
+      const options = {
+        method: 'POST',
+        url: `${LOCALHOST}/tgusers/${unverifiedId}/unverify`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { chatId }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUser.rooms[0].hasVerified, false)
+    })
+
+    it('should mute the member in Telegram', async () => {
+      const tgUser = {
+        tgId: verifiedId,
+        rooms: [{ chatId, merit: 50000, hasVerified: true, tier: 'member' }]
+      }
+      const ctx = botContext(bot, tgUser, { chatId })
+
+      await uut.unverifyTgUser(ctx)
+
+      assert.equal(ctx.body.tgUser.rooms[0].tier, '')
+      assert.equal(bot._setPermissions.args[0][1], verifiedId)
+      assert.equal(bot._setPermissions.args[0][2].can_send_messages, false)
+      assert.equal(uut.audit.record.args[0][0], 'admin-unverify')
+    })
+  })
+
+  describe('POST /tgusers/:tgId/reverify', () => {
+    it('should expire the last verification of a member', async () => {
+      const options = {
+        method: 'POST',
+        url: `${LOCALHOST}/tgusers/${verifiedId}/reverify`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { chatId }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(
+        result.data.tgUser.rooms[0].lastVerified,
+        new Date(0).toISOString()
+      )
+      assert.equal(result.data.tgUser.rooms[0].hasVerified, true)
+      assert.equal(result.data.checked, false)
+    })
+
+    it('should check the merit right away if the bot is running', async () => {
+      const invalidateStub = sandbox.stub(bot.bch, 'invalidateMerit')
+      const reverifyStub = sandbox.stub(bot, 'reverifyMerit').resolves(true)
+      const lastVerified = new Date().toISOString()
+      const tgUser = {
+        tgId: verifiedId,
+        addresses: [],
+        rooms: [{ chatId, merit: 40000, hasVerified: true, lastVerified }]
+      }
+      const ctx = botContext(bot, tgUser, { chatId })
+
+      await uut.reverifyTgUser(ctx)
+
+      assert.equal(ctx.body.checked, true)
+      assert.equal(ctx.body.tgUser.rooms[0].lastVerified, lastVerified)
+      assert.isTrue(reverifyStub.calledOnce)
+      assert.isTrue(invalidateStub.calledBefore(reverifyStub))
+      assert.equal(reverifyStub.args[0][1], room)
+      assert.equal(reverifyStub.args[0][2], 'admin')
+      assert.equal(uut.audit.record.args[0][0], 'admin-recheck')
+      assert.equal(uut.audit.record.args[0][4].checked, true)
+    })
+  })
+
+  describe('DELETE /tgusers/:tgId/addresses/:bchAddr', () => {
+    it('should throw 422 if the member did not claim the address', async () => {
+      try {
+        const options = {
+          method: 'DELETE',
+          url: `${LOCALHOST}/tgusers/${unverifiedId}/addresses/${bchAddr}`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, 'is not claimed by this member')
+      }
+    })
+
+    it('should revoke the address and unverify the member', async () => {
+      const options = {
+        method: 'DELETE',
+        url: `${LOCALHOST}/tgusers/${verifiedId}/addresses/${bchAddr}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUser.addresses.length, 0)
+      assert.equal(result.data.tgUser.rooms[0].hasVerified, false)
+      assert.equal(result.data.tgUser.rooms[0].merit, 0)
+
+      const [type, actor, subject, , details] = uut.audit.record.args[0]
+      assert.equal(type, 'revoke')
+      assert.equal(actor.username, 'system@system.com')
+      assert.equal(subject.tgId, verifiedId)
+      assert.equal(details.bchAddr, bchAddr)
+    })
+  })
+
+  describe('PUT /tgusers/:tgId/exempt', () => {
+    it('should exempt a member', async () => {
+      const options = {
+        method: 'PUT',
+        url: `${LOCALHOST}/tgusers/${unverifiedId}/exempt`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { chatId, exempt: true }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUser.rooms[0].exempt, true)
+      assert.equal(result.data.tgUser.rooms[0].hasVerified, true)
+    })
+
+    it('should expire the verification when the exemption is lifted', async () => {
+      const options = {
+        method: 'PUT',
+        url: `${LOCALHOST}/tgusers/${unverifiedId}/exempt`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { chatId, exempt: false }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.tgUser.rooms[0].exempt, false)
+      assert.equal(
+        result.data.tgUser.rooms[0].lastVerified,
+        new Date(0).toISOString()
+      )
+    })
+
+    it('should lift the restrictions of an exempted member in Telegram', async () => {
+      const tgUser = { tgId: unverifiedId, rooms: [{ chatId, merit: 10 }] }
+      const ctx = botContext(bot, tgUser, { chatId, exempt: true })
+
+      await uut.updateExemption(ctx)
+
+      assert.equal(ctx.body.tgUser.rooms[0].exempt, true)
+      assert.equal(bot._setPermissions.args[0][1], unverifiedId)
+      assert.equal(bot._setPermissions.args[0][2].can_send_messages, true)
+      assert.equal(uut.audit.record.args[0][0], 'admin-exempt')
+      assert.equal(uut.audit.record.args[0][4].exempt, true)
+    })
+
+    it('should check the merit right away when the exemption is lifted', async () => {
+      const reverifyStub = sandbox.stub(bot, 'reverifyMerit').resolves(false)
+      const tgUser = {
+        tgId: unverifiedId,
+        rooms: [{ chatId, merit: 10, hasVerified: true, exempt: true }]
+      }
+      const ctx = botContext(bot, tgUser, { chatId, exempt: false })
+
+      await uut.updateExemption(ctx)
+
+      assert.equal(ctx.body.tgUser.rooms[0].exempt, false)
+      assert.isTrue(reverifyStub.calledOnce)
+      assert.equal(reverifyStub.args[0][1], room)
+      assert.equal(reverifyStub.args[0][2], 'admin')
+    })
+
+    it('should throw 422 if exempt is not a boolean', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/tgusers/${unverifiedId}/exempt`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          },
+          data: { chatId, exempt: 'yes' }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, "Property 'exempt' must be a boolean")
+      }
+    })
+  })
+
+  describe('DELETE /tgusers/:tgId', () => {
+    it('should delete a member', async () => {
+      const options = {
+        method: 'DELETE',
+        url: `${LOCALHOST}/tgusers/${unverifiedId}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.success, true)
+
+      const tgUser = await TGUser.findOne({ tgId: unverifiedId })
+      assert.equal(tgUser, null)
+    })
+
+    it('should record the deletion in the audit trail', async () => {
+      const tgUser = {
+        tgId: verifiedId,
+        username: 'verified_member',
+        addresses: [{ bchAddr }],
+        remove: async () => {}
+      }
+      const ctx = mockContext()
+      ctx.body = { tgUser }
+      ctx.state.user = { username: 'admin' }
+
+      await uut.deleteTgUser(ctx)
+
+      const [type, actor, subject, , details] = uut.audit.record.args[0]
+      assert.equal(type, 'admin-deletemember')
+      assert.equal(actor.username, 'admin')
+      assert.equal(subject.tgId, verifiedId)
+      assert.deepEqual(details, { source: 'dashboard', addresses: [bchAddr] })
+    })
+
+    it('should throw 422 on database errors', async () => {
+      try {
+        const ctx = mockContext()
+        ctx.body = {
+          tgUser: {
+            remove: async () => {
+              throw new Error('test error')
+            }
+          }
+        }
+
+        await uut.deleteTgUser(ctx)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.status, 422)
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+})
@@ -0,0 +1,211 @@
+const testUtils = require('./utils')
+const assert = require('chai').assert
+const config = require('../../config')
+const axios = require('axios').default
+const sinon = require('sinon')
+
+const LOCALHOST = `http://localhost:${config.port}`
+
+const context = {}
+
+const RoomController = require('../../src/modules/rooms/controller')
+const Room = require('../../src/models/room')
+let uut
+let sandbox
+
+const mockContext = require('./mocks/ctx-mock').context
+
+const chatId = -100900000001
+
+describe('Rooms', () => {
+  before(async () => {
+    // Get the JWT used to log in as the admin 'system' user.
+    context.adminJWT = await testUtils.getAdminJWT()
+
+    // Get the JWT of a regular user.
+    const testUser = await testUtils.loginTestUser()
+    context.userJWT = testUser.token
+
+    await Room.deleteMany({ chatId })
+  })
+
+  after(async () => {
+    await Room.deleteMany({ chatId })
+  })
+
+  beforeEach(() => {
+    uut = new RoomController()
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('PUT /rooms/:chatId', () => {
+    it('should not change settings if the user is not an admin', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/rooms/${chatId}`,
+          headers: {
+            Authorization: `Bearer ${context.userJWT}`
+          },
+          data: { room: { threshold: 100 } }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 401)
+      }
+    })
+
+    it('should add a room the first time its settings are changed', async () => {
+      const options = {
+        method: 'PUT',
+        url: `${LOCALHOST}/rooms/${chatId}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { room: { threshold: 100, enforcement: 'restrict' } }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.room.chatId, chatId)
+      assert.equal(result.data.room.threshold, 100)
+      assert.equal(result.data.room.enforcement, 'restrict')
+
+      const room = await Room.findOne({ chatId })
+      assert.equal(room.threshold, 100)
+    })
+
+    it('should only change the settings that were sent', async () => {
+      const options = {
+        method: 'PUT',
+        url: `${LOCALHOST}/rooms/${chatId}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        },
+        data: { room: { gracePeriod: 0 } }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.room.gracePeriod, 0)
+      assert.equal(result.data.room.threshold, 100)
+    })
+
+    it('should reject invalid settings', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/rooms/${chatId}`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          },
+          data: { room: { enforcement: 'ban' } }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, "Property 'enforcement' must be 'delete' or 'restrict'")
+      }
+    })
+
+    it('should reject unknown settings', async () => {
+      try {
+        const options = {
+          method: 'PUT',
+          url: `${LOCALHOST}/rooms/${chatId}`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          },
+          data: { room: { tokenId: 'abc' } }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, "Unknown room setting 'tokenId'")
+      }
+    })
+
+    it('should record the change in the audit trail', async () => {
+      sandbox.stub(uut.Room, 'findOneAndUpdate').resolves({ chatId })
+      const recordStub = sandbox.stub(uut.audit, 'record').resolves()
+
+      const ctx = mockContext()
+      ctx.params = { chatId: `${chatId}` }
+      ctx.request.body = { room: { threshold: 200 } }
+      ctx.state.user = { email: 'admin@example.com' }
+
+      await uut.updateRoom(ctx)
+
+      const [type, actor, subject, eventChatId, details] = recordStub.args[0]
+      assert.equal(type, 'admin-updateroom')
+      assert.equal(actor.username, 'admin@example.com')
+      assert.equal(subject, null)
+      assert.equal(eventChatId, chatId)
+      assert.deepEqual(details, { source: 'dashboard', settings: { threshold: 200 } })
+    })
+
+    it('should reject a re-verify interval of zero', async () => {
+      try {
+        uut._validate({ reverifyInterval: 0 })
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.include(err.message, "Property 'reverifyInterval' must be greater than zero")
+      }
+    })
+  })
+
+  describe('GET /rooms', () => {
+    it('should list the rooms', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/rooms`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      const room = result.data.rooms.find(x => x.chatId === chatId)
+      assert.equal(room.threshold, 100)
+    })
+
+    it('should include the default room', async () => {
+      sandbox.stub(uut.Room, 'find').resolves([])
+      sandbox.stub(uut, '_getDefaultRoom').returns({ chatId: -100, threshold: 5 })
+
+      const ctx = mockContext()
+      await uut.getRooms(ctx)
+
+      assert.equal(ctx.body.rooms.length, 1)
+      assert.equal(ctx.body.rooms[0].chatId, -100)
+    })
+
+    it('should throw 422 on database errors', async () => {
+      try {
+        sandbox.stub(uut.Room, 'find').rejects(new Error('test error'))
+
+        const ctx = mockContext()
+        await uut.getRooms(ctx)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.status, 422)
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+})
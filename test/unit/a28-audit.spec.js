@@ -0,0 +1,209 @@
+const testUtils = require('./utils')
+const assert = require('chai').assert
+const config = require('../../config')
+const axios = require('axios').default
+const sinon = require('sinon')
+
+const LOCALHOST = `http://localhost:${config.port}`
+
+const context = {}
+
+const AuditController = require('../../src/modules/audit/controller')
+const AuditEvent = require('../../src/models/audit-event')
+let uut
+let sandbox
+
+const mockContext = require('./mocks/ctx-mock').context
+
+const tgId = 900000010
+const chatId = -1001337281108
+
+describe('Audit', () => {
+  before(async () => {
+    // Get the JWT used to log in as the admin 'system' user.
+    context.adminJWT = await testUtils.getAdminJWT()
+
+    // Get the JWT of a regular user.
+    const testUser = await testUtils.loginTestUser()
+    context.userJWT = testUser.token
+
+    await AuditEvent.deleteMany({ actorTgId: tgId })
+    await AuditEvent.create([
+      {
+        type: 'verify-success',
+        actorTgId: tgId,
+        subjectTgId: tgId,
+        actorUsername: 'audited',
+        chatId,
+        details: { merit: 50000 },
+        timestamp: new Date('2021-03-01')
+      },
+      {
+        type: 'demotion',
+        actorTgId: tgId,
+        subjectTgId: tgId,
+        actorUsername: 'audited',
+        chatId,
+        details: { merit: 12, threshold: 30000 },
+        timestamp: new Date('2021-03-02')
+      },
+      {
+        type: 'message-deleted',
+        actorTgId: tgId,
+        subjectTgId: tgId,
+        actorUsername: 'audited',
+        chatId,
+        details: { reason: 'unverified' },
+        timestamp: new Date('2021-03-03')
+      }
+    ])
+  })
+
+  after(async () => {
+    await AuditEvent.deleteMany({ actorTgId: tgId })
+  })
+
+  beforeEach(() => {
+    uut = new AuditController()
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('GET /audit', () => {
+    it('should not return events if the user is not an admin', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/audit`,
+          headers: {
+            Authorization: `Bearer ${context.userJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 401)
+      }
+    })
+
+    it('should return the events of an actor, newest first', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/audit?actor=${tgId}`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.total, 3)
+      assert.equal(result.data.events[0].type, 'message-deleted')
+      assert.equal(result.data.events[2].type, 'verify-success')
+    })
+
+    it('should filter events by type and date', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/audit?actor=${tgId}&type=demotion&from=2021-03-02&to=2021-03-02`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.total, 1)
+      assert.equal(result.data.events[0].details.merit, 12)
+    })
+
+    it('should paginate the events', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/audit?actor=${tgId}&limit=2&page=2`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.equal(result.data.total, 3)
+      assert.equal(result.data.page, 2)
+      assert.equal(result.data.events.length, 1)
+      assert.equal(result.data.events[0].type, 'verify-success')
+    })
+
+    it('should throw 422 for invalid parameters', async () => {
+      try {
+        const options = {
+          method: 'GET',
+          url: `${LOCALHOST}/audit?page=0`,
+          headers: {
+            Authorization: `Bearer ${context.adminJWT}`
+          }
+        }
+
+        await axios(options)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.response.status, 422)
+        assert.include(err.response.data, 'page must be a positive integer')
+      }
+    })
+  })
+
+  describe('GET /audit/csv', () => {
+    it('should export the events as CSV', async () => {
+      const options = {
+        method: 'GET',
+        url: `${LOCALHOST}/audit/csv?actor=${tgId}&type=demotion`,
+        headers: {
+          Authorization: `Bearer ${context.adminJWT}`
+        }
+      }
+
+      const result = await axios(options)
+
+      assert.include(result.headers['content-type'], 'text/csv')
+
+      const lines = result.data.trim().split('\n')
+      assert.equal(lines.length, 2)
+      assert.equal(
+        lines[0],
+        'timestamp,type,actorTgId,actorUsername,subjectTgId,subjectUsername,chatId,details'
+      )
+      assert.include(lines[1], ',demotion,')
+      assert.include(lines[1], '"{""merit"":12,""threshold"":30000}"')
+    })
+
+    it('should throw 422 on database errors', async () => {
+      try {
+        sandbox.stub(uut.AuditEvent, 'find').throws(new Error('test error'))
+
+        const ctx = mockContext()
+        ctx.query = {}
+
+        await uut.exportCsv(ctx)
+
+        assert(false, 'Unexpected result')
+      } catch (err) {
+        assert.equal(err.status, 422)
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+
+  describe('#_toCsvValue', () => {
+    it('should quote values with separators and quotes', () => {
+      assert.equal(uut._toCsvValue('a,"b"'), '"a,""b"""')
+      assert.equal(uut._toCsvValue(12), '12')
+      assert.equal(uut._toCsvValue(undefined), '')
+    })
+  })
+})
@@ -0,0 +1,186 @@
+/*
+  Unit tests for the bin/tg-bot.js library.
+*/
+
+const assert = require('chai').assert
+const sinon = require('sinon')
+const TelegramBot = require('node-telegram-bot-api')
+
+const config = require('../../config')
+const TGBot = require('../../bin/tg-bot')
+const I18n = require('../../src/lib/i18n')
+let uut
+
+const mockContext = require('./mocks/ctx-mock').context
+
+describe('#tg-bot.js', () => {
+  let sandbox
+  const savedConfig = {}
+  const savedEnv = {}
+
+  before(() => {
+    savedConfig.telegramMode = config.telegramMode
+    savedConfig.telegramWebhookUrl = config.telegramWebhookUrl
+    savedConfig.telegramWebhookSecret = config.telegramWebhookSecret
+
+    savedEnv.BOTTELEGRAMTOKEN = process.env.BOTTELEGRAMTOKEN
+    savedEnv.CHATID = process.env.CHATID
+    process.env.BOTTELEGRAMTOKEN = 'fakeToken'
+    process.env.CHATID = 'fakeId'
+  })
+
+  after(() => {
+    Object.assign(config, savedConfig)
+
+    Object.keys(savedEnv).forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key]
+      else process.env[key] = savedEnv[key]
+    })
+  })
+
+  beforeEach(() => {
+    config.telegramMode = 'polling'
+    config.telegramWebhookUrl = 'https://vip-bot.example.com'
+    config.telegramWebhookSecret = 'secret'
+
+    sandbox = sinon.createSandbox()
+
+    // Prevent live calls to Telegram and the database.
+    sandbox.stub(TelegramBot.prototype, 'setWebHook').resolves(true)
+    sandbox.stub(TelegramBot.prototype, 'deleteWebHook').resolves(true)
+    sandbox.stub(TelegramBot.prototype, 'startPolling').resolves()
+    sandbox.stub(TelegramBot.prototype, 'stopPolling').resolves()
+    sandbox.stub(I18n.prototype, 'loadTemplates').resolves(0)
+  })
+
+  afterEach(async () => {
+    if (uut) await uut.stop()
+
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should throw error if the webhook URL is not specified', () => {
+      config.telegramMode = 'webhook'
+      config.telegramWebhookUrl = ''
+
+      try {
+        uut = new TGBot()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Public URL of the server must be passed as TELEGRAM_WEBHOOK_URL environment variable in webhook mode.'
+        )
+      }
+    })
+
+    it('should throw error if the webhook secret is not specified', () => {
+      config.telegramMode = 'webhook'
+      config.telegramWebhookSecret = ''
+
+      try {
+        uut = new TGBot()
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Webhook secret must be passed as TELEGRAM_WEBHOOK_SECRET environment variable in webhook mode.'
+        )
+      }
+    })
+  })
+
+  describe('#start', () => {
+    it('should remove any webhook before polling', async () => {
+      uut = new TGBot()
+
+      const result = await uut.start()
+
+      assert.include(result, 'polling mode')
+      assert.isTrue(TelegramBot.prototype.deleteWebHook.calledOnce)
+      assert.isTrue(TelegramBot.prototype.startPolling.calledOnce)
+      assert.isTrue(
+        TelegramBot.prototype.deleteWebHook.calledBefore(
+          TelegramBot.prototype.startPolling
+        )
+      )
+      assert.isFalse(TelegramBot.prototype.setWebHook.called)
+    })
+
+    it('should register the webhook in webhook mode', async () => {
+      config.telegramMode = 'webhook'
+      uut = new TGBot()
+
+      const result = await uut.start()
+
+      assert.include(result, 'webhook mode')
+      assert.equal(
+        TelegramBot.prototype.setWebHook.args[0][0],
+        'https://vip-bot.example.com/telegram/secret'
+      )
+      assert.isFalse(TelegramBot.prototype.startPolling.called)
+    })
+  })
+
+  describe('#stop', () => {
+    it('should stop polling', async () => {
+      uut = new TGBot()
+      await uut.start()
+
+      await uut.stop()
+
+      assert.isTrue(TelegramBot.prototype.stopPolling.calledOnce)
+      assert.equal(uut.bot, null)
+    })
+
+    it('should remove the webhook in webhook mode', async () => {
+      config.telegramMode = 'webhook'
+      uut = new TGBot()
+      await uut.start()
+      TelegramBot.prototype.deleteWebHook.resetHistory()
+
+      await uut.stop()
+
+      assert.isTrue(TelegramBot.prototype.deleteWebHook.calledOnce)
+      assert.isFalse(TelegramBot.prototype.stopPolling.called)
+    })
+
+    it('should do nothing if the bot was not started', async () => {
+      uut = new TGBot()
+
+      await uut.stop()
+
+      assert.isFalse(TelegramBot.prototype.stopPolling.called)
+    })
+  })
+
+  describe('#handleWebhook', () => {
+    it('should feed the update to the bot', async () => {
+      config.telegramMode = 'webhook'
+      uut = new TGBot()
+      await uut.start()
+      const processStub = sandbox.stub(uut.bot.bot, 'processUpdate').returns()
+
+      const ctx = mockContext()
+      ctx.request.body = { update_id: 1 }
+      uut.handleWebhook(ctx)
+
+      assert.equal(ctx.status, 200)
+      assert.deepEqual(processStub.args[0][0], { update_id: 1 })
+    })
+
+    it('should return 503 if the bot is not running', () => {
+      config.telegramMode = 'webhook'
+      uut = new TGBot()
+
+      const ctx = mockContext()
+      ctx.request.body = { update_id: 1 }
+      uut.handleWebhook(ctx)
+
+      assert.equal(ctx.status, 503)
+    })
+  })
+})
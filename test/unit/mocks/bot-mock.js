@@ -24,10 +24,8 @@ const mockMsg = {
 
 const mockUnverifiedUser = {
   username: 'christroutner',
-  bchAddr: '',
-  slpAddr: '',
-  merit: 0,
-  hasVerified: false,
+  addresses: [],
+  rooms: [],
   _id: '5fc0037b02da93045b4beaed',
   tgId: 649043967,
   __v: 0,
@@ -37,17 +35,186 @@ const mockUnverifiedUser = {
 const now = new Date()
 const mockVerifiedUser = {
   username: 'christroutner',
-  bchAddr: 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf',
-  slpAddr: 'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh',
-  merit: 94,
-  hasVerified: true,
-  lastVerified: now.toISOString(),
+  addresses: [
+    {
+      bchAddr: 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf',
+      slpAddr: 'simpleledger:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqge2g6tnh'
+    }
+  ],
+  rooms: [
+    {
+      chatId: -1001337281108,
+      merit: 94,
+      hasVerified: true,
+      lastVerified: now.toISOString()
+    }
+  ],
   _id: '5fc0037b02da93045b4beaed',
   tgId: 649043967,
   __v: 0,
   save: () => {} // Mock the save() function.
 }
 
+const mockRoom = {
+  chatId: -1001337281108,
+  title: 'trout-test',
+  tokenId: '38e97c5d7d3585a2cbf3f9580c82ca33985f9cb0845d4dcce220cb709f9538b0',
+  threshold: 30000,
+  joinRequestTimeout: 60000 * 60 * 24,
+  enforcement: 'delete',
+  tiers: [],
+  reverifyInterval: 60000 * 60 * 24,
+  messages: {
+    verified: '',
+    demoted: ''
+  }
+}
+
+const mockTiers = [
+  {
+    name: 'vip',
+    minMerit: 100000,
+    canSendText: true,
+    canSendLinks: true,
+    canSendMedia: true,
+    canInvite: true
+  },
+  {
+    name: 'member',
+    minMerit: 50,
+    canSendText: true,
+    canSendLinks: false,
+    canSendMedia: false,
+    canInvite: false
+  }
+]
+
+const mockPhotoMsg = {
+  message_id: 104,
+  from: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    last_name: 'Troutner',
+    username: 'christroutner',
+    language_code: 'en'
+  },
+  chat: {
+    id: -1001337281108,
+    title: 'trout-test',
+    username: 'trout_test',
+    type: 'supergroup'
+  },
+  date: 1606419330,
+  photo: [{ file_id: 'abc', file_unique_id: 'def', width: 90, height: 90 }]
+}
+
+const mockJoinMsg = {
+  message_id: 102,
+  from: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    last_name: 'Troutner',
+    username: 'christroutner',
+    language_code: 'en'
+  },
+  chat: {
+    id: -1001337281108,
+    title: 'trout-test',
+    username: 'trout_test',
+    type: 'supergroup'
+  },
+  date: 1606419300,
+  new_chat_participant: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    username: 'christroutner'
+  },
+  new_chat_member: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    username: 'christroutner'
+  },
+  new_chat_members: [
+    {
+      id: 649043967,
+      is_bot: false,
+      first_name: 'Chris',
+      username: 'christroutner'
+    },
+    {
+      id: 1234567890,
+      is_bot: true,
+      first_name: 'Other Bot',
+      username: 'other_bot'
+    }
+  ]
+}
+
+const mockChatJoinRequest = {
+  chat: {
+    id: -1001337281108,
+    title: 'trout-test',
+    username: 'trout_test',
+    type: 'supergroup'
+  },
+  from: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    last_name: 'Troutner',
+    username: 'christroutner',
+    language_code: 'en'
+  },
+  user_chat_id: 649043967,
+  date: 1606419290
+}
+
+const mockJoinRequestDoc = {
+  _id: '5fc0037b02da93045b4beaef',
+  tgId: 649043967,
+  chatId: -1001337281108,
+  userChatId: 649043967,
+  status: 'pending',
+  expires: new Date(now.getTime() + 60000 * 60),
+  save: () => {} // Mock the save() function.
+}
+
+const mockChallenge = {
+  _id: '5fc0037b02da93045b4beaee',
+  tgId: 649043967,
+  chatId: -1001337281108,
+  nonce: 'a1b2c3d4e5f6a7b8',
+  text: 'vip-bot verify a1b2c3d4e5f6a7b8',
+  used: false,
+  expires: new Date(now.getTime() + 60000 * 10),
+  save: () => {} // Mock the save() function.
+}
+
+const challengeVerifyMsg = {
+  message_id: 108,
+  from: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    last_name: 'Troutner',
+    username: 'christroutner',
+    language_code: 'en'
+  },
+  chat: {
+    id: -1001337281108,
+    title: 'trout-test',
+    username: 'trout_test',
+    type: 'supergroup'
+  },
+  date: 1606420410,
+  text: '/verify',
+  entities: [{ offset: 0, length: 7, type: 'bot_command' }]
+}
+
 const validVerifyMsg = {
   message_id: 109,
   from: {
@@ -267,10 +434,53 @@ const validRevokeMsg = {
   entities: [{ offset: 0, length: 7, type: 'bot_command' }]
 }
 
+// An admin command targeting a user by username.
+const mockAdminCmd = {
+  message_id: 120,
+  from: {
+    id: 649043967,
+    is_bot: false,
+    first_name: 'Chris',
+    last_name: 'Troutner',
+    username: 'christroutner',
+    language_code: 'en'
+  },
+  chat: {
+    id: -1001337281108,
+    title: 'trout-test',
+    username: 'trout_test',
+    type: 'supergroup'
+  },
+  date: 1606419322,
+  text: '/forceverify @christroutner',
+  entities: [{ offset: 0, length: 12, type: 'bot_command' }]
+}
+
+// Result of getChatAdministrators() for the chat of mockAdminCmd.
+const mockChatAdmins = [
+  {
+    user: {
+      id: 649043967,
+      is_bot: false,
+      first_name: 'Chris',
+      username: 'christroutner'
+    },
+    status: 'creator'
+  }
+]
+
 module.exports = {
   mockMsg,
   mockUnverifiedUser,
   mockVerifiedUser,
+  mockRoom,
+  mockTiers,
+  mockPhotoMsg,
+  mockJoinMsg,
+  mockChatJoinRequest,
+  mockJoinRequestDoc,
+  mockChallenge,
+  challengeVerifyMsg,
   validVerifyMsg,
   invalidVerifyMsg1,
   invalidVerifyMsg2,
@@ -279,5 +489,7 @@ module.exports = {
   getMeritUserNotFound,
   getMeritInvalidArgs,
   invalidRevokeMsg1,
-  validRevokeMsg
+  validRevokeMsg,
+  mockAdminCmd,
+  mockChatAdmins
 }
@@ -0,0 +1,99 @@
+/*
+  Mock data for the merit-providers unit tests.
+*/
+
+const tokenId =
+  '38e97c5d7d3585a2cbf3f9580c82ca33985f9cb0845d4dcce220cb709f9538b0'
+
+const otherTokenId =
+  'a4fb5c2da1aa064e25018a43f9165040071d9e984ba190c222a7f59053af84b2'
+
+// Output of wallet.getUtxos().
+const mockUtxos = {
+  address: 'bitcoincash:qpwdyj5adnzf2cruyr5c3lzrlec9hqphzqyzpn0tdf',
+  bchUtxos: [
+    {
+      height: 674513,
+      tx_hash:
+        '0ffdbe5e5bc7e6e5cfa2a8d1f5c1e4d1a8c0ef4c9ef7e3c2a5d8f6c7e1b2a3c4',
+      tx_pos: 3,
+      value: 100000
+    },
+    {
+      height: 674520,
+      tx_hash:
+        '1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b',
+      tx_pos: 0,
+      value: 25000
+    }
+  ],
+  slpUtxos: {
+    type1: {
+      tokens: [
+        {
+          height: 674513,
+          tx_hash:
+            '2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c',
+          tx_pos: 1,
+          value: 546,
+          tokenId,
+          tokenQty: '12.5'
+        },
+        {
+          height: 674514,
+          tx_hash:
+            '3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d',
+          tx_pos: 1,
+          value: 546,
+          tokenId,
+          tokenQty: '7.5'
+        },
+        {
+          height: 674515,
+          tx_hash:
+            '4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e',
+          tx_pos: 1,
+          value: 546,
+          tokenId: otherTokenId,
+          tokenQty: '1000'
+        }
+      ],
+      mintBatons: []
+    },
+    nft: {
+      tokens: [
+        {
+          height: 674516,
+          tx_hash:
+            '5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f',
+          tx_pos: 1,
+          value: 546,
+          tokenId:
+            '6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a',
+          groupId: tokenId,
+          tokenQty: '1'
+        },
+        {
+          height: 674517,
+          tx_hash:
+            '7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b',
+          tx_pos: 1,
+          value: 546,
+          tokenId:
+            '8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c',
+          groupId: otherTokenId,
+          tokenQty: '1'
+        }
+      ]
+    },
+    group: {
+      tokens: [],
+      mintBatons: []
+    }
+  }
+}
+
+module.exports = {
+  tokenId,
+  mockUtxos
+}
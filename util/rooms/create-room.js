@@ -0,0 +1,58 @@
+/*
+  Used to add a Telegram room to the rooms managed by the bot. Edit the
+  roomObj below before running this script.
+*/
+const mongoose = require('mongoose')
+
+const config = require('../../config')
+
+const Room = require('../../src/models/room')
+
+const roomObj = {
+  chatId: -1001337281108,
+  title: 'VIP room',
+  tokenId: '38e97c5d7d3585a2cbf3f9580c82ca33985f9cb0845d4dcce220cb709f9538b0',
+  threshold: 30000,
+  enforcement: 'restrict',
+  reverifyInterval: 60000 * 60 * 24,
+  gracePeriod: 60000 * 60 * 24,
+  joinRequestTimeout: 60000 * 60 * 24,
+  tiers: [
+    {
+      name: 'member',
+      minMerit: 30000,
+      canSendText: true,
+      canSendLinks: false,
+      canSendMedia: false,
+      canInvite: false
+    },
+    {
+      name: 'vip',
+      minMerit: 100000,
+      canSendText: true,
+      canSendLinks: true,
+      canSendMedia: true,
+      canInvite: true
+    }
+  ],
+  messages: {
+    verified: '',
+    demoted: ''
+  }
+}
+
+async function addRoom () {
+  // Connect to the Mongo Database.
+  mongoose.Promise = global.Promise
+  mongoose.set('useCreateIndex', true) // Stop deprecation warning.
+  await mongoose.connect(
+    config.database,
+    { useNewUrlParser: true, useUnifiedTopology: true }
+  )
+
+  const newRoom = new Room(roomObj)
+  await newRoom.save()
+
+  mongoose.connection.close()
+}
+addRoom()
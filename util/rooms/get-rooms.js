@@ -0,0 +1,25 @@
+/*
+  Display the Telegram rooms managed by the bot.
+*/
+
+const mongoose = require('mongoose')
+
+const config = require('../../config')
+
+const Room = require('../../src/models/room')
+
+async function getRooms () {
+  // Connect to the Mongo Database.
+  mongoose.Promise = global.Promise
+  mongoose.set('useCreateIndex', true) // Stop deprecation warning.
+  await mongoose.connect(
+    config.database,
+    { useNewUrlParser: true }
+  )
+
+  const rooms = await Room.find({})
+  console.log(`rooms: ${JSON.stringify(rooms, null, 2)}`)
+
+  mongoose.connection.close()
+}
+getRooms()
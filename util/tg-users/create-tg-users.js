@@ -10,11 +10,20 @@ const TgUser = require('../../src/models/tg-user')
 
 const userObj = {
   username: 'testuser',
-  bchAddr: 'bitcoincash:qzjgc7cz99hyh98yp4y6z5j40uwnd78fw5lx2m4k9t',
-  slpAddr: 'simpleledger:qzjgc7cz99hyh98yp4y6z5j40uwnd78fw5napqqkm4',
-  merit: 356631,
-  hasVerified: true,
-  lastVerified: '2021-01-28T01:27:39.465Z',
+  addresses: [
+    {
+      bchAddr: 'bitcoincash:qzjgc7cz99hyh98yp4y6z5j40uwnd78fw5lx2m4k9t',
+      slpAddr: 'simpleledger:qzjgc7cz99hyh98yp4y6z5j40uwnd78fw5napqqkm4'
+    }
+  ],
+  rooms: [
+    {
+      chatId: Number(process.env.CHATID),
+      merit: 356631,
+      hasVerified: true,
+      lastVerified: '2021-01-28T01:27:39.465Z'
+    }
+  ],
   tgId: 649043967
 }
 
@@ -1,5 +1,6 @@
 /*
-  Same as get-tg-users, but only gets users that have verified their address.
+  Same as get-tg-users, but only gets users that have verified their address
+  in at least one room.
 */
 
 const mongoose = require('mongoose')
@@ -17,7 +18,7 @@ async function getUsers () {
     { useNewUrlParser: true }
   )
 
-  const users = await TgUser.find({ hasVerified: true })
+  const users = await TgUser.find({ 'rooms.hasVerified': true })
   console.log(`tg-users: ${JSON.stringify(users, null, 2)}`)
 
   mongoose.connection.close()
@@ -0,0 +1,42 @@
+/*
+  Moves the single bchAddr/slpAddr pair of tg-user documents created by older
+  versions of the bot into the addresses array. Run once after upgrading.
+*/
+const mongoose = require('mongoose')
+
+const config = require('../../config')
+
+const TgUser = require('../../src/models/tg-user')
+
+async function migrateAddresses () {
+  // Connect to the Mongo Database.
+  mongoose.Promise = global.Promise
+  mongoose.set('useCreateIndex', true) // Stop deprecation warning.
+  await mongoose.connect(
+    config.database,
+    { useNewUrlParser: true, useUnifiedTopology: true }
+  )
+
+  // The legacy fields are no longer in the schema, so query the raw collection.
+  const users = await TgUser.collection
+    .find({ bchAddr: { $exists: true } })
+    .toArray()
+
+  for (let i = 0; i < users.length; i++) {
+    const user = users[i]
+
+    const addresses = []
+    if (user.bchAddr) {
+      addresses.push({ bchAddr: user.bchAddr, slpAddr: user.slpAddr })
+    }
+
+    await TgUser.collection.updateOne(
+      { _id: user._id },
+      { $set: { addresses }, $unset: { bchAddr: '', slpAddr: '' } }
+    )
+  }
+  console.log(`Migrated ${users.length} tg-users.`)
+
+  mongoose.connection.close()
+}
+migrateAddresses()
@@ -0,0 +1,56 @@
+/*
+  Moves the merit and verification state of tg-user documents created by older
+  versions of the bot into the rooms array, as the state of the default room
+  set by the CHATID environment variable. Run once after upgrading.
+*/
+const mongoose = require('mongoose')
+
+const config = require('../../config')
+
+const TgUser = require('../../src/models/tg-user')
+
+async function migrateRooms () {
+  const chatId = Number(process.env.CHATID)
+  if (!chatId) {
+    console.log('The CHATID environment variable must be set.')
+    return
+  }
+
+  // Connect to the Mongo Database.
+  mongoose.Promise = global.Promise
+  mongoose.set('useCreateIndex', true) // Stop deprecation warning.
+  await mongoose.connect(
+    config.database,
+    { useNewUrlParser: true, useUnifiedTopology: true }
+  )
+
+  // The legacy fields are no longer in the schema, so query the raw collection.
+  const users = await TgUser.collection
+    .find({ hasVerified: { $exists: true } })
+    .toArray()
+
+  for (let i = 0; i < users.length; i++) {
+    const user = users[i]
+
+    const rooms = [
+      {
+        chatId,
+        merit: user.merit || 0,
+        hasVerified: user.hasVerified,
+        lastVerified: user.lastVerified || ''
+      }
+    ]
+
+    await TgUser.collection.updateOne(
+      { _id: user._id },
+      {
+        $set: { rooms },
+        $unset: { merit: '', hasVerified: '', lastVerified: '' }
+      }
+    )
+  }
+  console.log(`Migrated ${users.length} tg-users.`)
+
+  mongoose.connection.close()
+}
+migrateRooms()